@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/*global require, process, __dirname, console */
+/*jslint white: true, node: true */
+
+/*
+ * Generates the AMD modules for a .thrift file.
+ *
+ *     thrift-js-gen [--out dir] [--types-module id] [--thrift-module id] [--promise-module id] file.thrift
+ *
+ * Included files are read, relative to the file including them, for the
+ * types named from them; run the generator on each of them too.
+ */
+var fs = require('fs'),
+    path = require('path'),
+    requirejs = require('requirejs');
+
+requirejs.config({
+    baseUrl: path.join(__dirname, '..', 'src', 'js', 'lib'),
+    nodeRequire: require
+});
+
+function usage(message) {
+    if (message) {
+        console.error(message);
+    }
+    console.error('usage: thrift-js-gen [--out dir] [--types-module id] [--thrift-module id] [--promise-module id] file.thrift');
+    process.exit(2);
+}
+
+function main(args) {
+    var Thrift = requirejs('kb/thrift/generator'),
+        options = {includes: {}},
+        outDir = '.',
+        file = null,
+        source, document, files, i;
+
+    for (i = 0; i < args.length; i += 1) {
+        switch (args[i]) {
+            case '--out':
+                outDir = args[i += 1];
+                break;
+            case '--types-module':
+                options.typesModule = args[i += 1];
+                break;
+            case '--thrift-module':
+                options.thriftModule = args[i += 1];
+                break;
+            case '--promise-module':
+                options.promiseModule = args[i += 1];
+                break;
+            default:
+                if (file !== null || args[i].charAt(0) === '-') {
+                    usage('Unexpected argument ' + args[i]);
+                }
+                file = args[i];
+        }
+    }
+    if (!file || !outDir) {
+        usage();
+    }
+
+    function parseFile(name) {
+        try {
+            return Thrift.IDL.parse(fs.readFileSync(name, 'utf8'));
+        } catch (ex) {
+            if (ex instanceof Thrift.TIDLException) {
+                console.error(name + ': ' + ex.message);
+                process.exit(1);
+            }
+            throw ex;
+        }
+    }
+
+    source = parseFile(file);
+    source.includes.forEach(function (include) {
+        options.includes[path.basename(include, '.thrift')] = parseFile(path.resolve(path.dirname(file), include));
+    });
+    options.fileName = path.basename(file);
+    try {
+        files = Thrift.Generator.generate(source, options);
+    } catch (ex) {
+        if (ex instanceof Thrift.TIDLException) {
+            console.error(file + ': ' + ex.message);
+            process.exit(1);
+        }
+        throw ex;
+    }
+    Object.keys(files).forEach(function (name) {
+        fs.writeFileSync(path.join(outDir, name), files[name]);
+        console.log(path.join(outDir, name));
+    });
+}
+
+main(process.argv.slice(2));
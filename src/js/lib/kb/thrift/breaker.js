@@ -0,0 +1,221 @@
+/*global define */
+/*jslint white: true */
+
+/**
+ * A circuit breaker for thrift endpoints, so that while a service is down
+ * calls to it fail at once rather than each waiting for its timeout.
+ * @example
+ *     var breaker = new Thrift.CircuitBreaker({threshold: 3});
+ *     breaker.on('statechange', function (event) {
+ *         statusBar.show(event.url, event.state);
+ *     });
+ *     breaker.wrap(new Thrift.TXHRTransport(genomeServiceUrl));
+ *     breaker.wrap(new Thrift.TXHRTransport(taxonServiceUrl));
+ */
+define([
+    './core',
+    'bluebird',
+    './events',
+    './transport/xhr'
+], function (Thrift, Promise) {
+    'use strict';
+
+    function TCircuitOpenException(error) {
+        this.name = 'TCircuitOpenException';
+        this.reason = error.reason;
+        this.message = error.message;
+        this.suggestions = error.suggestions;
+        this.data = error.data;
+        this.stack = (new Error()).stack;
+    }
+    TCircuitOpenException.prototype = Object.create(Thrift.TTransportError.prototype);
+    TCircuitOpenException.prototype.constructor = TCircuitOpenException;
+    Thrift.TCircuitOpenException = TCircuitOpenException;
+
+    // Reasons for which a call tells nothing of the health of the service,
+    // since it was given up before an answer came.
+    var UNANSWERED = ['RequestAbort', 'HeaderProviderError', 'CircuitOpen'];
+
+    // Whether an exception is for an http response blaming the request, as
+    // the RequestError of a 400 response is; the same reason is used for a
+    // request which got no response at all.
+    function isClientError(err) {
+        var status = err && err.data && err.data.status;
+        return typeof status === 'number' && status >= 400 && status < 500;
+    }
+
+    /**
+     * Initializes a circuit breaker.
+     * @constructor
+     * @param {object} [options] - Settings to use in place of those in
+     * Thrift.CircuitBreaker.DEFAULTS.
+     * @classdesc A CircuitBreaker keeps a circuit for each endpoint url of
+     * the transports it wraps, which may be shared by many transports.
+     * A circuit starts closed, letting calls through. After threshold
+     * failures in a row it opens: calls are rejected at once with a
+     * TCircuitOpenException with the CircuitOpen reason, without being sent.
+     * After resetTimeout milliseconds it becomes half-open, letting one call
+     * through to probe the service: if it succeeds the circuit closes, if it
+     * fails the circuit opens again. Other calls made meanwhile fail as if
+     * the circuit were open.
+     * Only failures with a reason in the reasons setting count; exceptions
+     * raised by the service itself, for instance, show that it is up, while
+     * aborted calls show nothing. Nor do http responses with a 4xx status
+     * count, whatever their reason: a malformed request does not make the
+     * endpoint unhealthy.
+     * The breaker emits a statechange event, with the url, state, previous
+     * state and, on opening, the error which opened the circuit, whenever a
+     * circuit changes state.
+     * Any transport which takes interceptors may be put behind a breaker;
+     * wrap refuses others.
+     */
+    Thrift.CircuitBreaker = function (options) {
+        var breaker = this;
+        options = options || {};
+        Object.keys(Thrift.CircuitBreaker.DEFAULTS).forEach(function (key) {
+            breaker[key] = options[key] !== undefined ? options[key] : Thrift.CircuitBreaker.DEFAULTS[key];
+        });
+        this.circuits = {};
+    };
+
+    /**
+     * The settings used for those not given to a CircuitBreaker.
+     * @readonly
+     * @property {number} threshold - Failures in a row which open a circuit.
+     * @property {number} resetTimeout - Milliseconds a circuit stays open
+     * before a call may probe the service.
+     * @property {string[]} reasons - The transport exception reasons which
+     * count as failures of the endpoint.
+     */
+    Thrift.CircuitBreaker.DEFAULTS = {
+        threshold: 5,
+        resetTimeout: 30000,
+        reasons: [
+            'RequestTimeout', 'RequestError', 'ProxyError', 'ServiceError', 'GeneralServerError',
+            'ConnectionOpenError', 'ConnectionSendError', 'ConnectionClosed', 'ReconnectFailed'
+        ]
+    };
+
+    Thrift.CircuitBreaker.prototype = {
+        constructor: Thrift.CircuitBreaker,
+        /**
+         * Puts a transport behind this breaker, by adding an interceptor.
+         * @param {object} transport - A transport with a use method.
+         * @returns {object} The transport.
+         * @throws {TypeError} If the transport does not take interceptors.
+         */
+        wrap: function (transport) {
+            if (!transport || typeof transport.use !== 'function') {
+                throw new TypeError('A CircuitBreaker can only wrap a transport which takes interceptors, ' +
+                    'such as a TXHRTransport');
+            }
+            transport.use(this.interceptor());
+            return transport;
+        },
+        /**
+         * Makes an interceptor applying this breaker to the calls of a
+         * transport, by the url of the transport.
+         * @returns {function} The interceptor.
+         */
+        interceptor: function () {
+            var breaker = this;
+            return function (context, next) {
+                var url = context.transport.url,
+                    circuit = breaker.__circuit(url);
+                if (circuit.state === 'open' || (circuit.state === 'half-open' && circuit.probing)) {
+                    return Promise.reject(new TCircuitOpenException({
+                        reason: 'CircuitOpen',
+                        message: 'Calls to ' + url + ' are failing; the call was not sent',
+                        suggestions: 'The service may be down; calls will be let through again to see if it has recovered',
+                        data: context
+                    }));
+                }
+                if (circuit.state === 'half-open') {
+                    circuit.probing = true;
+                }
+                return next().then(function (result) {
+                    breaker.__succeeded(url);
+                    return result;
+                }, function (err) {
+                    var reason = err && err.reason;
+                    if (breaker.reasons.indexOf(reason) !== -1 && !isClientError(err)) {
+                        breaker.__failed(url, err);
+                    } else if (UNANSWERED.indexOf(reason) !== -1) {
+                        circuit.probing = false;
+                    } else {
+                        breaker.__succeeded(url);
+                    }
+                    throw err;
+                });
+            };
+        },
+        /**
+         * The state of the circuit for a url.
+         * @param {string} url - The endpoint url.
+         * @returns {string} closed, open or half-open.
+         */
+        getState: function (url) {
+            return this.circuits[url] ? this.circuits[url].state : 'closed';
+        },
+        /**
+         * Closes the circuit for a url, or all circuits, e.g. when the user
+         * asks to try again.
+         * @param {string} [url] - The endpoint url.
+         */
+        reset: function (url) {
+            var breaker = this;
+            (url === undefined ? Object.keys(this.circuits) : [url]).forEach(function (key) {
+                if (breaker.circuits[key]) {
+                    breaker.__succeeded(key);
+                }
+            });
+        },
+        __circuit: function (url) {
+            if (!this.circuits[url]) {
+                this.circuits[url] = {state: 'closed', failures: 0, probing: false, timer: null};
+            }
+            return this.circuits[url];
+        },
+        __setState: function (url, state, info) {
+            var circuit = this.circuits[url],
+                event = {url: url, state: state, previous: circuit.state};
+            if (info) {
+                Object.keys(info).forEach(function (key) {
+                    event[key] = info[key];
+                });
+            }
+            circuit.state = state;
+            this.emit('statechange', event);
+        },
+        __succeeded: function (url) {
+            var circuit = this.__circuit(url);
+            circuit.failures = 0;
+            circuit.probing = false;
+            if (circuit.timer) {
+                clearTimeout(circuit.timer);
+                circuit.timer = null;
+            }
+            if (circuit.state !== 'closed') {
+                this.__setState(url, 'closed');
+            }
+        },
+        __failed: function (url, err) {
+            var breaker = this,
+                circuit = this.__circuit(url);
+            circuit.failures += 1;
+            if (circuit.state === 'open' ||
+                    (circuit.state === 'closed' && circuit.failures < this.threshold)) {
+                return;
+            }
+            circuit.probing = false;
+            this.__setState(url, 'open', {failures: circuit.failures, error: err});
+            circuit.timer = setTimeout(function () {
+                circuit.timer = null;
+                breaker.__setState(url, 'half-open');
+            }, this.resetTimeout);
+        }
+    };
+    Thrift.Events.mixin(Thrift.CircuitBreaker.prototype);
+
+    return Thrift;
+});
@@ -0,0 +1,430 @@
+/*global define, indexedDB */
+/*jslint white: true */
+
+/**
+ * A cache of the results of read-only methods, applied to a transport as an
+ * interceptor, so that calls repeating an earlier one are answered without
+ * a round trip.
+ * @example
+ *     var cache = new Thrift.ResponseCache({
+ *         methods: ['get_taxon', 'get_genome_info'],
+ *         ttl: 5 * 60 * 1000,
+ *         store: Thrift.ResponseCache.webStorage(window.sessionStorage)
+ *     });
+ *     cache.wrap(transport);
+ *     // Later, after the data has changed:
+ *     cache.invalidate('get_genome_info');
+ */
+define([
+    './core',
+    'bluebird'
+], function (Thrift, Promise) {
+    'use strict';
+
+    /*
+     * Reads a value of the given type through the protocol methods, as skip
+     * does, returning text which is the same for equal values. Counting the
+     * bytes read would not do: some protocols, such as TJSONProtocol, take
+     * the whole message as they read its header.
+     */
+    function readText(input, type) {
+        var parts = [],
+            header, value, i;
+        switch (type) {
+            case Thrift.Type.BOOL:
+                return String(Boolean(input.readBool().value));
+            case Thrift.Type.BYTE:
+                return String(input.readByte().value);
+            case Thrift.Type.I16:
+                return String(input.readI16().value);
+            case Thrift.Type.I32:
+                return String(input.readI32().value);
+            case Thrift.Type.I64:
+                return String(input.readI64().value);
+            case Thrift.Type.DOUBLE:
+                return String(input.readDouble().value);
+            case Thrift.Type.STRING:
+                value = input.readBinary().value;
+                return typeof value === 'string' ? JSON.stringify(value) : hex(value);
+            case Thrift.Type.STRUCT:
+                input.readStructBegin();
+                while (true) {
+                    header = input.readFieldBegin();
+                    if (header.ftype === Thrift.Type.STOP) {
+                        break;
+                    }
+                    parts.push(header.fid + ':' + readText(input, header.ftype));
+                    input.readFieldEnd();
+                }
+                input.readStructEnd();
+                return '{' + parts.join(',') + '}';
+            case Thrift.Type.MAP:
+                header = input.readMapBegin();
+                for (i = 0; i < header.size; i += 1) {
+                    // As in generated code, for the JSON protocol.
+                    if (i > 0 && input.rstack.length > input.rpos[input.rpos.length - 1] + 1) {
+                        input.rstack.pop();
+                    }
+                    value = readText(input, header.ktype);
+                    parts.push(value + ':' + readText(input, header.vtype));
+                }
+                input.readMapEnd();
+                return '{' + parts.join(',') + '}';
+            case Thrift.Type.SET:
+            case Thrift.Type.LIST:
+                header = input[type === Thrift.Type.SET ? 'readSetBegin' : 'readListBegin']();
+                for (i = 0; i < header.size; i += 1) {
+                    parts.push(readText(input, header.etype));
+                }
+                input[type === Thrift.Type.SET ? 'readSetEnd' : 'readListEnd']();
+                return '[' + parts.join(',') + ']';
+            default:
+                input.skip(type);
+                return '';
+        }
+    }
+
+    /*
+     * The arguments of the message a call sends, which is the struct
+     * following the message header, as text. The header, which holds the
+     * sequence id, differs from call to call; the arguments do not.
+     */
+    function argumentText(context) {
+        var input = context.transport.__callClient(context.client, new Uint8Array(context.postData)).input;
+        input.readMessageBegin();
+        return readText(input, Thrift.Type.STRUCT);
+    }
+
+    function hex(bytes) {
+        var digits = [],
+            i;
+        for (i = 0; i < bytes.length; i += 1) {
+            digits.push((bytes[i] < 16 ? '0' : '') + bytes[i].toString(16));
+        }
+        return digits.join('');
+    }
+
+    /**
+     * Initializes a response cache.
+     * @constructor
+     * @param {object} [options] - Settings to use in place of those in
+     * Thrift.ResponseCache.DEFAULTS, and:
+     * @param {object} [options.store] - Where to keep results beyond the
+     * page, such as made by Thrift.ResponseCache.webStorage or
+     * Thrift.ResponseCache.indexedDB: an object with get(key),
+     * set(key, entry), remove(key) and keys() methods, each of which may
+     * return a promise.
+     * @param {function} [options.scope] - Called with the interceptor
+     * context of each call, returns what else keeps results apart, such as
+     * the name of the signed-in user; results cached in one scope are not
+     * used in another.
+     * @classdesc A ResponseCache keeps the results of successful calls of
+     * the methods in its methods setting, by method name, endpoint url,
+     * scope and the serialized arguments, for ttl milliseconds. A call
+     * repeating a cached one is answered with the cached result without
+     * being sent. The cache holds up to maxEntries results, dropping those
+     * used least recently to make room. Failed calls and oneway calls are
+     * not cached.
+     * Results kept in memory are shared: each call answered from the cache
+     * gets the same object, so callers must not change it.
+     * A call whose options have cache: false is always sent, and its result
+     * replaces any cached one.
+     * With a store, results are written through to it and looked for there
+     * when not in memory; results read back from a store are plain data, as
+     * written by it (structs come back as plain objects). Results in a
+     * store outlive the page, and so the sign-in of the user: give a scope
+     * telling users apart, or invalidate the cache when the user signs out.
+     * The cache works with any transport which takes interceptors: the xhr,
+     * fetch, batching and WebSocket transports, and the framed and header
+     * transports wrapping them.
+     */
+    Thrift.ResponseCache = function (options) {
+        var cache = this;
+        options = options || {};
+        Object.keys(Thrift.ResponseCache.DEFAULTS).forEach(function (key) {
+            cache[key] = options[key] !== undefined ? options[key] : Thrift.ResponseCache.DEFAULTS[key];
+        });
+        this.store = options.store || null;
+        this.scope = options.scope || null;
+        this.entries = {};
+        this.size = 0;
+        this.uses = 0;
+    };
+
+    /**
+     * The settings used for those not given to a ResponseCache.
+     * @readonly
+     * @property {string[]} methods - The methods whose results are cached,
+     * which must be free of side effects.
+     * @property {number} ttl - Milliseconds a result is kept.
+     * @property {number} maxEntries - The most results kept in memory.
+     */
+    Thrift.ResponseCache.DEFAULTS = {
+        methods: [],
+        ttl: 60000,
+        maxEntries: 500
+    };
+
+    Thrift.ResponseCache.prototype = {
+        constructor: Thrift.ResponseCache,
+        /**
+         * Puts a cache in front of a transport, by adding an interceptor.
+         * @param {object} transport - A transport with a use method.
+         * @returns {object} The transport.
+         * @throws {TypeError} If the transport does not take interceptors.
+         */
+        wrap: function (transport) {
+            if (!transport || typeof transport.use !== 'function') {
+                throw new TypeError('A ResponseCache can only wrap a transport which takes interceptors, ' +
+                    'such as a TXHRTransport');
+            }
+            transport.use(this.interceptor());
+            return transport;
+        },
+        /**
+         * Makes an interceptor applying this cache to the calls of a
+         * transport.
+         * @returns {function} The interceptor.
+         */
+        interceptor: function () {
+            var cache = this;
+            return function (context, next) {
+                var key;
+                // A oneway call has no result to keep.
+                if (cache.methods.indexOf(context.method) === -1 || context.oneway) {
+                    return next();
+                }
+                key = cache.keyFor(context);
+
+                function fetch() {
+                    return next().then(function (result) {
+                        cache.__put(key, context.method, result);
+                        return result;
+                    });
+                }
+
+                if (context.options.cache === false) {
+                    return fetch();
+                }
+                return cache.__get(key).then(function (entry) {
+                    return entry ? entry.value : fetch();
+                });
+            };
+        },
+        /**
+         * The key a call is cached under: the method name, the endpoint url,
+         * the scope if the cache has one, and the serialized arguments.
+         * @param {object} context - The interceptor context of the call.
+         * @returns {string}
+         */
+        keyFor: function (context) {
+            return Thrift.ResponseCache.keyFor(context, this.scope ? this.scope(context) : undefined);
+        },
+        /**
+         * Drops the cached results of a method, or all results.
+         * @param {string} [method] - The method name.
+         * @returns {Promise} Resolved once they are gone from the store too.
+         */
+        invalidate: function (method) {
+            var cache = this,
+                prefix = method === undefined ? '' : method + ' ';
+            function matches(key) {
+                return key.slice(0, prefix.length) === prefix;
+            }
+            Object.keys(this.entries).filter(matches).forEach(function (key) {
+                cache.__remove(key);
+            });
+            if (!this.store) {
+                return Promise.resolve();
+            }
+            return Promise.resolve(this.store.keys()).then(function (keys) {
+                return Promise.all(keys.filter(matches).map(function (key) {
+                    return cache.store.remove(key);
+                }));
+            }).return(undefined);
+        },
+        __get: function (key) {
+            var cache = this,
+                entry = this.entries[key];
+            if (entry && entry.expires > Date.now()) {
+                this.uses += 1;
+                entry.used = this.uses;
+                return Promise.resolve(entry);
+            }
+            if (entry) {
+                this.__remove(key);
+            }
+            if (!this.store) {
+                return Promise.resolve(null);
+            }
+            // A store which fails is no worse than an empty one.
+            return Promise.try(function () {
+                return cache.store.get(key);
+            }).then(function (stored) {
+                if (!stored || stored.expires <= Date.now()) {
+                    return null;
+                }
+                cache.__keep(key, stored);
+                return stored;
+            }).catch(function () {
+                return null;
+            });
+        },
+        __put: function (key, method, value) {
+            var entry = {method: method, value: value, expires: Date.now() + this.ttl};
+            this.__keep(key, entry);
+            if (this.store) {
+                Promise.try(function () {
+                    return this.store.set(key, entry);
+                }.bind(this)).catch(function () {
+                    return null;
+                });
+            }
+        },
+        __keep: function (key, entry) {
+            var cache = this,
+                oldest;
+            if (!this.entries[key]) {
+                if (this.size >= this.maxEntries) {
+                    oldest = Object.keys(this.entries).reduce(function (found, other) {
+                        return (found === null || cache.entries[other].used < cache.entries[found].used) ? other : found;
+                    }, null);
+                    this.__remove(oldest);
+                }
+                this.size += 1;
+            }
+            this.uses += 1;
+            this.entries[key] = {method: entry.method, value: entry.value, expires: entry.expires, used: this.uses};
+        },
+        __remove: function (key) {
+            if (this.entries[key]) {
+                delete this.entries[key];
+                this.size -= 1;
+            }
+        }
+    };
+
+    /**
+     * The key for a call: the method name, the url of the transport, the
+     * scope if given and the serialized arguments, separated by spaces,
+     * which are the same for calls repeating one another, whatever their
+     * sequence ids or protocol.
+     * @param {object} context - The interceptor context of the call.
+     * @param {string} [scope] - What else keeps calls apart.
+     * @returns {string}
+     */
+    Thrift.ResponseCache.keyFor = function (context, scope) {
+        var parts = [context.method, context.transport.url];
+        if (scope !== undefined && scope !== null) {
+            parts.push(JSON.stringify(String(scope)));
+        }
+        parts.push(argumentText(context));
+        return parts.join(' ');
+    };
+
+    /**
+     * Makes a store for a ResponseCache keeping results in a Web Storage
+     * area, as JSON.
+     * @param {Storage} storage - E.g. window.localStorage.
+     * @param {string} [prefix] - Put before the keys, to keep them apart
+     * from others in the storage; defaults to 'thrift-cache:'.
+     * @returns {object} The store.
+     */
+    Thrift.ResponseCache.webStorage = function (storage, prefix) {
+        prefix = prefix || 'thrift-cache:';
+        return {
+            get: function (key) {
+                var text = storage.getItem(prefix + key);
+                return text === null ? null : JSON.parse(text);
+            },
+            set: function (key, entry) {
+                storage.setItem(prefix + key, JSON.stringify(entry));
+            },
+            remove: function (key) {
+                storage.removeItem(prefix + key);
+            },
+            keys: function () {
+                var keys = [],
+                    i, key;
+                for (i = 0; i < storage.length; i += 1) {
+                    key = storage.key(i);
+                    if (key.slice(0, prefix.length) === prefix) {
+                        keys.push(key.slice(prefix.length));
+                    }
+                }
+                return keys;
+            }
+        };
+    };
+
+    /**
+     * Makes a store for a ResponseCache keeping results in an IndexedDB
+     * database, which is created if need be.
+     * @param {string} name - The database name.
+     * @param {IDBFactory} [factory] - Defaults to the global indexedDB.
+     * @returns {object} The store.
+     */
+    Thrift.ResponseCache.indexedDB = function (name, factory) {
+        var STORE = 'responses',
+            opened = null;
+
+        function open() {
+            if (!opened) {
+                opened = new Promise(function (resolve, reject) {
+                    var request = (factory || indexedDB).open(name, 1);
+                    request.onupgradeneeded = function () {
+                        request.result.createObjectStore(STORE);
+                    };
+                    request.onsuccess = function () {
+                        resolve(request.result);
+                    };
+                    request.onerror = function () {
+                        reject(request.error);
+                    };
+                });
+            }
+            return opened;
+        }
+
+        function run(mode, action) {
+            return open().then(function (db) {
+                return new Promise(function (resolve, reject) {
+                    var request = action(db.transaction(STORE, mode).objectStore(STORE));
+                    request.onsuccess = function () {
+                        resolve(request.result);
+                    };
+                    request.onerror = function () {
+                        reject(request.error);
+                    };
+                });
+            });
+        }
+
+        return {
+            get: function (key) {
+                return run('readonly', function (store) {
+                    return store.get(key);
+                }).then(function (entry) {
+                    return entry === undefined ? null : entry;
+                });
+            },
+            set: function (key, entry) {
+                return run('readwrite', function (store) {
+                    return store.put(entry, key);
+                });
+            },
+            remove: function (key) {
+                return run('readwrite', function (store) {
+                    return store['delete'](key);
+                });
+            },
+            keys: function () {
+                return run('readonly', function (store) {
+                    return store.getAllKeys();
+                });
+            }
+        };
+    };
+
+    return Thrift;
+});
@@ -0,0 +1,414 @@
+/*global define */
+/*jslint white: true */
+
+/**
+ * Service clients built at runtime from a plain description of the service,
+ * rather than from code generated by the Thrift compiler.
+ * @example
+ *     var client = Thrift.createClient({
+ *         name: 'thrift_service',
+ *         methods: {
+ *             add_integers: {
+ *                 args: [{id: 1, name: 'x', type: 'i64'}, {id: 2, name: 'y', type: 'i64'}],
+ *                 returns: 'i64'
+ *             }
+ *         }
+ *     }, Thrift.TBinaryProtocol, new Thrift.TXHRTransport('http://localhost/basic'));
+ *     client.add_integers(2, 2).then(function (sum) { ... });
+ */
+define([
+    './core',
+    'bluebird'
+], function (Thrift, Promise) {
+    'use strict';
+
+    function TDescriptorException(error) {
+        this.name = 'TDescriptorException';
+        this.reason = error.reason;
+        this.message = error.message;
+        this.suggestions = error.suggestions;
+        this.data = error.data;
+        this.stack = (new Error()).stack;
+    }
+    TDescriptorException.prototype = Object.create(Thrift.TException.prototype);
+    TDescriptorException.prototype.constructor = TDescriptorException;
+    Thrift.TDescriptorException = TDescriptorException;
+
+    /*
+     * The base types, by their IDL names, with the protocol methods which
+     * serialize them.
+     */
+    var BASE_TYPES = {
+        bool: {ttype: Thrift.Type.BOOL, read: 'readBool', write: 'writeBool'},
+        byte: {ttype: Thrift.Type.BYTE, read: 'readByte', write: 'writeByte'},
+        i8: {ttype: Thrift.Type.BYTE, read: 'readByte', write: 'writeByte'},
+        i16: {ttype: Thrift.Type.I16, read: 'readI16', write: 'writeI16'},
+        i32: {ttype: Thrift.Type.I32, read: 'readI32', write: 'writeI32'},
+        i64: {ttype: Thrift.Type.I64, read: 'readI64', write: 'writeI64'},
+        double: {ttype: Thrift.Type.DOUBLE, read: 'readDouble', write: 'writeDouble'},
+        string: {ttype: Thrift.Type.STRING, read: 'readString', write: 'writeString'},
+        binary: {ttype: Thrift.Type.STRING, read: 'readBinary', write: 'writeBinary'}
+    };
+
+    /**
+     * Initializes a codec, which serializes and deserializes values with
+     * the types named in a service descriptor.
+     * @constructor
+     * @param {object} descriptor - The service descriptor; see
+     * Thrift.createClient.
+     */
+    Thrift.TDescriptorCodec = function (descriptor) {
+        var codec = this;
+        this.types = descriptor.types || {};
+        // A class for each declared exception, so that they can be told
+        // apart with instanceof.
+        this.exceptions = {};
+        Object.keys(this.types).forEach(function (name) {
+            if (codec.types[name].kind === 'exception') {
+                codec.exceptions[name] = codec.__exceptionClass(name);
+            }
+        });
+    };
+
+    Thrift.TDescriptorCodec.prototype = {
+        __exceptionClass: function (name) {
+            var TDeclaredException = function (fields) {
+                var self = this;
+                Object.keys(fields).forEach(function (key) {
+                    self[key] = fields[key];
+                });
+                if (typeof this.message !== 'string') {
+                    this.message = name;
+                }
+                this.stack = (new Error()).stack;
+            };
+            Thrift.inherits(TDeclaredException, Thrift.TException, name);
+            return TDeclaredException;
+        },
+        /**
+         * Resolves a type as given in a descriptor: the name of a base type,
+         * the name of a type in the descriptor's types, or an object
+         * {list: type}, {set: type} or {map: [keyType, valueType]}.
+         * @param {string|object} type
+         * @returns {object} The resolved type, with its wire type as ttype.
+         * @throws {TDescriptorException} If the type is not known.
+         */
+        resolve: function (type) {
+            var declared;
+            if (typeof type === 'string') {
+                if (BASE_TYPES.hasOwnProperty(type)) {
+                    return {kind: 'base', ttype: BASE_TYPES[type].ttype, base: BASE_TYPES[type]};
+                }
+                declared = this.types.hasOwnProperty(type) ? this.types[type] : null;
+                if (declared) {
+                    switch (declared.kind) {
+                        case 'typedef':
+                            return this.resolve(declared.type);
+                        case 'enum':
+                            return {kind: 'base', ttype: Thrift.Type.I32, base: BASE_TYPES.i32};
+                        case 'struct':
+                        case 'union':
+                        case 'exception':
+                            return {
+                                kind: declared.kind,
+                                ttype: Thrift.Type.STRUCT,
+                                name: type,
+                                fields: declared.fields || []
+                            };
+                    }
+                }
+            } else if (type && typeof type === 'object') {
+                if (type.list !== undefined) {
+                    return {kind: 'list', ttype: Thrift.Type.LIST, elem: this.resolve(type.list)};
+                }
+                if (type.set !== undefined) {
+                    return {kind: 'set', ttype: Thrift.Type.SET, elem: this.resolve(type.set)};
+                }
+                if (type.map !== undefined) {
+                    return {
+                        kind: 'map',
+                        ttype: Thrift.Type.MAP,
+                        key: this.resolve(type.map[0]),
+                        value: this.resolve(type.map[1])
+                    };
+                }
+            }
+            throw new TDescriptorException({
+                reason: 'UnknownType',
+                message: 'The type ' + JSON.stringify(type) + ' is not a base type or declared in the descriptor',
+                suggestions: 'Declare structs, exceptions, enums and typedefs in the types of the descriptor',
+                data: type
+            });
+        },
+        /**
+         * Serializes a value.
+         * @param {object} output - The output protocol.
+         * @param {object} type - A type resolved by resolve.
+         * @param {*} value
+         */
+        write: function (output, type, value) {
+            var codec = this;
+            switch (type.kind) {
+                case 'base':
+                    output[type.base.write](value);
+                    break;
+                case 'list':
+                case 'set':
+                    output[type.kind === 'list' ? 'writeListBegin' : 'writeSetBegin'](type.elem.ttype, value.length);
+                    value.forEach(function (elem) {
+                        codec.write(output, type.elem, elem);
+                    });
+                    output[type.kind === 'list' ? 'writeListEnd' : 'writeSetEnd']();
+                    break;
+                case 'map':
+                    output.writeMapBegin(type.key.ttype, type.value.ttype, Thrift.objectLength(value));
+                    Object.keys(value).forEach(function (key) {
+                        codec.write(output, type.key, key);
+                        codec.write(output, type.value, value[key]);
+                    });
+                    output.writeMapEnd();
+                    break;
+                default:
+                    this.writeStruct(output, type, value);
+            }
+        },
+        /**
+         * Serializes a struct, union or exception, skipping the fields which
+         * are null or undefined and have no default.
+         * @param {object} output - The output protocol.
+         * @param {object} type - A resolved struct type.
+         * @param {object} value - The field values, by field name.
+         */
+        writeStruct: function (output, type, value) {
+            var codec = this;
+            output.writeStructBegin(type.name);
+            type.fields.forEach(function (field) {
+                var fieldValue = value[field.name],
+                    fieldType;
+                if (fieldValue === undefined && field['default'] !== undefined) {
+                    fieldValue = field['default'];
+                }
+                if (fieldValue === null || fieldValue === undefined) {
+                    return;
+                }
+                fieldType = codec.resolve(field.type);
+                output.writeFieldBegin(field.name, fieldType.ttype, field.id);
+                codec.write(output, fieldType, fieldValue);
+                output.writeFieldEnd();
+            });
+            output.writeFieldStop();
+            output.writeStructEnd();
+        },
+        /**
+         * Deserializes a value.
+         * @param {object} input - The input protocol.
+         * @param {object} type - A type resolved by resolve.
+         * @returns {*} The value; lists and sets are arrays, maps objects.
+         */
+        read: function (input, type) {
+            var result, header, i, key;
+            switch (type.kind) {
+                case 'base':
+                    return input[type.base.read]().value;
+                case 'list':
+                case 'set':
+                    header = input[type.kind === 'list' ? 'readListBegin' : 'readSetBegin']();
+                    result = [];
+                    for (i = 0; i < header.size; i += 1) {
+                        result.push(this.read(input, type.elem));
+                    }
+                    input[type.kind === 'list' ? 'readListEnd' : 'readSetEnd']();
+                    return result;
+                case 'map':
+                    header = input.readMapBegin();
+                    result = {};
+                    for (i = 0; i < header.size; i += 1) {
+                        // As in generated code, for the JSON protocol.
+                        if (i > 0 && input.rstack.length > input.rpos[input.rpos.length - 1] + 1) {
+                            input.rstack.pop();
+                        }
+                        key = this.read(input, type.key);
+                        result[key] = this.read(input, type.value);
+                    }
+                    input.readMapEnd();
+                    return result;
+                default:
+                    result = this.readStruct(input, type);
+                    if (type.kind === 'exception') {
+                        return new this.exceptions[type.name](result);
+                    }
+                    return result;
+            }
+        },
+        /**
+         * Deserializes a struct, union or exception into a plain object.
+         * Fields which are not in the message are null, or their default;
+         * unknown fields, and fields of the wrong type, are skipped.
+         * @param {object} input - The input protocol.
+         * @param {object} type - A resolved struct type.
+         * @returns {object} The field values, by field name.
+         */
+        readStruct: function (input, type) {
+            var codec = this,
+                result = {},
+                byId = {},
+                header, field, fieldType;
+            type.fields.forEach(function (field) {
+                result[field.name] = field['default'] !== undefined ? field['default'] : null;
+                byId[field.id] = field;
+            });
+            input.readStructBegin();
+            while (true) {
+                header = input.readFieldBegin();
+                if (header.ftype === Thrift.Type.STOP) {
+                    break;
+                }
+                field = byId.hasOwnProperty(header.fid) ? byId[header.fid] : null;
+                fieldType = field ? codec.resolve(field.type) : null;
+                if (fieldType && fieldType.ttype === header.ftype) {
+                    result[field.name] = codec.read(input, fieldType);
+                } else {
+                    input.skip(header.ftype);
+                }
+                input.readFieldEnd();
+            }
+            input.readStructEnd();
+            return result;
+        }
+    };
+
+    /*
+     * Creates the client method for one service method.
+     */
+    function makeMethod(serviceName, codec, name, method) {
+        var params = method.args || [],
+            throwsFields = method['throws'] || [],
+            returnsVoid = method.returns === undefined || method.returns === 'void',
+            argsType = {
+                kind: 'struct',
+                name: serviceName + '_' + name + '_args',
+                fields: params
+            },
+            resultType = {
+                kind: 'struct',
+                name: serviceName + '_' + name + '_result',
+                fields: (returnsVoid ? [] : [{id: 0, name: 'success', type: method.returns}]).concat(throwsFields)
+            };
+
+        function recv() {
+            var header = this.input.readMessageBegin(),
+                result, x, i;
+            if (header.mtype === Thrift.MessageType.EXCEPTION) {
+                x = new Thrift.TApplicationException();
+                x.read(this.input);
+                this.input.readMessageEnd();
+                throw x;
+            }
+            result = codec.readStruct(this.input, resultType);
+            this.input.readMessageEnd();
+            for (i = 0; i < throwsFields.length; i += 1) {
+                if (result[throwsFields[i].name] !== null) {
+                    throw result[throwsFields[i].name];
+                }
+            }
+            if (returnsVoid) {
+                return null;
+            }
+            if (result.success !== null) {
+                return result.success;
+            }
+            throw new Thrift.TApplicationException(name + ' failed: unknown result',
+                Thrift.TApplicationExceptionType.MISSING_RESULT);
+        }
+
+        return function () {
+            var values = {},
+                options = arguments[params.length] || {},
+                callArgs = Array.prototype.slice.call(arguments, 0, params.length),
+                transport = this.output.getTransport(),
+                postData, i;
+            for (i = 0; i < params.length; i += 1) {
+                values[params[i].name] = callArgs[i];
+            }
+            try {
+                this.output.writeMessageBegin(name,
+                    method.oneway ? Thrift.MessageType.ONEWAY : Thrift.MessageType.CALL, this.seqid);
+                codec.writeStruct(this.output, argsType, values);
+                this.output.writeMessageEnd();
+            } catch (ex) {
+                // Drop the partly written message.
+                transport.flush(true);
+                return Promise.reject(ex);
+            }
+            postData = transport.flush(true);
+            // The options always come last, so that the transport finds them
+            // even when the last argument of the method is a struct.
+            return transport.jqRequest(this, postData, callArgs.concat([options]), method.oneway ? function () {
+                return null;
+            } : recv, Boolean(method.oneway));
+        };
+    }
+
+    /**
+     * Creates a service client from a description of the service, with a
+     * method for each method of the service. A method takes the arguments of
+     * the service method in order, then optionally the call options of the
+     * transport (e.g. {signal: signal}), and returns a promise of the result.
+     * Exceptions declared by a method reject the promise with an instance of
+     * the matching class in the client's exceptions.
+     *
+     * A descriptor is plain data, so it may be loaded as JSON:
+     *
+     *     {
+     *         name: 'Store',
+     *         types: {
+     *             Item: {kind: 'struct', fields: [{id: 1, name: 'id', type: 'string'}]},
+     *             NotFound: {kind: 'exception', fields: [{id: 1, name: 'message', type: 'string'}]},
+     *             Items: {kind: 'typedef', type: {list: 'Item'}}
+     *         },
+     *         methods: {
+     *             get_items: {
+     *                 args: [{id: 1, name: 'ids', type: {set: 'string'}}],
+     *                 returns: 'Items',
+     *                 throws: [{id: 1, name: 'notFound', type: 'NotFound'}]
+     *             }
+     *         }
+     *     }
+     *
+     * Types are the base type names (bool, byte, i8, i16, i32, i64, double,
+     * string, binary), names declared in types (of the kinds struct, union,
+     * exception, enum or typedef), and {list: type}, {set: type} and
+     * {map: [keyType, valueType]}. A method without returns, or returning
+     * void, resolves with null; a method with oneway: true resolves with null
+     * without waiting for a reply, once the transport has delivered the
+     * message.
+     * @param {object} serviceDescriptor - The service description.
+     * @param {function} protocolFactory - A protocol constructor, e.g.
+     * Thrift.TBinaryProtocol, or a function returning a protocol for a
+     * transport.
+     * @param {object} transport - The transport to call the service over.
+     * @returns {object} The client.
+     */
+    Thrift.createClient = function (serviceDescriptor, protocolFactory, transport) {
+        var codec = new Thrift.TDescriptorCodec(serviceDescriptor),
+            methods = serviceDescriptor.methods || {},
+            client = {},
+            protocol;
+        if (protocolFactory.prototype && typeof protocolFactory.prototype.writeMessageBegin === 'function') {
+            protocol = new protocolFactory(transport);
+        } else {
+            protocol = protocolFactory(transport);
+        }
+        Object.keys(methods).forEach(function (name) {
+            client[name] = makeMethod(serviceDescriptor.name || 'service', codec, name, methods[name]);
+        });
+        client.input = protocol;
+        client.output = protocol;
+        client.seqid = 0;
+        client.descriptor = serviceDescriptor;
+        client.exceptions = codec.exceptions;
+        return client;
+    };
+
+    return Thrift;
+});
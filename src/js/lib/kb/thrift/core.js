@@ -151,15 +151,28 @@ define([], function () {
         return this.message;
     };
 
+    /**
+     * Initializes a Thrift TProtocolException instance.
+     * @constructor
+     * @augments Thrift.TException
+     * @classdesc TProtocolException is the base class for exceptions raised
+     * by the protocol implementations while serializing or deserializing.
+     */
+    Thrift.TProtocolException = function (message) {
+        this.name = 'TProtocolException';
+        this.message = message;
+    };
+    Thrift.inherits(Thrift.TProtocolException, Thrift.TException, 'TProtocolException');
+
     /**
      * Thrift Application Exception type string to Id mapping.
      * @readonly
      * @property {number}  UNKNOWN                 - Unknown/undefined.
      * @property {number}  UNKNOWN_METHOD          - Client attempted to call a method unknown to the server.
      * @property {number}  INVALID_MESSAGE_TYPE    - Client passed an unknown/unsupported MessageType.
-     * @property {number}  WRONG_METHOD_NAME       - Unused.
-     * @property {number}  BAD_SEQUENCE_ID         - Unused in Thrift RPC, used to flag proprietary sequence number errors.
-     * @property {number}  MISSING_RESULT          - Raised by a server processor if a handler fails to supply the required return result.
+     * @property {number}  WRONG_METHOD_NAME       - The reply names a different method than the call.
+     * @property {number}  BAD_SEQUENCE_ID         - The reply has a different sequence id than the call.
+     * @property {number}  MISSING_RESULT          - A reply carries neither a result nor a declared exception.
      * @property {number}  INTERNAL_ERROR          - Something bad happened.
      * @property {number}  PROTOCOL_ERROR          - The protocol layer failed to serialize or deserialize data.
      * @property {number}  INVALID_TRANSFORM       - Unused.
@@ -0,0 +1,104 @@
+/*global define */
+/*jslint white: true */
+
+/**
+ * Sharing of one request among identical calls made while it is in flight,
+ * applied to a transport as an interceptor; e.g. when several widgets
+ * mounting together ask for the same object.
+ * @example
+ *     new Thrift.Deduplicator({exclude: ['save_object']}).wrap(transport);
+ */
+define([
+    './core',
+    'bluebird',
+    './cache'
+], function (Thrift, Promise) {
+    'use strict';
+
+    /**
+     * Initializes a deduplicator.
+     * @constructor
+     * @param {object} [options]
+     * @param {string[]} [options.exclude] - Methods whose calls are always
+     * sent, since running them twice differs from running them once.
+     * @classdesc A Deduplicator lets a call which repeats one in flight, with
+     * the same method, endpoint url and serialized arguments (as keyed by
+     * Thrift.ResponseCache.keyFor), wait for the result of that one rather
+     * than be sent itself. All of them settle alike, with
+     * the same result object, which they should therefore not change, or the
+     * same exception. Calls of excluded methods, and calls whose options have
+     * dedupe: false, are always sent.
+     * If the call which was sent is cancelled, the others are not: the first
+     * of them is sent in its place.
+     * Any transport taking interceptors may be wrapped, the WebSocket and
+     * batching transports as well as the http ones.
+     */
+    Thrift.Deduplicator = function (options) {
+        this.exclude = (options && options.exclude) || [];
+        this.inFlight = {};
+    };
+
+    Thrift.Deduplicator.prototype = {
+        constructor: Thrift.Deduplicator,
+        /**
+         * Puts the deduplicator in front of a transport, by adding an
+         * interceptor.
+         * @param {object} transport - A transport with a use method.
+         * @returns {object} The transport.
+         * @throws {TypeError} If the transport does not take interceptors.
+         */
+        wrap: function (transport) {
+            if (!transport || typeof transport.use !== 'function') {
+                throw new TypeError('A Deduplicator can only wrap a transport which takes interceptors, ' +
+                    'such as a TXHRTransport');
+            }
+            transport.use(this.interceptor());
+            return transport;
+        },
+        /**
+         * Makes an interceptor applying this deduplicator to the calls of a
+         * transport.
+         * @returns {function} The interceptor.
+         */
+        interceptor: function () {
+            var deduplicator = this;
+            return function (context, next) {
+                var key;
+                if (deduplicator.exclude.indexOf(context.method) !== -1 || context.options.dedupe === false) {
+                    return next();
+                }
+                key = Thrift.ResponseCache.keyFor(context);
+
+                function share() {
+                    var shared = deduplicator.inFlight[key];
+                    if (shared) {
+                        return shared.catch(function (err) {
+                            if (err && err.reason === 'RequestAbort') {
+                                return share();
+                            }
+                            throw err;
+                        });
+                    }
+                    shared = Promise.resolve(next()).finally(function () {
+                        if (deduplicator.inFlight[key] === shared) {
+                            delete deduplicator.inFlight[key];
+                        }
+                    });
+                    deduplicator.inFlight[key] = shared;
+                    return shared;
+                }
+
+                return share();
+            };
+        },
+        /**
+         * Returns the number of requests in flight shared by calls.
+         * @returns {number}
+         */
+        getInFlightCount: function () {
+            return Object.keys(this.inFlight).length;
+        }
+    };
+
+    return Thrift;
+});
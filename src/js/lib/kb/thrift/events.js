@@ -0,0 +1,84 @@
+/*global define */
+/*jslint white: true */
+
+/**
+ * A minimal event emitter, mixed into the prototypes of transports which
+ * report on their own state.
+ * @example
+ *     transport.on('statechange', function (event) {
+ *         console.log(event.state);
+ *     });
+ */
+define([
+    './core'
+], function (Thrift) {
+    'use strict';
+
+    Thrift.Events = {
+        /**
+         * Registers a listener for an event.
+         * @param {string} name - The event name.
+         * @param {function} listener - Called with the event object.
+         * @returns {object} This object, for chaining.
+         */
+        on: function (name, listener) {
+            if (!this.listeners) {
+                this.listeners = {};
+            }
+            if (!this.listeners[name]) {
+                this.listeners[name] = [];
+            }
+            this.listeners[name].push(listener);
+            return this;
+        },
+        /**
+         * Removes a listener registered with on.
+         * @param {string} name - The event name.
+         * @param {function} listener - The listener to remove.
+         * @returns {object} This object, for chaining.
+         */
+        off: function (name, listener) {
+            var list = this.listeners && this.listeners[name],
+                pos = list ? list.indexOf(listener) : -1;
+            if (pos !== -1) {
+                list.splice(pos, 1);
+            }
+            return this;
+        },
+        /**
+         * Calls the listeners for an event. An exception thrown by a listener
+         * does not stop the others from being called, nor reach the emitter.
+         * @param {string} name - The event name.
+         * @param {object} event - The event object passed to the listeners.
+         */
+        emit: function (name, event) {
+            var list = this.listeners && this.listeners[name];
+            if (!list) {
+                return;
+            }
+            list.slice().forEach(function (listener) {
+                try {
+                    listener.call(this, event);
+                } catch (ex) {
+                    setTimeout(function () {
+                        throw ex;
+                    }, 0);
+                }
+            }, this);
+        }
+    };
+
+    /**
+     * Copies the event methods onto an object, usually a prototype.
+     * @param {object} target - The object to receive the methods.
+     * @returns {object} The target.
+     */
+    Thrift.Events.mixin = function (target) {
+        target.on = Thrift.Events.on;
+        target.off = Thrift.Events.off;
+        target.emit = Thrift.Events.emit;
+        return target;
+    };
+
+    return Thrift;
+});
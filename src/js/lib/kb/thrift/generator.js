@@ -0,0 +1,664 @@
+/*global define */
+/*jslint white: true */
+
+/**
+ * Generates AMD modules for the types and services of a .thrift file, in
+ * the shape of those of the Thrift 0.9.2 compiler, but with client methods
+ * which return promises, give each call its own sequence id and reject with
+ * the declared exceptions of the service.
+ * @example
+ *     var files = Thrift.Generator.generate(source, {fileName: 'basic.thrift'});
+ *     // files['basic_types.js'], files['thrift_service.js']
+ */
+define([
+    './core',
+    './idl'
+], function (Thrift) {
+    'use strict';
+
+    var BASE_TYPES = {
+            bool: {ttype: 'BOOL', method: 'Bool', jsdoc: 'boolean'},
+            byte: {ttype: 'BYTE', method: 'Byte', jsdoc: 'number'},
+            i8: {ttype: 'BYTE', method: 'Byte', jsdoc: 'number'},
+            i16: {ttype: 'I16', method: 'I16', jsdoc: 'number'},
+            i32: {ttype: 'I32', method: 'I32', jsdoc: 'number'},
+            i64: {ttype: 'I64', method: 'I64', jsdoc: 'number|Thrift.Int64|BigInt'},
+            double: {ttype: 'DOUBLE', method: 'Double', jsdoc: 'number'},
+            string: {ttype: 'STRING', method: 'String', jsdoc: 'string'},
+            binary: {ttype: 'STRING', method: 'Binary', jsdoc: 'Uint8Array'}
+        },
+        MAX_SEQID = '0x7fffffff';
+
+    function fail(reason, message, data) {
+        throw new Thrift.TIDLException({
+            reason: reason,
+            message: message,
+            data: data
+        });
+    }
+
+    /*
+     * Collects indented lines of code.
+     */
+    function Code() {
+        this.lines = [];
+        this.depth = 0;
+    }
+
+    Code.prototype = {
+        line: function (text) {
+            this.lines.push(text === '' ? '' : new Array(this.depth + 1).join('  ') + text);
+            return this;
+        },
+        open: function (text) {
+            this.line(text);
+            this.depth += 1;
+            return this;
+        },
+        close: function (text) {
+            this.depth -= 1;
+            this.line(text);
+            return this;
+        },
+        doc: function (lines) {
+            var code = this;
+            this.line('/**');
+            lines.forEach(function (text) {
+                text.split('\n').forEach(function (part) {
+                    code.line((' * ' + part).replace(/\s+$/, ''));
+                });
+            });
+            this.line(' */');
+            return this;
+        },
+        toString: function () {
+            return this.lines.join('\n') + '\n';
+        }
+    };
+
+    /**
+     * Initializes a generator for one parsed document.
+     * @constructor
+     * @param {object} document - A document from Thrift.IDL.parse.
+     * @param {object} options - See Thrift.Generator.generate.
+     */
+    function Generator(document, options) {
+        var generator = this;
+        this.document = document;
+        this.options = options;
+        this.fileName = options.fileName || 'an IDL file';
+        this.namespace = Generator.namespaceOf(document, options.namespace || 'thrift');
+        this.typesModuleId = options.typesModule || './' + this.namespace + '_types';
+        this.thriftModuleId = options.thriftModule || 'thrift';
+        this.promiseModuleId = options.promiseModule || 'bluebird';
+        this.includes = {};
+        Object.keys(options.includes || {}).forEach(function (prefix) {
+            var included = options.includes[prefix],
+                namespace = Generator.namespaceOf(included, prefix);
+            generator.includes[prefix] = {
+                document: included,
+                namespace: namespace,
+                module: './' + namespace + '_types'
+            };
+        });
+        this.usedIncludes = {};
+        this.counter = 0;
+    }
+
+    /*
+     * The js namespace of a document, as an identifier.
+     */
+    Generator.namespaceOf = function (document, fallback) {
+        var namespace = document.namespaces.js || document.namespaces['*'] || fallback;
+        return namespace.replace(/\./g, '_');
+    };
+
+    Generator.prototype = {
+        temp: function (prefix) {
+            this.counter += 1;
+            return prefix + this.counter;
+        },
+        header: function (code, dependencies, names) {
+            code.line('/*global define */');
+            code.line('/*jslint white:true */');
+            code.line('define([' + dependencies.map(function (dep) {
+                return JSON.stringify(dep);
+            }).join(', ') + '], function (' + names.join(', ') + ') {');
+            code.line('"use strict";');
+            code.line('//');
+            code.line('// Autogenerated by the kbase-data-thrift-js generator from ' + this.fileName);
+            code.line('//');
+            code.line('// DO NOT EDIT UNLESS YOU ARE SURE THAT YOU KNOW WHAT YOU ARE DOING');
+            code.line('//');
+            code.line('');
+        },
+        /*
+         * Resolves a type of the document, following typedefs, into
+         * {kind, ttype, ref, jsdoc} and the element types of containers.
+         */
+        resolve: function (type) {
+            var document = this.document,
+                namespace = this.namespace,
+                name = type,
+                dot, prefix, declared, elem, key, value;
+            if (typeof type === 'object') {
+                if (type.map) {
+                    key = this.resolve(type.map[0]);
+                    value = this.resolve(type.map[1]);
+                    return {
+                        kind: 'map',
+                        ttype: 'MAP',
+                        key: key,
+                        value: value,
+                        jsdoc: 'Object.<' + (key.jsdoc === 'string' ? 'string' : key.jsdoc) + ', ' + value.jsdoc + '>'
+                    };
+                }
+                elem = this.resolve(type.list !== undefined ? type.list : type.set);
+                return {
+                    kind: type.list !== undefined ? 'list' : 'set',
+                    ttype: type.list !== undefined ? 'LIST' : 'SET',
+                    elem: elem,
+                    jsdoc: 'Array.<' + elem.jsdoc + '>'
+                };
+            }
+            if (BASE_TYPES.hasOwnProperty(type)) {
+                return {
+                    kind: 'base',
+                    ttype: BASE_TYPES[type].ttype,
+                    method: BASE_TYPES[type].method,
+                    jsdoc: BASE_TYPES[type].jsdoc
+                };
+            }
+            dot = type.lastIndexOf('.');
+            if (dot !== -1 && this.includes.hasOwnProperty(type.slice(0, dot))) {
+                prefix = type.slice(0, dot);
+                document = this.includes[prefix].document;
+                namespace = this.includes[prefix].namespace;
+                name = type.slice(dot + 1);
+                this.usedIncludes[prefix] = true;
+            }
+            declared = document.types.hasOwnProperty(name) ? document.types[name] : null;
+            if (!declared) {
+                fail('UnknownType', 'The type ' + type + ' is not defined in ' + this.fileName +
+                    (dot !== -1 ? ' or its includes' : ''), type);
+            }
+            switch (declared.kind) {
+                case 'typedef':
+                    if (document !== this.document) {
+                        // The typedef's own types are named as in its file.
+                        return new Generator(document, {includes: {}, namespace: namespace}).resolve(declared.type);
+                    }
+                    return this.resolve(declared.type);
+                case 'enum':
+                    return {kind: 'base', ttype: 'I32', method: 'I32', jsdoc: namespace + '.' + name};
+                default:
+                    return {kind: 'struct', ttype: 'STRUCT', ref: namespace + '.' + name, jsdoc: namespace + '.' + name};
+            }
+        },
+        /*
+         * Emits the code reading a value of a type into target.
+         */
+        readValue: function (code, target, type) {
+            var size, rtmp, i, elem, key, value;
+            switch (type.kind) {
+                case 'base':
+                    code.line(target + ' = input.read' + type.method + '().value;');
+                    break;
+                case 'struct':
+                    code.line(target + ' = new ' + type.ref + '();');
+                    code.line(target + '.read(input);');
+                    break;
+                case 'list':
+                case 'set':
+                    size = this.temp('_size');
+                    rtmp = this.temp('_rtmp');
+                    i = this.temp('_i');
+                    elem = this.temp('elem');
+                    code.line('var ' + size + ' = 0;');
+                    code.line('var ' + rtmp + ';');
+                    code.line(target + ' = [];');
+                    code.line(rtmp + ' = input.read' + (type.kind === 'list' ? 'List' : 'Set') + 'Begin();');
+                    code.line(size + ' = ' + rtmp + '.size;');
+                    code.open('for (var ' + i + ' = 0; ' + i + ' < ' + size + '; ++' + i + ') {');
+                    code.line('var ' + elem + ' = null;');
+                    this.readValue(code, elem, type.elem);
+                    code.line(target + '.push(' + elem + ');');
+                    code.close('}');
+                    code.line('input.read' + (type.kind === 'list' ? 'List' : 'Set') + 'End();');
+                    break;
+                case 'map':
+                    size = this.temp('_size');
+                    rtmp = this.temp('_rtmp');
+                    i = this.temp('_i');
+                    key = this.temp('key');
+                    value = this.temp('val');
+                    code.line('var ' + size + ' = 0;');
+                    code.line('var ' + rtmp + ';');
+                    code.line(target + ' = {};');
+                    code.line(rtmp + ' = input.readMapBegin();');
+                    code.line(size + ' = ' + rtmp + '.size;');
+                    code.open('for (var ' + i + ' = 0; ' + i + ' < ' + size + '; ++' + i + ') {');
+                    code.open('if (' + i + ' > 0 ) {');
+                    code.open('if (input.rstack.length > input.rpos[input.rpos.length -1] + 1) {');
+                    code.line('input.rstack.pop();');
+                    code.close('}');
+                    code.close('}');
+                    code.line('var ' + key + ' = null;');
+                    code.line('var ' + value + ' = null;');
+                    this.readValue(code, key, type.key);
+                    this.readValue(code, value, type.value);
+                    code.line(target + '[' + key + '] = ' + value + ';');
+                    code.close('}');
+                    code.line('input.readMapEnd();');
+                    break;
+            }
+        },
+        /*
+         * Emits the code writing the value of an expression of a type.
+         * Structs may be given as plain objects of their fields.
+         */
+        writeValue: function (code, value, type) {
+            var iter, elem, key;
+            switch (type.kind) {
+                case 'base':
+                    code.line('output.write' + type.method + '(' + value + ');');
+                    break;
+                case 'struct':
+                    code.line('(' + value + ' instanceof ' + type.ref + ' ? ' + value + ' : new ' + type.ref +
+                        '(' + value + ')).write(output);');
+                    break;
+                case 'list':
+                case 'set':
+                    iter = this.temp('iter');
+                    elem = this.temp('elem');
+                    code.line('output.write' + (type.kind === 'list' ? 'List' : 'Set') + 'Begin(Thrift.Type.' +
+                        type.elem.ttype + ', ' + value + '.length);');
+                    code.open('for (var ' + iter + ' = 0; ' + iter + ' < ' + value + '.length; ++' + iter + ') {');
+                    code.line('var ' + elem + ' = ' + value + '[' + iter + '];');
+                    this.writeValue(code, elem, type.elem);
+                    code.close('}');
+                    code.line('output.write' + (type.kind === 'list' ? 'List' : 'Set') + 'End();');
+                    break;
+                case 'map':
+                    key = this.temp('kiter');
+                    elem = this.temp('viter');
+                    code.line('output.writeMapBegin(Thrift.Type.' + type.key.ttype + ', Thrift.Type.' +
+                        type.value.ttype + ', Thrift.objectLength(' + value + '));');
+                    code.open('for (var ' + key + ' in ' + value + ') {');
+                    code.open('if (' + value + '.hasOwnProperty(' + key + ')) {');
+                    code.line('var ' + elem + ' = ' + value + '[' + key + '];');
+                    this.writeValue(code, key, type.key);
+                    this.writeValue(code, elem, type.value);
+                    code.close('}');
+                    code.close('}');
+                    code.line('output.writeMapEnd();');
+                    break;
+            }
+        },
+        defaultValue: function (field) {
+            var value = field['default'];
+            if (value === undefined || JSON.stringify(value).indexOf('"ref"') !== -1 ||
+                    this.resolve(field.type).kind === 'struct') {
+                return 'null';
+            }
+            return JSON.stringify(value);
+        },
+        /*
+         * Emits a struct, union or exception class with its read and write
+         * methods.
+         */
+        struct: function (code, name, type, doc) {
+            var generator = this,
+                ref = this.namespace + '.' + name,
+                fields = type.fields,
+                docLines = doc ? [doc, ''] : [];
+            docLines.push('@constructor');
+            if (type.kind === 'exception') {
+                docLines.push('@augments Thrift.TException');
+            }
+            docLines.push('@param {object} [args] - Values for the fields, by name.');
+            fields.forEach(function (field) {
+                docLines.push('@property {' + generator.resolve(field.type).jsdoc + '} ' + field.name +
+                    (field.doc ? ' - ' + field.doc.replace(/\n/g, ' ') : ''));
+            });
+            code.doc(docLines);
+            code.open(ref + ' = function(args) {');
+            if (type.kind === 'exception') {
+                code.line('Thrift.TException.call(this, ' + JSON.stringify(name) + ');');
+            }
+            fields.forEach(function (field) {
+                code.line('this.' + field.name + ' = ' + generator.defaultValue(field) + ';');
+            });
+            if (fields.length) {
+                code.open('if (args) {');
+                fields.forEach(function (field) {
+                    code.open('if (args.' + field.name + ' !== undefined && args.' + field.name + ' !== null) {');
+                    code.line('this.' + field.name + ' = args.' + field.name + ';');
+                    code.close('}');
+                });
+                code.close('}');
+            }
+            code.close('};');
+            if (type.kind === 'exception') {
+                code.line('Thrift.inherits(' + ref + ', Thrift.TException, ' + JSON.stringify(name) + ');');
+            } else {
+                code.line(ref + '.prototype = {};');
+            }
+
+            code.open(ref + '.prototype.read = function(input) {');
+            code.line('input.readStructBegin();');
+            code.open('while (true) {');
+            code.line('var ret = input.readFieldBegin();');
+            code.line('var ftype = ret.ftype;');
+            code.line('var fid = ret.fid;');
+            code.open('if (ftype == Thrift.Type.STOP) {');
+            code.line('break;');
+            code.close('}');
+            code.open('switch (fid) {');
+            fields.forEach(function (field) {
+                var fieldType = generator.resolve(field.type);
+                code.open('case ' + field.id + ':');
+                code.open('if (ftype == Thrift.Type.' + fieldType.ttype + ') {');
+                generator.readValue(code, 'this.' + field.name, fieldType);
+                code.close('} else {');
+                code.depth += 1;
+                code.line('input.skip(ftype);');
+                code.close('}');
+                code.line('break;');
+                code.depth -= 1;
+            });
+            code.open('default:');
+            code.line('input.skip(ftype);');
+            code.depth -= 1;
+            code.close('}');
+            code.line('input.readFieldEnd();');
+            code.close('}');
+            code.line('input.readStructEnd();');
+            code.close('};');
+
+            code.open(ref + '.prototype.write = function(output) {');
+            code.line('output.writeStructBegin(' + JSON.stringify(name) + ');');
+            fields.forEach(function (field) {
+                var fieldType = generator.resolve(field.type);
+                if (field.requiredness === 'required') {
+                    code.open('if (this.' + field.name + ' === null || this.' + field.name + ' === undefined) {');
+                    code.line('throw new Thrift.TProtocolException(' +
+                        JSON.stringify('Required field ' + field.name + ' of ' + name + ' is unset') + ');');
+                    code.close('}');
+                }
+                code.open('if (this.' + field.name + ' !== null && this.' + field.name + ' !== undefined) {');
+                code.line('output.writeFieldBegin(' + JSON.stringify(field.name) + ', Thrift.Type.' +
+                    fieldType.ttype + ', ' + field.id + ');');
+                generator.writeValue(code, 'this.' + field.name, fieldType);
+                code.line('output.writeFieldEnd();');
+                code.close('}');
+            });
+            code.line('output.writeFieldStop();');
+            code.line('output.writeStructEnd();');
+            code.close('};');
+            code.line('');
+        },
+        /**
+         * Generates the module of the types, enums and consts.
+         * @returns {string} The module source.
+         */
+        typesModule: function () {
+            var generator = this,
+                document = this.document,
+                namespace = this.namespace,
+                body = new Code(),
+                code = new Code(),
+                prefixes;
+            Object.keys(document.types).forEach(function (name) {
+                var type = document.types[name],
+                    docLines = type.doc ? [type.doc, ''] : [];
+                if (type.kind === 'enum') {
+                    docLines.push('@readonly', '@enum {number}');
+                    body.doc(docLines);
+                    body.open(namespace + '.' + name + ' = {');
+                    Object.keys(type.values).forEach(function (valueName, i, all) {
+                        body.line(JSON.stringify(valueName) + ': ' + type.values[valueName] +
+                            (i < all.length - 1 ? ',' : ''));
+                    });
+                    body.close('};');
+                    body.line('');
+                } else if (type.kind !== 'typedef') {
+                    generator.struct(body, name, type, type.doc);
+                }
+            });
+            Object.keys(document.consts).forEach(function (name) {
+                var constant = document.consts[name];
+                body.doc((constant.doc ? [constant.doc, ''] : []).concat([
+                    '@constant {' + generator.resolve(constant.type).jsdoc + '}'
+                ]));
+                body.line(namespace + '.' + name + ' = ' + JSON.stringify(constant.value) + ';');
+                body.line('');
+            });
+            prefixes = Object.keys(this.usedIncludes);
+            this.header(code, [this.thriftModuleId].concat(prefixes.map(function (prefix) {
+                return generator.includes[prefix].module;
+            })), ['Thrift'].concat(prefixes.map(function (prefix) {
+                return generator.includes[prefix].namespace;
+            })));
+            code.line('var ' + namespace + ' = {};');
+            code.line('');
+            code.lines = code.lines.concat(body.lines);
+            code.line('return ' + namespace + ';');
+            code.line('});');
+            return code.toString();
+        },
+        /**
+         * Generates the module of a service: its argument and result structs
+         * and its client class.
+         * @param {string} serviceName
+         * @returns {string} The module source.
+         */
+        serviceModule: function (serviceName) {
+            var generator = this,
+                namespace = this.namespace,
+                service = this.document.services[serviceName],
+                client = namespace + '.' + serviceName + 'Client',
+                base = service['extends'],
+                body = new Code(),
+                code = new Code(),
+                dependencies = [this.thriftModuleId, this.typesModuleId, this.promiseModuleId],
+                names = ['Thrift', namespace, 'Promise'],
+                prefixes;
+
+            if (base) {
+                if (base.indexOf('.') !== -1) {
+                    fail('UnsupportedExtends', 'The service ' + serviceName + ' extends ' + base +
+                        ' from an included file, which is not supported', base);
+                }
+                dependencies.push('./' + base);
+            }
+
+            Object.keys(service.methods).forEach(function (methodName) {
+                var method = service.methods[methodName],
+                    prefix = serviceName + '_' + methodName;
+                generator.struct(body, prefix + '_args', {kind: 'struct', fields: method.args});
+                if (!method.oneway) {
+                    generator.struct(body, prefix + '_result', {
+                        kind: 'struct',
+                        fields: (method.returns === 'void' ? [] : [{
+                            id: 0,
+                            name: 'success',
+                            type: method.returns,
+                            requiredness: 'optional'
+                        }]).concat(method['throws'])
+                    });
+                }
+            });
+
+            body.doc((service.doc ? [service.doc, ''] : []).concat([
+                '@constructor',
+                base ? '@augments ' + namespace + '.' + base + 'Client' : null,
+                '@param {object} input - The protocol to read replies with.',
+                '@param {object} [output] - The protocol to write calls with; the input',
+                'protocol if not given.'
+            ].filter(function (line) {
+                return line !== null;
+            })));
+            body.open(client + ' = function(input, output) {');
+            body.line('this.input = input;');
+            body.line('this.output = (!output) ? input : output;');
+            body.line('this.seqid = 0;');
+            body.close('};');
+            if (base) {
+                body.line('Thrift.inherits(' + client + ', ' + namespace + '.' + base + 'Client, ' +
+                    JSON.stringify(serviceName + 'Client') + ');');
+            } else {
+                body.line(client + '.prototype = {};');
+            }
+            body.line('');
+
+            Object.keys(service.methods).forEach(function (methodName) {
+                generator.method(body, client, serviceName, methodName, service.methods[methodName]);
+            });
+
+            // Structs of included files may be named by the method structs.
+            prefixes = Object.keys(this.usedIncludes);
+            prefixes.forEach(function (prefix) {
+                dependencies.push(generator.includes[prefix].module);
+                names.push(generator.includes[prefix].namespace);
+            });
+            this.header(code, dependencies, names);
+            code.lines = code.lines.concat(body.lines);
+            code.line('return ' + namespace + ';');
+            code.line('});');
+            return code.toString();
+        },
+        /*
+         * Emits the client methods for one service method: the promise
+         * returning method, and its send_ and recv_ halves.
+         */
+        method: function (code, client, serviceName, methodName, method) {
+            var generator = this,
+                prefix = this.namespace + '.' + serviceName + '_' + methodName,
+                params = method.args.map(function (field) {
+                    return field.name;
+                }),
+                returns = method.returns === 'void' ? null : this.resolve(method.returns),
+                docLines = method.doc ? [method.doc, ''] : [];
+
+            method.args.forEach(function (field) {
+                docLines.push('@param {' + generator.resolve(field.type).jsdoc + '} ' + field.name +
+                    (field.doc ? ' - ' + field.doc.replace(/\n/g, ' ') : ''));
+            });
+            docLines.push('@param {object} [options] - Options for the call, passed to the transport,');
+            docLines.push('e.g. {signal: signal}.');
+            docLines.push('@returns {Promise.<' + (returns ? returns.jsdoc : 'null') + '>}' +
+                (method['throws'].length ? ' Rejected with ' + method['throws'].map(function (field) {
+                    return generator.resolve(field.type).jsdoc;
+                }).join(', ') + ' as declared, or a Thrift.TApplicationException.' : ''));
+            code.doc(docLines);
+            code.open(client + '.prototype.' + methodName + ' = function(' + params.concat(['options']).join(', ') + ') {');
+            code.line('var postData;');
+            code.open('try {');
+            code.line('postData = this.send_' + methodName + '(' + params.join(', ') + ');');
+            code.close('} catch (ex) {');
+            code.depth += 1;
+            code.line('// Drop the partly written message.');
+            code.line('this.output.getTransport().flush(true);');
+            code.line('return Promise.reject(ex);');
+            code.close('}');
+            code.line('return this.output.getTransport()');
+            code.line('  .jqRequest(this, postData, [' + params.concat(['options || {}']).join(', ') + '], ' +
+                (method.oneway ? 'function() { return null; }, true' : 'this.recv_' + methodName) + ');');
+            code.close('};');
+            code.line('');
+
+            code.open(client + '.prototype.send_' + methodName + ' = function(' + params.join(', ') + ') {');
+            code.line('var seqid = this.seqid;');
+            code.line('this.seqid = seqid >= ' + MAX_SEQID + ' ? 0 : seqid + 1;');
+            code.line('this.output.writeMessageBegin(' + JSON.stringify(methodName) + ', Thrift.MessageType.' +
+                (method.oneway ? 'ONEWAY' : 'CALL') + ', seqid);');
+            code.line('var args = new ' + prefix + '_args();');
+            params.forEach(function (param) {
+                code.line('args.' + param + ' = ' + param + ';');
+            });
+            code.line('args.write(this.output);');
+            code.line('this.output.writeMessageEnd();');
+            code.line('return this.output.getTransport().flush(true);');
+            code.close('};');
+            code.line('');
+
+            if (method.oneway) {
+                return;
+            }
+            code.open(client + '.prototype.recv_' + methodName + ' = function() {');
+            code.line('var ret = this.input.readMessageBegin();');
+            code.open('if (ret.mtype == Thrift.MessageType.EXCEPTION) {');
+            code.line('var x = new Thrift.TApplicationException();');
+            code.line('x.read(this.input);');
+            code.line('this.input.readMessageEnd();');
+            code.line('throw x;');
+            code.close('}');
+            code.line('var result = new ' + prefix + '_result();');
+            code.line('result.read(this.input);');
+            code.line('this.input.readMessageEnd();');
+            method['throws'].forEach(function (field) {
+                code.open('if (null !== result.' + field.name + ') {');
+                code.line('throw result.' + field.name + ';');
+                code.close('}');
+            });
+            if (returns) {
+                code.open('if (null !== result.success) {');
+                code.line('return result.success;');
+                code.close('}');
+                code.line('throw new Thrift.TApplicationException(' + JSON.stringify(methodName + ' failed: unknown result') +
+                    ', Thrift.TApplicationExceptionType.MISSING_RESULT);');
+            } else {
+                code.line('return null;');
+            }
+            code.close('};');
+            code.line('');
+        }
+    };
+
+    Thrift.Generator = {
+        /**
+         * Generates the AMD modules for a .thrift file: one for its types,
+         * named after its js namespace (basic_types.js for namespace js
+         * basic), and one for each service, named after the service. The
+         * modules return the namespace object, as those of the Thrift
+         * compiler do, and ask for the Thrift core as 'thrift'.
+         * @param {string|object} source - The IDL, or a document parsed from
+         * it by Thrift.IDL.parse.
+         * @param {object} [options]
+         * @param {string} [options.fileName] - The name of the IDL file, for
+         * the generated comments.
+         * @param {string} [options.namespace] - The namespace to use when
+         * the file has no js namespace.
+         * @param {string} [options.typesModule] - The module id the service
+         * modules load the types with; './namespace_types' by default.
+         * @param {string} [options.thriftModule] - The module id of the
+         * Thrift core; 'thrift' by default.
+         * @param {string} [options.promiseModule] - The module id of the
+         * Promise implementation the service modules reject calls with,
+         * when the arguments cannot be written; 'bluebird' by default, as
+         * the transports use.
+         * @param {object} [options.includes] - The parsed documents of the
+         * included files, by their name without .thrift, for the types
+         * named from them. Each is loaded as './namespace_types'.
+         * @returns {object} The source of each module, by file name.
+         * @throws {TIDLException} For syntax errors and unknown types.
+         */
+        generate: function (source, options) {
+            var document = typeof source === 'string' ? Thrift.IDL.parse(source) : source,
+                files = {},
+                generator;
+            options = options || {};
+            generator = new Generator(document, options);
+            files[generator.namespace + '_types.js'] = generator.typesModule();
+            Object.keys(document.services).forEach(function (serviceName) {
+                generator.usedIncludes = {};
+                generator.counter = 0;
+                files[serviceName + '.js'] = generator.serviceModule(serviceName);
+            });
+            return files;
+        }
+    };
+
+    return Thrift;
+});
@@ -0,0 +1,574 @@
+/*global define */
+/*jslint white: true */
+
+/**
+ * A parser for the Thrift interface definition language, producing plain
+ * descriptor objects which tools, and Thrift.createClient, can work from.
+ * @example
+ *     var document = Thrift.IDL.parse(source),
+ *         client = Thrift.createClient(Thrift.IDL.serviceDescriptor(document, 'thrift_service'),
+ *             Thrift.TBinaryProtocol, transport);
+ */
+define([
+    './core'
+], function (Thrift) {
+    'use strict';
+
+    function TIDLException(error) {
+        this.name = 'TIDLException';
+        this.reason = error.reason;
+        this.message = error.message;
+        this.suggestions = error.suggestions;
+        this.data = error.data;
+        this.line = error.line;
+        this.column = error.column;
+        this.stack = (new Error()).stack;
+    }
+    TIDLException.prototype = Object.create(Thrift.TException.prototype);
+    TIDLException.prototype.constructor = TIDLException;
+    Thrift.TIDLException = TIDLException;
+
+    var BASE_TYPES = ['bool', 'byte', 'i8', 'i16', 'i32', 'i64', 'double', 'string', 'binary'],
+        PUNCTUATION = '{}()<>[],;:=*';
+
+    /*
+     * Splits the source into tokens, each with its line and column. A doc
+     * comment is kept on the token which follows it.
+     */
+    function tokenize(source) {
+        var tokens = [],
+            pos = 0,
+            line = 1,
+            column = 1,
+            doc = null,
+            ch, start, startLine, startColumn, text, quote, match;
+
+        function fail(message, atLine, atColumn) {
+            throw new TIDLException({
+                reason: 'SyntaxError',
+                message: message + ' at line ' + atLine + ', column ' + atColumn,
+                line: atLine,
+                column: atColumn
+            });
+        }
+
+        function advance(count) {
+            var i;
+            for (i = 0; i < count; i += 1) {
+                if (source[pos] === '\n') {
+                    line += 1;
+                    column = 1;
+                } else {
+                    column += 1;
+                }
+                pos += 1;
+            }
+        }
+
+        function push(type, value) {
+            tokens.push({type: type, value: value, line: startLine, column: startColumn, doc: doc});
+            doc = null;
+        }
+
+        while (pos < source.length) {
+            ch = source[pos];
+            startLine = line;
+            startColumn = column;
+            if (/\s/.test(ch)) {
+                advance(1);
+            } else if (ch === '#' || source.substr(pos, 2) === '//') {
+                while (pos < source.length && source[pos] !== '\n') {
+                    advance(1);
+                }
+            } else if (source.substr(pos, 2) === '/*') {
+                start = source.indexOf('*/', pos + 2);
+                if (start === -1) {
+                    fail('Unterminated comment', startLine, startColumn);
+                }
+                text = source.slice(pos, start + 2);
+                if (/^\/\*\*[^\/]/.test(text)) {
+                    doc = text.slice(3, -2).split('\n').map(function (docLine) {
+                        return docLine.replace(/^\s*\*?\s?/, '').replace(/\s+$/, '');
+                    }).join('\n').trim();
+                }
+                advance(text.length);
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+                advance(1);
+                text = '';
+                while (pos < source.length && source[pos] !== quote) {
+                    if (source[pos] === '\\' && pos + 1 < source.length) {
+                        text += {n: '\n', t: '\t', r: '\r'}[source[pos + 1]] || source[pos + 1];
+                        advance(2);
+                    } else {
+                        text += source[pos];
+                        advance(1);
+                    }
+                }
+                if (pos >= source.length) {
+                    fail('Unterminated string', startLine, startColumn);
+                }
+                advance(1);
+                push('string', text);
+            } else if ((match = /^[+\-]?(0x[0-9a-fA-F]+|[0-9]+(\.[0-9]+)?([eE][+\-]?[0-9]+)?|\.[0-9]+([eE][+\-]?[0-9]+)?)/.exec(source.slice(pos)))) {
+                push('number', match[0]);
+                advance(match[0].length);
+            } else if ((match = /^[A-Za-z_][A-Za-z0-9_.]*/.exec(source.slice(pos)))) {
+                push('identifier', match[0]);
+                advance(match[0].length);
+            } else if (PUNCTUATION.indexOf(ch) !== -1) {
+                push('punctuation', ch);
+                advance(1);
+            } else {
+                fail('Unexpected character ' + JSON.stringify(ch), startLine, startColumn);
+            }
+        }
+        startLine = line;
+        startColumn = column;
+        push('end', null);
+        return tokens;
+    }
+
+    function numberValue(text) {
+        var sign = text[0] === '-' ? -1 : 1,
+            digits = text.replace(/^[+\-]/, '');
+        if (/^0x/.test(digits)) {
+            return sign * parseInt(digits.slice(2), 16);
+        }
+        return sign * Number(digits);
+    }
+
+    /**
+     * Initializes a parser over the source of one .thrift file.
+     * @constructor
+     * @param {string} source - The IDL.
+     */
+    function Parser(source) {
+        this.tokens = tokenize(source);
+        this.pos = 0;
+        this.document = {
+            namespaces: {},
+            includes: [],
+            cppIncludes: [],
+            consts: {},
+            types: {},
+            services: {}
+        };
+    }
+
+    Parser.prototype = {
+        peek: function () {
+            return this.tokens[this.pos];
+        },
+        next: function () {
+            var token = this.tokens[this.pos];
+            if (token.type !== 'end') {
+                this.pos += 1;
+            }
+            return token;
+        },
+        fail: function (message, token, reason) {
+            token = token || this.peek();
+            throw new TIDLException({
+                reason: reason || 'SyntaxError',
+                message: message + ' at line ' + token.line + ', column ' + token.column,
+                data: token.value,
+                line: token.line,
+                column: token.column
+            });
+        },
+        describe: function (token) {
+            return token.type === 'end' ? 'the end of the file' : JSON.stringify(token.value);
+        },
+        isPunctuation: function (value) {
+            var token = this.peek();
+            return token.type === 'punctuation' && token.value === value;
+        },
+        isKeyword: function (value) {
+            var token = this.peek();
+            return token.type === 'identifier' && token.value === value;
+        },
+        accept: function (value) {
+            if (this.isPunctuation(value) || this.isKeyword(value)) {
+                return this.next();
+            }
+            return null;
+        },
+        expect: function (value) {
+            var token = this.peek();
+            if (!this.accept(value)) {
+                this.fail('Expected ' + JSON.stringify(value) + ' but found ' + this.describe(token), token);
+            }
+            return token;
+        },
+        identifier: function () {
+            var token = this.peek();
+            if (token.type !== 'identifier') {
+                this.fail('Expected an identifier but found ' + this.describe(token), token);
+            }
+            return this.next().value;
+        },
+        literal: function () {
+            var token = this.peek();
+            if (token.type !== 'string') {
+                this.fail('Expected a string literal but found ' + this.describe(token), token);
+            }
+            return this.next().value;
+        },
+        integer: function () {
+            var token = this.peek();
+            if (token.type !== 'number' || !/^[+\-]?(0x[0-9a-fA-F]+|[0-9]+)$/.test(token.value)) {
+                this.fail('Expected an integer but found ' + this.describe(token), token);
+            }
+            return numberValue(this.next().value);
+        },
+        listSeparator: function () {
+            if (!this.accept(',')) {
+                this.accept(';');
+            }
+        },
+        define: function (name, token) {
+            if (this.document.types.hasOwnProperty(name) || this.document.services.hasOwnProperty(name) ||
+                    this.document.consts.hasOwnProperty(name)) {
+                this.fail('The name ' + name + ' is already defined', token, 'DuplicateDefinition');
+            }
+        },
+        parse: function () {
+            var token;
+            while (this.peek().type !== 'end') {
+                token = this.peek();
+                if (this.accept('include')) {
+                    this.document.includes.push(this.literal());
+                } else if (this.accept('cpp_include')) {
+                    this.document.cppIncludes.push(this.literal());
+                } else if (this.accept('namespace')) {
+                    this.namespace();
+                } else if (this.accept('const')) {
+                    this.constant(token);
+                } else if (this.accept('typedef')) {
+                    this.typedef(token);
+                } else if (this.accept('enum')) {
+                    this.enumeration(token);
+                } else if (this.accept('struct')) {
+                    this.struct('struct', token);
+                } else if (this.accept('union')) {
+                    this.struct('union', token);
+                } else if (this.accept('exception')) {
+                    this.struct('exception', token);
+                } else if (this.accept('service')) {
+                    this.service(token);
+                } else {
+                    this.fail('Expected a definition but found ' + this.describe(token), token);
+                }
+                this.listSeparator();
+            }
+            return this.document;
+        },
+        namespace: function () {
+            var scope = this.accept('*') ? '*' : this.identifier();
+            this.document.namespaces[scope] = this.identifier();
+        },
+        constant: function (token) {
+            var type = this.fieldType(),
+                nameToken = this.peek(),
+                name = this.identifier();
+            this.define(name, nameToken);
+            this.expect('=');
+            this.document.consts[name] = {type: type, value: this.constValue(), doc: token.doc};
+        },
+        typedef: function (token) {
+            var type = this.fieldType(),
+                nameToken, name;
+            this.annotations();
+            nameToken = this.peek();
+            name = this.identifier();
+            this.define(name, nameToken);
+            this.document.types[name] = {kind: 'typedef', type: type, doc: token.doc};
+            this.annotations();
+        },
+        enumeration: function (token) {
+            var nameToken = this.peek(),
+                name = this.identifier(),
+                values = {},
+                next = 0,
+                valueToken, valueName;
+            this.define(name, nameToken);
+            this.expect('{');
+            while (!this.accept('}')) {
+                valueToken = this.peek();
+                valueName = this.identifier();
+                if (values.hasOwnProperty(valueName)) {
+                    this.fail('The value ' + valueName + ' is already defined in ' + name, valueToken,
+                        'DuplicateDefinition');
+                }
+                if (this.accept('=')) {
+                    next = this.integer();
+                }
+                values[valueName] = next;
+                next += 1;
+                this.annotations();
+                this.listSeparator();
+            }
+            this.document.types[name] = {kind: 'enum', values: values, doc: token.doc};
+            this.annotations();
+        },
+        struct: function (kind, token) {
+            var nameToken = this.peek(),
+                name = this.identifier(),
+                fields;
+            this.define(name, nameToken);
+            this.accept('xsd_all');
+            this.expect('{');
+            fields = this.fields('}');
+            this.document.types[name] = {kind: kind, fields: fields, doc: token.doc, annotations: this.annotations()};
+        },
+        service: function (token) {
+            var nameToken = this.peek(),
+                name = this.identifier(),
+                service = {name: name, methods: {}, doc: token.doc},
+                methodToken, methodName, method, base;
+            this.define(name, nameToken);
+            if (this.accept('extends')) {
+                base = this.peek();
+                service['extends'] = this.identifier();
+                // Services from included files have qualified names.
+                if (service['extends'].indexOf('.') === -1 && !this.document.services.hasOwnProperty(service['extends'])) {
+                    this.fail('The service ' + service['extends'] + ' is not defined', base, 'UnknownIdentifier');
+                }
+            }
+            this.expect('{');
+            while (!this.accept('}')) {
+                method = {doc: this.peek().doc};
+                method.oneway = !!this.accept('oneway');
+                method.returns = this.accept('void') ? 'void' : this.fieldType();
+                methodToken = this.peek();
+                methodName = this.identifier();
+                if (service.methods.hasOwnProperty(methodName)) {
+                    this.fail('The method ' + methodName + ' is already defined in ' + name, methodToken,
+                        'DuplicateDefinition');
+                }
+                this.expect('(');
+                method.args = this.fields(')');
+                method['throws'] = [];
+                if (this.accept('throws')) {
+                    this.expect('(');
+                    method['throws'] = this.fields(')');
+                }
+                method.annotations = this.annotations();
+                if (method.oneway && (method.returns !== 'void' || method['throws'].length)) {
+                    this.fail('The oneway method ' + methodName + ' must return void and throw nothing',
+                        methodToken, 'InvalidOneway');
+                }
+                service.methods[methodName] = method;
+                this.listSeparator();
+            }
+            service.annotations = this.annotations();
+            this.document.services[name] = service;
+        },
+        /*
+         * Reads fields up to the closing token; fields without an id get
+         * negative ids, as with the Apache compiler.
+         */
+        fields: function (close) {
+            var fields = [],
+                ids = {},
+                autoId = -1,
+                token, field;
+            while (!this.accept(close)) {
+                token = this.peek();
+                field = {};
+                if (token.type === 'number') {
+                    field.id = this.integer();
+                    this.expect(':');
+                } else {
+                    field.id = autoId;
+                    autoId -= 1;
+                }
+                if (ids.hasOwnProperty(field.id)) {
+                    this.fail('The field id ' + field.id + ' is already used', token, 'DuplicateFieldId');
+                }
+                ids[field.id] = true;
+                field.requiredness = this.accept('required') ? 'required' : this.accept('optional') ? 'optional' : 'default';
+                field.type = this.fieldType();
+                field.name = this.identifier();
+                if (this.accept('=')) {
+                    field['default'] = this.constValue();
+                }
+                field.doc = token.doc;
+                field.annotations = this.annotations();
+                fields.push(field);
+                this.listSeparator();
+            }
+            return fields;
+        },
+        fieldType: function () {
+            var token = this.peek(),
+                name = this.identifier(),
+                type, key;
+            if ((name === 'list' || name === 'set' || name === 'map') && this.accept('cpp_type')) {
+                this.literal();
+            }
+            if (name === 'list' || name === 'set') {
+                this.expect('<');
+                type = {};
+                type[name] = this.fieldType();
+                this.expect('>');
+            } else if (name === 'map') {
+                this.expect('<');
+                key = this.fieldType();
+                this.expect(',');
+                type = {map: [key, this.fieldType()]};
+                this.expect('>');
+            } else if (['void', 'oneway', 'throws', 'required', 'optional'].indexOf(name) !== -1) {
+                this.fail('Expected a type but found ' + this.describe(token), token);
+            } else {
+                type = name;
+            }
+            this.annotations();
+            return type;
+        },
+        constValue: function () {
+            var token = this.peek(),
+                result, key;
+            if (token.type === 'number') {
+                this.next();
+                return numberValue(token.value);
+            }
+            if (token.type === 'string') {
+                return this.next().value;
+            }
+            if (this.accept('[')) {
+                result = [];
+                while (!this.accept(']')) {
+                    result.push(this.constValue());
+                    this.listSeparator();
+                }
+                return result;
+            }
+            if (this.accept('{')) {
+                result = {};
+                while (!this.accept('}')) {
+                    key = this.constValue();
+                    this.expect(':');
+                    result[key] = this.constValue();
+                    this.listSeparator();
+                }
+                return result;
+            }
+            if (token.type === 'identifier') {
+                this.next();
+                return this.reference(token);
+            }
+            this.fail('Expected a constant value but found ' + this.describe(token), token);
+        },
+        /*
+         * Resolves an identifier used as a value: true and false, a constant,
+         * or an enum value as Enum.VALUE. Names from included files are left
+         * as {ref: name}.
+         */
+        reference: function (token) {
+            var name = token.value,
+                dot = name.lastIndexOf('.'),
+                enumType;
+            if (name === 'true' || name === 'false') {
+                return name === 'true';
+            }
+            if (this.document.consts.hasOwnProperty(name)) {
+                return this.document.consts[name].value;
+            }
+            if (dot !== -1) {
+                enumType = this.document.types[name.slice(0, dot)];
+                if (enumType && enumType.kind === 'enum') {
+                    if (!enumType.values.hasOwnProperty(name.slice(dot + 1))) {
+                        this.fail('The enum ' + name.slice(0, dot) + ' has no value ' + name.slice(dot + 1), token,
+                            'UnknownIdentifier');
+                    }
+                    return enumType.values[name.slice(dot + 1)];
+                }
+                return {ref: name};
+            }
+            this.fail('The identifier ' + name + ' is not defined', token, 'UnknownIdentifier');
+        },
+        /*
+         * Reads (key = "value", ...) annotations, if any.
+         */
+        annotations: function () {
+            var result = {},
+                key;
+            if (!this.accept('(')) {
+                return undefined;
+            }
+            while (!this.accept(')')) {
+                key = this.identifier();
+                result[key] = this.accept('=') ? this.literal() : '1';
+                this.listSeparator();
+            }
+            return result;
+        }
+    };
+
+    Thrift.IDL = {
+        /**
+         * The base type names of the IDL.
+         * @readonly
+         */
+        BASE_TYPES: BASE_TYPES,
+        /**
+         * Parses the source of a .thrift file. Includes are listed but not
+         * read; types from them keep their qualified names (shared.Thing).
+         *
+         * The document has the namespaces by scope, the includes and
+         * cppIncludes, the consts ({type, value}), the types and the
+         * services, by name. A type is {kind: 'typedef', type},
+         * {kind: 'enum', values} with the value of each name, or
+         * {kind: 'struct'|'union'|'exception', fields}. A service has its
+         * methods, by name, each with args, returns, throws and oneway. A
+         * field is {id, name, type, requiredness, default}, requiredness
+         * being 'required', 'optional' or 'default'. Types are written as
+         * for Thrift.createClient: a base type or type name, or
+         * {list: type}, {set: type} or {map: [keyType, valueType]}. Doc
+         * comments are kept as doc, annotations as annotations.
+         * @param {string} source - The IDL.
+         * @returns {object} The document.
+         * @throws {TIDLException} With the line and column of the error.
+         */
+        parse: function (source) {
+            return new Parser(source).parse();
+        },
+        /**
+         * Makes the descriptor of one service of a parsed document, for
+         * Thrift.createClient, including the methods of the services it
+         * extends.
+         * @param {object} document - A document from parse.
+         * @param {string} serviceName - The service.
+         * @returns {object} The service descriptor.
+         * @throws {TIDLException} If the service, or one it extends, is not
+         * in the document.
+         */
+        serviceDescriptor: function (document, serviceName) {
+            var methods = {},
+                chain = [],
+                name = serviceName;
+            while (name) {
+                if (!document.services.hasOwnProperty(name)) {
+                    throw new TIDLException({
+                        reason: 'UnknownService',
+                        message: 'The service ' + name + ' is not defined in the document',
+                        suggestions: 'Services extended from included files must be merged into the document first',
+                        data: name
+                    });
+                }
+                chain.unshift(document.services[name]);
+                name = document.services[name]['extends'];
+            }
+            chain.forEach(function (service) {
+                Object.keys(service.methods).forEach(function (methodName) {
+                    methods[methodName] = service.methods[methodName];
+                });
+            });
+            return {name: serviceName, types: document.types, methods: methods};
+        }
+    };
+
+    return Thrift;
+});
@@ -0,0 +1,293 @@
+/*global define, BigInt */
+/*jslint white: true, bitwise: true */
+
+/**
+ * Initializes an exact signed 64 bit integer value.
+ * @constructor
+ * @param {number} hi - The high 32 bits, as an unsigned 32 bit number.
+ * @param {number} lo - The low 32 bits, as an unsigned 32 bit number.
+ * @classdesc Javascript numbers cannot carry more than 53 bits of integer
+ * precision, so Thrift i64 values which may exceed that (workspace object
+ * ids, genome coordinates) can be carried around as an Int64, which holds
+ * the two's complement value as a pair of 32 bit halves. The protocols
+ * accept an Int64 (or a BigInt, where supported) anywhere they accept a
+ * number for an i64, and may be asked to return them on read.
+ * @example
+ *     var id = Thrift.Int64.fromString('9007199254740993');
+ *     id.toString(); // '9007199254740993'
+ */
+define([
+    './core'
+], function (Thrift) {
+    'use strict';
+
+    var pow32 = 0x100000000,
+        maxSafe = 0x1fffffffffffff, // Math.pow(2, 53) - 1
+        chunk = 1000000,
+        hasBigInt = (typeof BigInt === 'function');
+
+    Thrift.Int64 = function (hi, lo) {
+        this.hi = hi >>> 0;
+        this.lo = lo >>> 0;
+    };
+
+    /**
+     * The ways a protocol may return an i64 it has read.
+     * @readonly
+     * @property {string} NUMBER - A javascript number; values beyond 53 bits lose precision.
+     * @property {string} BIGINT - A native BigInt.
+     * @property {string} INT64 - A Thrift.Int64.
+     */
+    Thrift.Int64.Mode = {
+        'NUMBER': 'number',
+        'BIGINT': 'bigint',
+        'INT64': 'int64'
+    };
+
+    /**
+     * Indicates whether BigInt is available in this javascript engine.
+     * @returns {boolean}
+     */
+    Thrift.Int64.hasBigInt = function () {
+        return hasBigInt;
+    };
+
+    /**
+     * Creates an Int64 from an integer number. Numbers beyond 53 bits are
+     * accepted, but are already imprecise by the time we see them.
+     * @param {number} value
+     * @returns {Thrift.Int64}
+     */
+    Thrift.Int64.fromNumber = function (value) {
+        if (typeof value !== 'number' || Math.floor(value) !== value || !isFinite(value)) {
+            throw new TypeError('Expected an integer number for an I64, got ' + String(value));
+        }
+        if (value >= 9223372036854775808 || value < -9223372036854775808) {
+            throw new RangeError('Number is outside of the I64 range');
+        }
+        if (value < 0) {
+            return Thrift.Int64.fromNumber(-value).negate();
+        }
+        return new Thrift.Int64(Math.floor(value / pow32), value % pow32);
+    };
+
+    /**
+     * Creates an Int64 from a decimal string, with an optional leading sign.
+     * @param {string} value
+     * @returns {Thrift.Int64}
+     */
+    Thrift.Int64.fromString = function (value) {
+        var str = String(value).trim(),
+            negative = false,
+            hi = 0, lo = 0, i, x, result;
+        if (str.charAt(0) === '-' || str.charAt(0) === '+') {
+            negative = (str.charAt(0) === '-');
+            str = str.substring(1);
+        }
+        if (!/^[0-9]+$/.test(str)) {
+            throw new TypeError('Expected a decimal integer string for an I64, got "' + value + '"');
+        }
+        for (i = 0; i < str.length; i += 1) {
+            x = lo * 10 + (str.charCodeAt(i) - 48);
+            lo = x % pow32;
+            hi = hi * 10 + Math.floor(x / pow32);
+            if (hi > 0x80000000 || (hi === 0x80000000 && lo > 0)) {
+                throw new RangeError('Value "' + value + '" is outside of the I64 range');
+            }
+        }
+        result = new Thrift.Int64(hi, lo);
+        if (negative) {
+            return result.negate();
+        }
+        if (result.isNegative()) {
+            throw new RangeError('Value "' + value + '" is outside of the I64 range');
+        }
+        return result;
+    };
+
+    /**
+     * Creates an Int64 from a native BigInt.
+     * @param {BigInt} value
+     * @returns {Thrift.Int64}
+     */
+    Thrift.Int64.fromBigInt = function (value) {
+        if (BigInt.asIntN(64, value) !== value) {
+            throw new RangeError('BigInt ' + value.toString() + ' is outside of the I64 range');
+        }
+        return new Thrift.Int64(
+            Number(BigInt.asUintN(32, value >> BigInt(32))),
+            Number(BigInt.asUintN(32, value))
+        );
+    };
+
+    /**
+     * Creates an Int64 from 8 big endian (network order) bytes.
+     * @param {Array|Uint8Array} bytes
+     * @returns {Thrift.Int64}
+     */
+    Thrift.Int64.fromBytes = function (bytes) {
+        return new Thrift.Int64(
+            ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]),
+            ((bytes[4] << 24) | (bytes[5] << 16) | (bytes[6] << 8) | bytes[7])
+        );
+    };
+
+    /**
+     * Creates an Int64 from any of the supported i64 representations.
+     * @param {Thrift.Int64|number|BigInt|string} value
+     * @returns {Thrift.Int64}
+     */
+    Thrift.Int64.from = function (value) {
+        if (value instanceof Thrift.Int64) {
+            return value;
+        }
+        switch (typeof value) {
+            case 'number':
+                return Thrift.Int64.fromNumber(value);
+            case 'bigint':
+                return Thrift.Int64.fromBigInt(value);
+            case 'string':
+                return Thrift.Int64.fromString(value);
+            default:
+                throw new TypeError('Cannot convert ' + String(value) + ' to an I64');
+        }
+    };
+
+    /**
+     * Indicates whether the value is one of the supported i64 types.
+     * @param {*} value
+     * @returns {boolean}
+     */
+    Thrift.Int64.isInt64 = function (value) {
+        return (value instanceof Thrift.Int64) || typeof value === 'bigint';
+    };
+
+    Thrift.Int64.prototype = {
+        constructor: Thrift.Int64,
+        isNegative: function () {
+            return (this.hi & 0x80000000) !== 0;
+        },
+        isZero: function () {
+            return this.hi === 0 && this.lo === 0;
+        },
+        /**
+         * Returns the two's complement negation of this value.
+         * @returns {Thrift.Int64}
+         */
+        negate: function () {
+            var lo = ((~this.lo) + 1) >>> 0,
+                hi = ((~this.hi) + (lo === 0 ? 1 : 0)) >>> 0;
+            return new Thrift.Int64(hi, lo);
+        },
+        /**
+         * Compares with another i64 value of any supported type.
+         * @param {Thrift.Int64|number|BigInt|string} other
+         * @returns {number} -1, 0 or 1
+         */
+        compare: function (other) {
+            var that = Thrift.Int64.from(other),
+                thisHi = this.hi | 0,
+                thatHi = that.hi | 0;
+            if (thisHi !== thatHi) {
+                return thisHi < thatHi ? -1 : 1;
+            }
+            if (this.lo !== that.lo) {
+                return this.lo < that.lo ? -1 : 1;
+            }
+            return 0;
+        },
+        equals: function (other) {
+            return this.compare(other) === 0;
+        },
+        /**
+         * Indicates whether the value can be represented exactly as a number.
+         * @returns {boolean}
+         */
+        isSafeNumber: function () {
+            return this.compare(maxSafe) <= 0 && this.compare(-maxSafe) >= 0;
+        },
+        /**
+         * Returns the value as a number, which is only exact within 53 bits.
+         * @returns {number}
+         */
+        toNumber: function () {
+            return (this.hi | 0) * pow32 + this.lo;
+        },
+        toBigInt: function () {
+            return BigInt.asIntN(64, (BigInt(this.hi) << BigInt(32)) + BigInt(this.lo));
+        },
+        /**
+         * Returns the exact decimal representation of the value.
+         * @returns {string}
+         */
+        toString: function () {
+            var value = this.isNegative() ? this.negate() : this,
+                hi = value.hi,
+                lo = value.lo,
+                digits = '', mid, part;
+            // The magnitude of MIN_VALUE does not fit, but its halves are
+            // still correct when read as unsigned, which is all we do here.
+            while (hi !== 0 || lo >= chunk) {
+                mid = (hi % chunk) * pow32 + lo;
+                hi = Math.floor(hi / chunk);
+                lo = Math.floor(mid / chunk);
+                part = String(mid % chunk);
+                digits = '000000'.substring(part.length) + part + digits;
+            }
+            digits = String(lo) + digits;
+            return (this.isNegative() ? '-' : '') + digits;
+        },
+        toJSON: function () {
+            return this.toString();
+        },
+        /**
+         * Returns the value as 8 big endian (network order) bytes.
+         * @returns {Array}
+         */
+        toBytes: function () {
+            return [
+                (this.hi >>> 24) & 0xff, (this.hi >>> 16) & 0xff, (this.hi >>> 8) & 0xff, this.hi & 0xff,
+                (this.lo >>> 24) & 0xff, (this.lo >>> 16) & 0xff, (this.lo >>> 8) & 0xff, this.lo & 0xff
+            ];
+        },
+        /**
+         * Returns the value in the representation named by the mode.
+         * @param {Thrift.Int64.Mode} mode
+         * @returns {number|BigInt|Thrift.Int64}
+         */
+        toMode: function (mode) {
+            switch (mode) {
+                case Thrift.Int64.Mode.BIGINT:
+                    return this.toBigInt();
+                case Thrift.Int64.Mode.INT64:
+                    return this;
+                default:
+                    return this.toNumber();
+            }
+        }
+    };
+
+    Thrift.Int64.MAX_VALUE = new Thrift.Int64(0x7fffffff, 0xffffffff);
+    Thrift.Int64.MIN_VALUE = new Thrift.Int64(0x80000000, 0);
+
+    /**
+     * Validates an i64 mode option for a protocol.
+     * @param {string} [mode] - One of Thrift.Int64.Mode, defaults to NUMBER.
+     * @returns {string} the mode
+     * @throws {TypeError} If the mode is unknown, or BigInt is unavailable.
+     */
+    Thrift.Int64.checkMode = function (mode) {
+        if (mode === undefined || mode === null) {
+            return Thrift.Int64.Mode.NUMBER;
+        }
+        if (mode !== Thrift.Int64.Mode.NUMBER && mode !== Thrift.Int64.Mode.BIGINT && mode !== Thrift.Int64.Mode.INT64) {
+            throw new TypeError('Unknown i64 mode "' + mode + '"');
+        }
+        if (mode === Thrift.Int64.Mode.BIGINT && !hasBigInt) {
+            throw new TypeError('The bigint i64 mode requires BigInt support');
+        }
+        return mode;
+    };
+
+    return Thrift;
+});
@@ -31,6 +31,9 @@
  * @param {Thrift.Transport} transport - The transport to serialize to/from.
  * @param {boolean} stringRead - indicates strict read.
  * @param {boolean} stringWrite - indicates strict write.
+ * @param {object} [options]
+ * @param {Thrift.Int64.Mode} [options.i64] - How i64 values are returned on
+ * read: 'number' (the default), 'bigint' or 'int64'.
  * @classdesc Apache Thrift Protocols perform serialization which enables cross 
  * language RPC. The Protocol type is the JavaScript browser implementation 
  * of the Apache Thrift TBinaryProtocol.
@@ -39,22 +42,11 @@
  */
 define([
     '../core',
-    './utf8'
+    './utf8',
+    '../int64'
 ], function (Thrift, utf8) {
     'use strict';
 
-    /*
-     * A base Exception object for 
-     * 
-     * @returns {thrift-transport-xhr_L25.TTransportError}
-     */
-    function TProtocolException() {
-        this.name = 'TProtocolException';
-    }
-    TProtocolException.prototype = Object.create(Thrift.TException.prototype);
-    TProtocolException.prototype.constructor = TProtocolException;
-    Thrift.TTransportError = TProtocolException;
-
     function TBinaryProtocolException(error) {
         this.name = 'TBinaryProtocolException';
         this.reason = error.reason;
@@ -64,34 +56,31 @@ define([
         this.stack = (new Error()).stack;
     }
     // Steal the function prototype from Thrift.TException
-    TBinaryProtocolException.prototype = Object.create(TProtocolException.prototype);
+    TBinaryProtocolException.prototype = Object.create(Thrift.TProtocolException.prototype);
     TBinaryProtocolException.prototype.constructor = TBinaryProtocolException;
     Thrift.TBinaryProtocolException = TBinaryProtocolException;
 
-    Thrift.TBinaryProtocol = function (transport, strictRead, strictWrite) {
+    Thrift.TBinaryProtocol = function (transport, strictRead, strictWrite, options) {
         this.transport = transport;
         this.strictRead = (strictRead !== undefined ? strictRead : false);
         this.strictWrite = (strictWrite !== undefined ? strictWrite : false);
+        this.i64Mode = Thrift.Int64.checkMode(options && options.i64);
         // this is just to work around one small section of code in maps which uses
         // this rtack thing, which is an implementation detail of json that
         // leaked into the generator (or so I think.)
         this.rstack = [];
+        this.rpos = [];
     };
 
     Thrift.TBinaryProtocol.VERSION_MASK = 0xffff0000;
     Thrift.TBinaryProtocol.VERSION_1 = 0x80010000;
     Thrift.TBinaryProtocol.TYPE_MASK = 0x000000ff;
 
-    function paddedHex(num, width) {
-        var padded = "000000000000000000" + num.toString(16);
-        return padded.substring(padded.length - width);
-    }
-
     /*
      * Packs an integer into an array of bytes adequate to contain a 64-bit
      * integer. Practically, Javascript numbers are limited to 53 bits for an
-     * integer. This function enforces that limit. See the "precise" functions
-     * for arbitrary precision.
+     * integer, and this function enforces that limit for numbers. For the
+     * full i64 range, pass a Thrift.Int64 or a BigInt instead.
      */
 
     var int64max = 0x1fffffffffffff, // Math.pow(2, 53) - 1,
@@ -101,68 +90,30 @@ define([
         int16max = 0x7fff, // Math.pow(2,15) - 1,
         int16min = -int16max;
 
-    /*
-     * We have to use this direct manipulation of i64 because the javascript 
-     * bitwise operators do not work with numbers > 32 bits. 
-     * Our basic technique is to to convert the number into a hexidecimal, 
-     * capture each byte from this, convert back into an integer for each byte.
-     * For negatives, we need to use twos-complement technique -- but simplifying
-     * a bit -- add one, then subtract the absolute value from 0 (invert bits)
-     */
-    function p64(i64) {
-        var hexString,
-            i, result = [], byte, carry = false;
-
-        if (i64 < 0) {
-            // Here we add 1 to the negative number before the inversion, since
-            // it is all just arithmetic, and commutative.
-            var hexString = paddedHex(Math.abs(i64 + 1), 16);
-            for (i = 8; i > 0; i -= 1) {
-                var byte = parseInt(hexString.substring(i * 2 - 2, i * 2), 16);
-                result.push(byte ^ 0xff);
-            }
-            return result.reverse();
-        }
-        hexString = paddedHex(Math.abs(i64), 16);
-        for (i = 8; i > 0; i -= 1) {
-            var byte = parseInt(hexString.substring(i * 2 - 2, i * 2), 16);
-            result.push(byte);
-        }
-        return result.reverse();
-    }
-
-    function u64(packed) {
-        var hexString = "", finalByte, isNegative = false, mult = 1;
-        // If the left most bit is 1, then it is a negative.
-        if (packed[0] & parseInt('01111111', 2)) {
-            packed.forEach(function (value) {
-                hexString += paddedHex(value ^ 0xff, 2);
-            });
-            return -parseInt(hexString, 16) - 1;
-        }
-        packed.forEach(function (value) {
-            hexString += paddedHex(value, 2);
-        });
-        return parseInt(hexString, 16);
-    }
-
     function pack64(i64) {
-        if (i64 < int64min) {
-            throw new TBinaryProtocolException({
-                message: 'Number is less than the minimum I64 value',
-                suggestions: 'Note in Javascript the max bits for an integer is 53'
-            }); 
+        if (typeof i64 === 'number') {
+            if (i64 < int64min) {
+                throw new TBinaryProtocolException({
+                    message: 'Number is less than the minimum I64 value',
+                    suggestions: 'Note in Javascript the max bits for an integer is 53, use a Thrift.Int64 or BigInt for larger values'
+                });
+            }
+            if (i64 > int64max) {
+                throw new TBinaryProtocolException({
+                    message: 'Number is greater than the maximum I64 value',
+                    suggestions: 'Note in Javascript the max bits for an integer is 53, use a Thrift.Int64 or BigInt for larger values'
+                });
+            }
         }
-        if (i64 > int64max) {
+        try {
+            return Thrift.Int64.from(i64).toBytes();
+        } catch (ex) {
             throw new TBinaryProtocolException({
-                message: 'Number is greater than the maximum I64 value',
-                suggestions: 'Note in Javascript the max bits for an integer is 53'
+                reason: 'InvalidI64',
+                message: ex.message,
+                data: i64
             });
         }
-        // Also note that this technique assumes the integer follows the rules above,
-        // specifically because the top most bit must be 0, so that when it is
-        // flipped for a negative it is 1.
-        return p64(i64);
     }
 
     function unpack64(packed) {
@@ -171,7 +122,7 @@ define([
                 message: 'I64 packed value is not 8 bytes'
             });
         }
-        return u64(packed);
+        return Thrift.Int64.fromBytes(packed);
     }
 
     // The 32-bit integer techniques are much faster than the 64/53 bit, because
@@ -409,7 +360,11 @@ define([
                 this.transport.writeByte(byte);
             }.bind(this));
         },
-        /** Serializes a number (long, for values over MAX_INTEGER, it will throw an error) */
+        /** 
+         * Serializes a long. Numbers over 53 bits will throw an error, but
+         * a Thrift.Int64 or BigInt may hold the full range.
+         * @param {number|Thrift.Int64|BigInt} i64
+         */
         writeI64: function (i64) {
             var bytes = pack64(i64);
             bytes.forEach(function (byte) {
@@ -499,7 +454,7 @@ define([
             var version = this.readI32().value,
                 name, type, seqid;
             if (version < 0) {
-                if (version & Thrift.TBinaryProtocol.VERSION_MASK !== Thrift.TBinaryProtocol.VERSION_1) {
+                if (((version & Thrift.TBinaryProtocol.VERSION_MASK) >>> 0) !== Thrift.TBinaryProtocol.VERSION_1) {
                     throw new Thrift.TBinaryProtocolException({
                         reason: 'MissingVersionIdentifier',
                         message: 'Missing version identifier'
@@ -656,21 +611,17 @@ define([
             //        | this.readByte().value & 255)};
         },
         /** Returns the an object with a value property set to the 
-         next value found in the protocol buffer */
+         next value found in the protocol buffer, as a number, BigInt or 
+         Thrift.Int64 according to the i64 option. Numbers lose precision 
+         beyond 53 bits. */
         readI64: function () {
-            // Although this is a correct way of packing a long int,
-            // the value will overflow if the number is higher than max int
             var i, packed = [];
             for (i = 0; i < 8; i += 1) {
                 packed.push(this.transport.readByte());
             }
             return {
-                value: unpack64(packed)
+                value: unpack64(packed).toMode(this.i64Mode)
             };
-
-            //var i32_1 = this.readI32().value;
-            //var i32_2 = this.readI32().value;
-            //return {value: (i32_1 << 32 | i32_2)};
         },
         /** Returns the an object with a value property set to the 
          next value found in the protocol buffer */
@@ -728,7 +679,7 @@ define([
          next value found in the protocol buffer */
         readMultipleAsString: function (len) {
             var bytes = this.readMultiple(len);
-            return utf8.decode(bytes);
+            return utf8.decode(new Uint8Array(bytes));
         },
         /** Returns the an object with a value property set to the 
          next value found in the protocol buffer */
@@ -0,0 +1,700 @@
+/*global define */
+/*jslint white: true */
+
+/**
+ * Initializes a Compact Protocol implementation.
+ * @constructor
+ * @param {Thrift.Transport} transport - The transport to serialize to/from.
+ * @param {object} [options]
+ * @param {Thrift.Int64.Mode} [options.i64] - How i64 values are returned on
+ * read: 'number' (the default), 'bigint' or 'int64'.
+ * @classdesc Apache Thrift Protocols perform serialization which enables cross
+ * language RPC. The Protocol type is the JavaScript browser implementation
+ * of the Apache Thrift TCompactProtocol. Integers are written as zigzag
+ * varints, field ids as deltas from the previous field, and boolean fields
+ * are folded into the field header.
+ * @example
+ *     var protocol  = new Thrift.TCompactProtocol(transport);
+ */
+define([
+    '../core',
+    './utf8',
+    '../int64'
+], function (Thrift, utf8) {
+    'use strict';
+
+    function TCompactProtocolException(error) {
+        this.name = 'TCompactProtocolException';
+        this.reason = error.reason;
+        this.message = error.message;
+        this.suggestions = error.suggestions;
+        this.data = error.data;
+        this.stack = (new Error()).stack;
+    }
+    TCompactProtocolException.prototype = Object.create(Thrift.TProtocolException.prototype);
+    TCompactProtocolException.prototype.constructor = TCompactProtocolException;
+    Thrift.TCompactProtocolException = TCompactProtocolException;
+
+    Thrift.TCompactProtocol = function (transport, options) {
+        this.transport = transport;
+        this.i64Mode = Thrift.Int64.checkMode(options && options.i64);
+        this.lastFieldId = 0;
+        this.lastField = [];
+        // A bool field is not written until its value is known, since the
+        // value is folded into the field header.
+        this.booleanField = null;
+        this.boolValue = null;
+        // Generated map readers poke at these; see TBinaryProtocol.
+        this.rstack = [];
+        this.rpos = [];
+    };
+
+    Thrift.TCompactProtocol.PROTOCOL_ID = 0x82;
+    Thrift.TCompactProtocol.VERSION_N = 1;
+    Thrift.TCompactProtocol.VERSION_MASK = 0x1f;
+    Thrift.TCompactProtocol.TYPE_MASK = 0xe0;
+    Thrift.TCompactProtocol.TYPE_BITS = 0x07;
+    Thrift.TCompactProtocol.TYPE_SHIFT_AMOUNT = 5;
+
+    /**
+     * Compact protocol wire type ids.
+     * @readonly
+     */
+    Thrift.TCompactProtocol.Types = {
+        'CT_STOP': 0x00,
+        'CT_BOOLEAN_TRUE': 0x01,
+        'CT_BOOLEAN_FALSE': 0x02,
+        'CT_BYTE': 0x03,
+        'CT_I16': 0x04,
+        'CT_I32': 0x05,
+        'CT_I64': 0x06,
+        'CT_DOUBLE': 0x07,
+        'CT_BINARY': 0x08,
+        'CT_LIST': 0x09,
+        'CT_SET': 0x0a,
+        'CT_MAP': 0x0b,
+        'CT_STRUCT': 0x0c
+    };
+
+    var Types = Thrift.TCompactProtocol.Types,
+        ttypeToCompact = {},
+        compactToTtype = {};
+
+    ttypeToCompact[Thrift.Type.STOP] = Types.CT_STOP;
+    ttypeToCompact[Thrift.Type.BOOL] = Types.CT_BOOLEAN_TRUE;
+    ttypeToCompact[Thrift.Type.BYTE] = Types.CT_BYTE;
+    ttypeToCompact[Thrift.Type.I16] = Types.CT_I16;
+    ttypeToCompact[Thrift.Type.I32] = Types.CT_I32;
+    ttypeToCompact[Thrift.Type.I64] = Types.CT_I64;
+    ttypeToCompact[Thrift.Type.DOUBLE] = Types.CT_DOUBLE;
+    ttypeToCompact[Thrift.Type.STRING] = Types.CT_BINARY;
+    ttypeToCompact[Thrift.Type.LIST] = Types.CT_LIST;
+    ttypeToCompact[Thrift.Type.SET] = Types.CT_SET;
+    ttypeToCompact[Thrift.Type.MAP] = Types.CT_MAP;
+    ttypeToCompact[Thrift.Type.STRUCT] = Types.CT_STRUCT;
+
+    compactToTtype[Types.CT_STOP] = Thrift.Type.STOP;
+    compactToTtype[Types.CT_BOOLEAN_TRUE] = Thrift.Type.BOOL;
+    compactToTtype[Types.CT_BOOLEAN_FALSE] = Thrift.Type.BOOL;
+    compactToTtype[Types.CT_BYTE] = Thrift.Type.BYTE;
+    compactToTtype[Types.CT_I16] = Thrift.Type.I16;
+    compactToTtype[Types.CT_I32] = Thrift.Type.I32;
+    compactToTtype[Types.CT_I64] = Thrift.Type.I64;
+    compactToTtype[Types.CT_DOUBLE] = Thrift.Type.DOUBLE;
+    compactToTtype[Types.CT_BINARY] = Thrift.Type.STRING;
+    compactToTtype[Types.CT_LIST] = Thrift.Type.LIST;
+    compactToTtype[Types.CT_SET] = Thrift.Type.SET;
+    compactToTtype[Types.CT_MAP] = Thrift.Type.MAP;
+    compactToTtype[Types.CT_STRUCT] = Thrift.Type.STRUCT;
+
+    function getCompactType(ttype) {
+        var ctype = ttypeToCompact[ttype];
+        if (ctype === undefined) {
+            throw new TCompactProtocolException({
+                reason: 'InvalidType',
+                message: 'Type ' + ttype + ' has no compact protocol equivalent'
+            });
+        }
+        return ctype;
+    }
+
+    function getTType(ctype) {
+        var ttype = compactToTtype[ctype];
+        if (ttype === undefined) {
+            throw new TCompactProtocolException({
+                reason: 'InvalidType',
+                message: 'Unknown compact protocol type ' + ctype
+            });
+        }
+        return ttype;
+    }
+
+    var int64max = 0x1fffffffffffff, // Math.pow(2, 53) - 1,
+        int64min = -int64max,
+        int32max = 0x7fffffff,
+        int32min = -0x80000000,
+        int16max = 0x7fff,
+        int16min = -0x8000;
+
+    function checkRange(value, min, max, typeName) {
+        if (value < min) {
+            throw new TCompactProtocolException({
+                message: 'Number is less than the minimum ' + typeName + ' value'
+            });
+        }
+        if (value > max) {
+            throw new TCompactProtocolException({
+                message: 'Number is greater than the maximum ' + typeName + ' value'
+            });
+        }
+    }
+
+    /*
+     * The 64 bit values cannot be manipulated with the javascript bitwise
+     * operators, so the zigzag encoding, (n << 1) ^ (n >> 63), is done on the
+     * two 32 bit halves of a Thrift.Int64.
+     */
+    function zigzag64(i64) {
+        var sign = i64.isNegative() ? 0xffffffff : 0;
+        return {
+            hi: (((i64.hi << 1) | (i64.lo >>> 31)) ^ sign) >>> 0,
+            lo: ((i64.lo << 1) ^ sign) >>> 0
+        };
+    }
+
+    function unzigzag64(hi, lo) {
+        var sign = (lo & 1) ? 0xffffffff : 0;
+        return new Thrift.Int64(
+            ((hi >>> 1) ^ sign) >>> 0,
+            (((lo >>> 1) | (hi << 31)) ^ sign) >>> 0
+        );
+    }
+
+    function toInt64(value) {
+        if (typeof value === 'number') {
+            checkRange(value, int64min, int64max, 'I64');
+        }
+        try {
+            return Thrift.Int64.from(value);
+        } catch (ex) {
+            throw new TCompactProtocolException({
+                reason: 'InvalidI64',
+                message: ex.message,
+                data: value
+            });
+        }
+    }
+
+    Thrift.TCompactProtocol.prototype = {
+        getTransport: function () {
+            return this.transport;
+        },
+        /**
+         * Serializes the beginning of a Thrift RPC message.
+         * @param {string} name - The service method to call.
+         * @param {Thrift.MessageType} messageType - The type of method call.
+         * @param {number} seqid - The sequence number of this call.
+         */
+        writeMessageBegin: function (name, type, seqid) {
+            this.writeByteDirect(Thrift.TCompactProtocol.PROTOCOL_ID);
+            this.writeByteDirect((Thrift.TCompactProtocol.VERSION_N & Thrift.TCompactProtocol.VERSION_MASK) |
+                ((type << Thrift.TCompactProtocol.TYPE_SHIFT_AMOUNT) & Thrift.TCompactProtocol.TYPE_MASK));
+            this.writeVarint32(seqid);
+            this.writeString(name);
+        },
+        /**
+         * Serializes the end of a Thrift RPC message.
+         */
+        writeMessageEnd: function () {
+        },
+        /**
+         * Serializes the beginning of a struct. Field ids are written relative
+         * to the previous field, so the last id of the enclosing struct is saved.
+         * @param {string} name - The name of the struct.
+         */
+        writeStructBegin: function (name) {
+            this.lastField.push(this.lastFieldId);
+            this.lastFieldId = 0;
+        },
+        /**
+         * Serializes the end of a struct.
+         */
+        writeStructEnd: function () {
+            this.lastFieldId = this.lastField.pop();
+        },
+        /**
+         * Serializes the beginning of a struct field. Bool fields are held
+         * back until writeBool supplies the value.
+         * @param {string} name - The name of the field.
+         * @param {Thrift.Type} fieldType - The data type of the field.
+         * @param {number} fieldId - The field's unique identifier.
+         */
+        writeFieldBegin: function (name, type, id) {
+            if (type === Thrift.Type.BOOL) {
+                this.booleanField = {name: name, fieldType: type, fieldId: id};
+            } else {
+                this.writeFieldBeginInternal(type, id, -1);
+            }
+        },
+        writeFieldBeginInternal: function (type, id, typeOverride) {
+            var typeToWrite = (typeOverride === -1) ? getCompactType(type) : typeOverride;
+            if (id > this.lastFieldId && id - this.lastFieldId <= 15) {
+                this.writeByteDirect(((id - this.lastFieldId) << 4) | typeToWrite);
+            } else {
+                this.writeByteDirect(typeToWrite);
+                this.writeI16(id);
+            }
+            this.lastFieldId = id;
+        },
+        /**
+         * Serializes the end of a field.
+         */
+        writeFieldEnd: function () {
+        },
+        /**
+         * Serializes the end of the set of fields for a struct.
+         */
+        writeFieldStop: function () {
+            this.writeByteDirect(Types.CT_STOP);
+        },
+        /**
+         * Serializes the beginning of a map collection. An empty map is
+         * written as a single zero byte.
+         * @param {Thrift.Type} keyType - The data type of the key.
+         * @param {Thrift.Type} valType - The data type of the value.
+         * @param {number} size - The number of elements in the map.
+         */
+        writeMapBegin: function (keyType, valType, size) {
+            if (size === 0) {
+                this.writeByteDirect(0);
+            } else {
+                this.writeVarint32(size);
+                this.writeByteDirect((getCompactType(keyType) << 4) | getCompactType(valType));
+            }
+        },
+        /**
+         * Serializes the end of a map.
+         */
+        writeMapEnd: function () {
+        },
+        /**
+         * Serializes the beginning of a list collection. Sizes up to 14 share
+         * the header byte with the element type.
+         * @param {Thrift.Type} elemType - The data type of the elements.
+         * @param {number} size - The number of elements in the list.
+         */
+        writeListBegin: function (elemType, size) {
+            this.writeCollectionBegin(elemType, size);
+        },
+        /**
+         * Serializes the end of a list.
+         */
+        writeListEnd: function () {
+        },
+        /**
+         * Serializes the beginning of a set collection.
+         * @param {Thrift.Type} elemType - The data type of the elements.
+         * @param {number} size - The number of elements in the set.
+         */
+        writeSetBegin: function (elemType, size) {
+            this.writeCollectionBegin(elemType, size);
+        },
+        /**
+         * Serializes the end of a set.
+         */
+        writeSetEnd: function () {
+        },
+        writeCollectionBegin: function (elemType, size) {
+            if (size <= 14) {
+                this.writeByteDirect((size << 4) | getCompactType(elemType));
+            } else {
+                this.writeByteDirect(0xf0 | getCompactType(elemType));
+                this.writeVarint32(size);
+            }
+        },
+        /** Serializes a boolean, either as a field header or a single byte */
+        writeBool: function (bool) {
+            var ctype = bool ? Types.CT_BOOLEAN_TRUE : Types.CT_BOOLEAN_FALSE;
+            if (this.booleanField !== null) {
+                this.writeFieldBeginInternal(this.booleanField.fieldType, this.booleanField.fieldId, ctype);
+                this.booleanField = null;
+            } else {
+                this.writeByteDirect(ctype);
+            }
+        },
+        /** Serializes a number */
+        writeByte: function (byte) {
+            checkRange(byte, -0x80, 0xff, 'byte');
+            this.writeByteDirect(byte);
+        },
+        writeByteDirect: function (byte) {
+            this.transport.writeByte(byte & 0xff);
+        },
+        /** Serializes a number (short) as a zigzag varint */
+        writeI16: function (i16) {
+            checkRange(i16, int16min, int16max, 'I16');
+            this.writeVarint32((i16 << 1) ^ (i16 >> 31));
+        },
+        /** Serializes a number (int) as a zigzag varint */
+        writeI32: function (i32) {
+            checkRange(i32, int32min, int32max, 'I32');
+            this.writeVarint32((i32 << 1) ^ (i32 >> 31));
+        },
+        /**
+         * Serializes a long. Numbers over 53 bits will throw an error, but
+         * a Thrift.Int64 or BigInt may hold the full range.
+         * @param {number|Thrift.Int64|BigInt} i64
+         */
+        writeI64: function (i64) {
+            var zz = zigzag64(toInt64(i64));
+            this.writeVarint64(zz.hi, zz.lo);
+        },
+        /** Serializes a number (double IEEE-754, little endian) */
+        writeDouble: function (dub) {
+            var buf = new DataView(new ArrayBuffer(8)), i;
+            buf.setFloat64(0, dub, true);
+            for (i = 0; i < 8; i += 1) {
+                this.transport.writeByte(buf.getUint8(i));
+            }
+        },
+        /** Serializes a string */
+        writeString: function (str) {
+            var bytes = utf8.encode(str);
+            this.writeVarint32(bytes.length);
+            this.transport.write(bytes);
+        },
+        /** Serializes abritrary array of bytes */
+        writeBinary: function (buf) {
+            this.writeVarint32(buf.length);
+            this.transport.write(buf);
+        },
+        /** Writes an unsigned 32 bit integer as a varint, 7 bits per byte */
+        writeVarint32: function (n) {
+            n = n >>> 0;
+            while (n > 0x7f) {
+                this.transport.writeByte((n & 0x7f) | 0x80);
+                n = n >>> 7;
+            }
+            this.transport.writeByte(n);
+        },
+        /** Writes an unsigned 64 bit integer, given as two 32 bit halves, as a varint */
+        writeVarint64: function (hi, lo) {
+            while (hi !== 0 || lo > 0x7f) {
+                this.transport.writeByte((lo & 0x7f) | 0x80);
+                lo = ((lo >>> 7) | (hi << 25)) >>> 0;
+                hi = hi >>> 7;
+            }
+            this.transport.writeByte(lo);
+        },
+        /**
+         * Deserializes the beginning of a message.
+         * @returns {AnonReadMessageBeginReturn}
+         */
+        readMessageBegin: function () {
+            var protocolId = this.readByteDirect(),
+                versionAndType, version, type, seqid, name;
+            if (protocolId !== Thrift.TCompactProtocol.PROTOCOL_ID) {
+                throw new TCompactProtocolException({
+                    reason: 'BadProtocolId',
+                    message: 'Expected protocol id ' + Thrift.TCompactProtocol.PROTOCOL_ID.toString(16) +
+                        ' but got ' + String(protocolId)
+                });
+            }
+            versionAndType = this.readByteDirect();
+            version = versionAndType & Thrift.TCompactProtocol.VERSION_MASK;
+            if (version !== Thrift.TCompactProtocol.VERSION_N) {
+                throw new TCompactProtocolException({
+                    reason: 'BadVersion',
+                    message: 'Expected version ' + Thrift.TCompactProtocol.VERSION_N + ' but got ' + version
+                });
+            }
+            type = (versionAndType >> Thrift.TCompactProtocol.TYPE_SHIFT_AMOUNT) & Thrift.TCompactProtocol.TYPE_BITS;
+            seqid = this.readVarint32() | 0;
+            name = this.readString().value;
+            return {fname: name, mtype: type, rseqid: seqid};
+        },
+        /** Deserializes the end of a message. */
+        readMessageEnd: function () {
+        },
+        /**
+         * Deserializes the beginning of a struct.
+         * @param {string} [name] - The name of the struct (ignored)
+         * @returns {object} - Not supported in compact protocol
+         */
+        readStructBegin: function (name) {
+            this.lastField.push(this.lastFieldId);
+            this.lastFieldId = 0;
+            return {fname: ''};
+        },
+        /** Deserializes the end of a struct. */
+        readStructEnd: function () {
+            this.lastFieldId = this.lastField.pop();
+        },
+        /**
+         * Deserializes the beginning of a field.
+         * @returns {AnonReadFieldBeginReturn}
+         */
+        readFieldBegin: function () {
+            var type = this.readByteDirect(),
+                ctype = type & 0x0f,
+                modifier, fid;
+            if (ctype === Types.CT_STOP) {
+                return {fname: '', ftype: Thrift.Type.STOP, fid: 0};
+            }
+            modifier = (type & 0xf0) >>> 4;
+            if (modifier === 0) {
+                fid = this.readI16().value;
+            } else {
+                fid = this.lastFieldId + modifier;
+            }
+            if (ctype === Types.CT_BOOLEAN_TRUE || ctype === Types.CT_BOOLEAN_FALSE) {
+                this.boolValue = (ctype === Types.CT_BOOLEAN_TRUE);
+            }
+            this.lastFieldId = fid;
+            return {fname: '', ftype: getTType(ctype), fid: fid};
+        },
+        /** Deserializes the end of a field. */
+        readFieldEnd: function () {
+            return {value: ''};
+        },
+        /**
+         * Deserializes the beginning of a map.
+         * @returns {AnonReadMapBeginReturn}
+         */
+        readMapBegin: function () {
+            var size = this.readVarint32(),
+                keyAndValueType;
+            if (size === 0) {
+                return {ktype: Thrift.Type.STOP, vtype: Thrift.Type.STOP, size: 0};
+            }
+            keyAndValueType = this.readByteDirect();
+            return {
+                ktype: getTType((keyAndValueType >>> 4) & 0x0f),
+                vtype: getTType(keyAndValueType & 0x0f),
+                size: size
+            };
+        },
+        /** Deserializes the end of a map. */
+        readMapEnd: function () {
+        },
+        /**
+         * Deserializes the beginning of a list.
+         * @returns {AnonReadColBeginReturn}
+         */
+        readListBegin: function () {
+            var sizeAndType = this.readByteDirect(),
+                size = (sizeAndType >>> 4) & 0x0f;
+            if (size === 15) {
+                size = this.readVarint32();
+            }
+            return {etype: getTType(sizeAndType & 0x0f), size: size};
+        },
+        /** Deserializes the end of a list. */
+        readListEnd: function () {
+        },
+        /**
+         * Deserializes the beginning of a set.
+         * @returns {AnonReadColBeginReturn}
+         */
+        readSetBegin: function () {
+            return this.readListBegin();
+        },
+        /** Deserializes the end of a set. */
+        readSetEnd: function () {
+        },
+        /** Returns an object with a value property set to the bool value,
+         *  taken from the preceding field header if there was one */
+        readBool: function () {
+            var value;
+            if (this.boolValue !== null) {
+                value = this.boolValue;
+                this.boolValue = null;
+            } else {
+                value = (this.readByteDirect() === Types.CT_BOOLEAN_TRUE);
+            }
+            return {value: value};
+        },
+        /** Returns the an object with a value property set to the
+         next value found in the protocol buffer */
+        readByte: function () {
+            var val = this.readByteDirect();
+            if (val > 0x7f) {
+                val = 0 - ((val - 1) ^ 0xff);
+            }
+            return {value: val};
+        },
+        readByteDirect: function () {
+            var val = this.transport.readByte();
+            if (val === null || val === undefined) {
+                throw new TCompactProtocolException({
+                    reason: 'EndOfBuffer',
+                    message: 'Attempted to read past the end of the buffer'
+                });
+            }
+            return val & 0xff;
+        },
+        /** Returns the an object with a value property set to the
+         next value found in the protocol buffer */
+        readI16: function () {
+            return {value: this.readZigzag32()};
+        },
+        /** Returns the an object with a value property set to the
+         next value found in the protocol buffer */
+        readI32: function () {
+            return {value: this.readZigzag32()};
+        },
+        /** Returns the an object with a value property set to the
+         next value found in the protocol buffer, as a number, BigInt or
+         Thrift.Int64 according to the i64 option */
+        readI64: function () {
+            var halves = this.readVarint64();
+            return {value: unzigzag64(halves.hi, halves.lo).toMode(this.i64Mode)};
+        },
+        /** Returns the an object with a value property set to the
+         next value found in the protocol buffer */
+        readDouble: function () {
+            var buf = new DataView(new ArrayBuffer(8)), i;
+            for (i = 0; i < 8; i += 1) {
+                buf.setUint8(i, this.readByteDirect());
+            }
+            return {value: buf.getFloat64(0, true)};
+        },
+        /** Returns the an object with a value property set to the
+         next value found in the protocol buffer */
+        readString: function () {
+            var size = this.readVarint32();
+            if (size === 0) {
+                return {value: ''};
+            }
+            return {
+                value: utf8.decode(new Uint8Array(this.readMultiple(size)))
+            };
+        },
+        readBinary: function () {
+            var size = this.readVarint32();
+            if (size === 0) {
+                return {value: []};
+            }
+            return {
+                value: this.readMultiple(size)
+            };
+        },
+        readMultiple: function (len) {
+            return this.transport.read(len);
+        },
+        readZigzag32: function () {
+            var n = this.readVarint32();
+            return (n >>> 1) ^ -(n & 1);
+        },
+        /** Reads a varint of at most 5 bytes as an unsigned 32 bit integer */
+        readVarint32: function () {
+            var result = 0, shift = 0, byte;
+            while (true) {
+                byte = this.readByteDirect();
+                result |= (byte & 0x7f) << shift;
+                if ((byte & 0x80) === 0) {
+                    break;
+                }
+                shift += 7;
+                if (shift > 28) {
+                    throw new TCompactProtocolException({
+                        reason: 'InvalidVarint',
+                        message: 'Variable-length int over 5 bytes'
+                    });
+                }
+            }
+            return result >>> 0;
+        },
+        /** Reads a varint of at most 10 bytes as a pair of unsigned 32 bit halves */
+        readVarint64: function () {
+            var hi = 0, lo = 0, shift = 0, byte, bits;
+            while (true) {
+                byte = this.readByteDirect();
+                bits = byte & 0x7f;
+                if (shift < 32) {
+                    lo |= bits << shift;
+                    if (shift > 25) {
+                        hi |= bits >>> (32 - shift);
+                    }
+                } else {
+                    hi |= bits << (shift - 32);
+                }
+                if ((byte & 0x80) === 0) {
+                    break;
+                }
+                shift += 7;
+                if (shift > 63) {
+                    throw new TCompactProtocolException({
+                        reason: 'InvalidVarint',
+                        message: 'Variable-length int over 10 bytes'
+                    });
+                }
+            }
+            return {hi: hi >>> 0, lo: lo >>> 0};
+        },
+        /**
+         * Method to arbitrarily skip over data */
+        skip: function (type) {
+            var ret, i;
+            switch (type) {
+                case Thrift.Type.STOP:
+                    return null;
+                case Thrift.Type.BOOL:
+                    return this.readBool();
+                case Thrift.Type.BYTE:
+                    return this.readByte();
+                case Thrift.Type.I16:
+                    return this.readI16();
+                case Thrift.Type.I32:
+                    return this.readI32();
+                case Thrift.Type.I64:
+                    return this.readI64();
+                case Thrift.Type.DOUBLE:
+                    return this.readDouble();
+                case Thrift.Type.STRING:
+                    return this.readBinary();
+                case Thrift.Type.STRUCT:
+                    this.readStructBegin();
+                    while (true) {
+                        ret = this.readFieldBegin();
+                        if (ret.ftype === Thrift.Type.STOP) {
+                            break;
+                        }
+                        this.skip(ret.ftype);
+                        this.readFieldEnd();
+                    }
+                    this.readStructEnd();
+                    return null;
+                case Thrift.Type.MAP:
+                    ret = this.readMapBegin();
+                    for (i = 0; i < ret.size; i += 1) {
+                        this.skip(ret.ktype);
+                        this.skip(ret.vtype);
+                    }
+                    this.readMapEnd();
+                    return null;
+                case Thrift.Type.SET:
+                    ret = this.readSetBegin();
+                    for (i = 0; i < ret.size; i += 1) {
+                        this.skip(ret.etype);
+                    }
+                    this.readSetEnd();
+                    return null;
+                case Thrift.Type.LIST:
+                    ret = this.readListBegin();
+                    for (i = 0; i < ret.size; i += 1) {
+                        this.skip(ret.etype);
+                    }
+                    this.readListEnd();
+                    return null;
+                default:
+                    throw new TCompactProtocolException({
+                        reason: 'InvalidType',
+                        message: 'Cannot skip unknown type ' + type
+                    });
+            }
+        }
+    };
+
+    return Thrift;
+});
@@ -0,0 +1,133 @@
+/*global define */
+/*jshint white: true */
+
+define([
+    '../core',
+    './binary',
+    './compact',
+    '../transport/header'
+], function (Thrift) {
+    'use strict';
+
+    function THeaderProtocolException(error) {
+        this.name = 'THeaderProtocolException';
+        this.reason = error.reason;
+        this.message = error.message;
+        this.suggestions = error.suggestions;
+        this.data = error.data;
+        this.stack = (new Error()).stack;
+    }
+    THeaderProtocolException.prototype = Object.create(Thrift.TProtocolException.prototype);
+    THeaderProtocolException.prototype.constructor = THeaderProtocolException;
+    Thrift.THeaderProtocolException = THeaderProtocolException;
+
+    /**
+     * Initializes a header protocol instance.
+     * @constructor
+     * @param {Thrift.THeaderTransport} transport - The header transport.
+     * @param {object} [options] - Passed to the binary or compact protocol,
+     * e.g. the i64 option.
+     * @classdesc The header protocol writes each message with the protocol
+     * named by the protocol id of its THeaderTransport, and reads each
+     * message with the protocol named in the header of the frame it came in.
+     */
+    Thrift.THeaderProtocol = function (transport, options) {
+        this.transport = transport;
+        this.options = options;
+        this.writer = null;
+        this.reader = null;
+        // Read by generated code; kept for compatibility with the other protocols.
+        this.rstack = [];
+        this.rpos = [];
+    };
+
+    /**
+     * Creates a protocol of the given id over a transport.
+     * @param {number} protocolId - One of Thrift.THeaderTransport.ProtocolId.
+     * @param {object} transport
+     * @param {object} [options]
+     * @returns {object} The protocol.
+     * @throws {THeaderProtocolException} For an unsupported protocol id.
+     */
+    Thrift.THeaderProtocol.createProtocol = function (protocolId, transport, options) {
+        switch (protocolId) {
+            case Thrift.THeaderTransport.ProtocolId.BINARY:
+                return new Thrift.TBinaryProtocol(transport, false, true, options);
+            case Thrift.THeaderTransport.ProtocolId.COMPACT:
+                return new Thrift.TCompactProtocol(transport, options);
+            default:
+                throw new THeaderProtocolException({
+                    reason: 'UnsupportedProtocol',
+                    message: 'The protocol with id ' + protocolId + ' is not supported',
+                    data: protocolId
+                });
+        }
+    };
+
+    Thrift.THeaderProtocol.prototype = {
+        getTransport: function () {
+            return this.transport;
+        },
+        __writer: function () {
+            var protocolId = this.transport.getProtocolId();
+            if (!this.writer || this.writer.protocolId !== protocolId) {
+                this.writer = Thrift.THeaderProtocol.createProtocol(protocolId, this.transport, this.options);
+                this.writer.protocolId = protocolId;
+            }
+            return this.writer;
+        },
+        __readerProtocol: function () {
+            if (!this.reader) {
+                throw new THeaderProtocolException({
+                    reason: 'NoMessage',
+                    message: 'A message must be begun before it can be read'
+                });
+            }
+            return this.reader;
+        },
+        writeMessageBegin: function (name, type, seqid) {
+            this.transport.setSeqId(seqid);
+            this.__writer().writeMessageBegin(name, type, seqid);
+        },
+        /**
+         * Reads the beginning of a message, with the protocol named in the
+         * header of its frame.
+         * @returns {object} The message header, as for the other protocols.
+         */
+        readMessageBegin: function () {
+            var protocolId = this.transport.beginReadMessage();
+            if (protocolId === null) {
+                throw new THeaderProtocolException({
+                    reason: 'NoMessage',
+                    message: 'There is no message to read'
+                });
+            }
+            this.reader = Thrift.THeaderProtocol.createProtocol(protocolId, this.transport, this.options);
+            return this.reader.readMessageBegin();
+        }
+    };
+
+    ['writeMessageEnd', 'writeStructBegin', 'writeStructEnd', 'writeFieldBegin',
+        'writeFieldEnd', 'writeFieldStop', 'writeMapBegin', 'writeMapEnd',
+        'writeListBegin', 'writeListEnd', 'writeSetBegin', 'writeSetEnd',
+        'writeBool', 'writeByte', 'writeI16', 'writeI32', 'writeI64',
+        'writeDouble', 'writeString', 'writeBinary'].forEach(function (name) {
+        Thrift.THeaderProtocol.prototype[name] = function () {
+            var writer = this.__writer();
+            return writer[name].apply(writer, arguments);
+        };
+    });
+
+    ['readMessageEnd', 'readStructBegin', 'readStructEnd', 'readFieldBegin',
+        'readFieldEnd', 'readMapBegin', 'readMapEnd', 'readListBegin',
+        'readListEnd', 'readSetBegin', 'readSetEnd', 'readBool', 'readByte',
+        'readI16', 'readI32', 'readI64', 'readDouble', 'readString',
+        'readBinary', 'skip'].forEach(function (name) {
+        Thrift.THeaderProtocol.prototype[name] = function () {
+            var reader = this.__readerProtocol();
+            return reader[name].apply(reader, arguments);
+        };
+    });
+
+    return Thrift;
+});
@@ -4,21 +4,67 @@
  * Initializes a Thrift JSON protocol instance.
  * @constructor
  * @param {Thrift.Transport} transport - The transport to serialize to/from.
+ * @param {object} [options]
+ * @param {Thrift.Int64.Mode} [options.i64] - How i64 values are returned on
+ * read: 'number' (the default), 'bigint' or 'int64'.
  * @classdesc Apache Thrift Protocols perform serialization which enables cross 
  * language RPC. The Protocol type is the JavaScript browser implementation 
  * of the Apache Thrift TJSONProtocol.
  * @example
- *     var protocol  = new Thrift.Protocol(transport);
+ *     var protocol  = new Thrift.TJSONProtocol(transport);
  */
 define([
-    '../core'
-], function (Thrift) {
-    Thrift.TJSONProtocol = function (transport) {
+    '../core',
+    './utf8',
+    '../int64'
+], function (Thrift, utf8) {
+    Thrift.TJSONProtocol = function (transport, options) {
         this.tstack = [];
         this.tpos = [];
         this.transport = transport;
+        this.i64Mode = Thrift.Int64.checkMode(options && options.i64);
     };
 
+    /*
+     * JSON.parse turns every number into a double, so integers which may be
+     * beyond 53 bits are quoted before parsing, and converted by readI64.
+     * Anything with 16 or more digits is suspect.
+     */
+    function quoteLargeIntegers(text) {
+        var result = '', i = 0, len = text.length, ch, start, token;
+        while (i < len) {
+            ch = text.charAt(i);
+            if (ch === '"') {
+                start = i;
+                i += 1;
+                while (i < len && text.charAt(i) !== '"') {
+                    if (text.charAt(i) === '\\') {
+                        i += 1;
+                    }
+                    i += 1;
+                }
+                i += 1;
+                result += text.substring(start, i);
+            } else if (ch === '-' || (ch >= '0' && ch <= '9')) {
+                start = i;
+                i += 1;
+                while (i < len && /[0-9eE.+\-]/.test(text.charAt(i))) {
+                    i += 1;
+                }
+                token = text.substring(start, i);
+                if (/^-?[0-9]{16,}$/.test(token)) {
+                    result += '"' + token + '"';
+                } else {
+                    result += token;
+                }
+            } else {
+                result += ch;
+                i += 1;
+            }
+        }
+        return result;
+    }
+
     /**
      * Thrift IDL type Id to string mapping.
      * @readonly
@@ -59,7 +105,7 @@ define([
      * The TJSONProtocol version number.
      * @readonly
      * @const {number} Version
-     * @memberof Thrift.Protocol
+     * @memberof Thrift.TJSONProtocol
      */
     Thrift.TJSONProtocol.Version = 1;
 
@@ -82,7 +128,7 @@ define([
             this.tstack = [];
             this.tpos = [];
 
-            this.tstack.push([Thrift.Protocol.Version, '"' +
+            this.tstack.push([Thrift.TJSONProtocol.Version, '"' +
                     name + '"', messageType, seqid]);
         },
         /**
@@ -96,7 +142,7 @@ define([
 
             this.wbuf = '[' + this.wobj.join(',') + ']';
 
-            this.transport.write(this.wbuf);
+            this.transport.write(utf8.encode(this.wbuf));
         },
         /**
          * Serializes the beginning of a struct.
@@ -131,13 +177,13 @@ define([
         /**
          * Serializes the beginning of a struct field.
          * @param {string} name - The name of the field.
-         * @param {Thrift.Protocol.Type} fieldType - The data type of the field.
+         * @param {Thrift.TJSONProtocol.Type} fieldType - The data type of the field.
          * @param {number} fieldId - The field's unique identifier.
          */
         writeFieldBegin: function (name, fieldType, fieldId) {
             this.tpos.push(this.tstack.length);
             this.tstack.push({'fieldId': '"' +
-                    fieldId + '"', 'fieldType': Thrift.Protocol.Type[fieldType]
+                    fieldId + '"', 'fieldType': Thrift.TJSONProtocol.Type[fieldType]
             });
 
         },
@@ -166,8 +212,8 @@ define([
          */
         writeMapBegin: function (keyType, valType, size) {
             this.tpos.push(this.tstack.length);
-            this.tstack.push([Thrift.Protocol.Type[keyType],
-                Thrift.Protocol.Type[valType], 0]);
+            this.tstack.push([Thrift.TJSONProtocol.Type[keyType],
+                Thrift.TJSONProtocol.Type[valType], 0]);
         },
         /**
          * Serializes the end of a map.
@@ -215,7 +261,7 @@ define([
          */
         writeListBegin: function (elemType, size) {
             this.tpos.push(this.tstack.length);
-            this.tstack.push([Thrift.Protocol.Type[elemType], size]);
+            this.tstack.push([Thrift.TJSONProtocol.Type[elemType], size]);
         },
         /**
          * Serializes the end of a list.
@@ -238,7 +284,7 @@ define([
          */
         writeSetBegin: function (elemType, size) {
             this.tpos.push(this.tstack.length);
-            this.tstack.push([Thrift.Protocol.Type[elemType], size]);
+            this.tstack.push([Thrift.TJSONProtocol.Type[elemType], size]);
         },
         /**
          * Serializes the end of a set.
@@ -270,9 +316,13 @@ define([
         writeI32: function (i32) {
             this.tstack.push(i32);
         },
-        /** Serializes a number */
+        /** Serializes a number, Thrift.Int64 or BigInt */
         writeI64: function (i64) {
-            this.tstack.push(i64);
+            if (Thrift.Int64.isInt64(i64)) {
+                this.tstack.push(Thrift.Int64.from(i64).toString());
+            } else {
+                this.tstack.push(i64);
+            }
         },
         /** Serializes a number */
         writeDouble: function (dbl) {
@@ -328,18 +378,26 @@ define([
             this.rstack = [];
             this.rpos = [];
 
+            var text = this.transport.readAll();
+            if (typeof text !== 'string') {
+                text = utf8.decode(new Uint8Array(text));
+            }
+            if (this.i64Mode !== Thrift.Int64.Mode.NUMBER) {
+                text = quoteLargeIntegers(text);
+            }
+
             if (typeof JSON !== 'undefined' && typeof JSON.parse === 'function') {
-                this.robj = JSON.parse(this.transport.readAll());
+                this.robj = JSON.parse(text);
             } else if (typeof jQuery !== 'undefined') {
-                this.robj = jQuery.parseJSON(this.transport.readAll());
+                this.robj = jQuery.parseJSON(text);
             } else {
-                this.robj = eval(this.transport.readAll());
+                this.robj = eval(text);
             }
 
             var r = {};
             var version = this.robj.shift();
 
-            if (version !== Thrift.Protocol.Version) {
+            if (version !== Thrift.TJSONProtocol.Version) {
                 throw 'Wrong thrift protocol version: ' + version;
             }
 
@@ -419,11 +477,11 @@ define([
                 //should only be 1 of these but this is the only
                 //way to match a key
                 for (var i in (this.rstack[this.rstack.length - 1])) {
-                    if (Thrift.Protocol.RType[i] === null) {
+                    if (Thrift.TJSONProtocol.RType[i] === null) {
                         continue;
                     }
 
-                    ftype = Thrift.Protocol.RType[i];
+                    ftype = Thrift.TJSONProtocol.RType[i];
                     this.rstack[this.rstack.length - 1] =
                         this.rstack[this.rstack.length - 1][i];
                 }
@@ -466,8 +524,8 @@ define([
             }
 
             var r = {};
-            r.ktype = Thrift.Protocol.RType[first];
-            r.vtype = Thrift.Protocol.RType[map.shift()];
+            r.ktype = Thrift.TJSONProtocol.RType[first];
+            r.vtype = Thrift.TJSONProtocol.RType[map.shift()];
             r.size = map.shift();
 
 
@@ -494,7 +552,7 @@ define([
             var list = this.rstack[this.rstack.length - 1];
 
             var r = {};
-            r.etype = Thrift.Protocol.RType[list.shift()];
+            r.etype = Thrift.TJSONProtocol.RType[list.shift()];
             r.size = list.shift();
 
             this.rpos.push(this.rstack.length);
@@ -575,14 +633,24 @@ define([
             return r;
         },
         /** Returns the an object with a value property set to the 
-         next value found in the protocol buffer */
+         next value found in the protocol buffer, as a number, BigInt or 
+         Thrift.Int64 according to the i64 option */
         readI64: function () {
-            return this.readI32();
+            var r = this.readI32();
+            if (this.i64Mode !== Thrift.Int64.Mode.NUMBER && r.value !== undefined) {
+                r.value = Thrift.Int64.from(r.value).toMode(this.i64Mode);
+            }
+            return r;
         },
         /** Returns the an object with a value property set to the 
          next value found in the protocol buffer */
         readDouble: function () {
-            return this.readI32();
+            var r = this.readI32();
+            // May have been quoted as a possible large integer.
+            if (typeof r.value === 'string' && this.i64Mode !== Thrift.Int64.Mode.NUMBER) {
+                r.value = Number(r.value);
+            }
+            return r;
         },
         /** Returns the an object with a value property set to the 
          next value found in the protocol buffer */
@@ -1,51 +1,159 @@
+/*global define */
+/*jshint white: true */
 
+define([
+    '../core',
+    './binary'
+], function (Thrift) {
+    'use strict';
 
-/**
- * Initializes a MutilplexProtocol Implementation as a Wrapper for Thrift.Protocol
- * @constructor
- */
-Thrift.MultiplexProtocol = function (srvName, trans, strictRead, strictWrite) {
-    Thrift.Protocol.call(this, trans, strictRead, strictWrite);
-    this.serviceName = srvName;
-};
-Thrift.inherits(Thrift.MultiplexProtocol, Thrift.Protocol, 'multiplexProtocol');
-
-/** Override writeMessageBegin method of prototype*/
-Thrift.MultiplexProtocol.prototype.writeMessageBegin = function (name, type, seqid) {
-
-    if (type === Thrift.MessageType.CALL || type === Thrift.MessageType.ONEWAY) {
-        Thrift.Protocol.prototype.writeMessageBegin.call(this, this.serviceName + ":" + name, type, seqid);
-    } else {
-        Thrift.Protocol.prototype.writeMessageBegin.call(this, name, type, seqid);
-    }
-};
-
-Thrift.Multiplexer = function () {
-    this.seqid = 0;
-};
-
-/** Instantiates a multiplexed client for a specific service
- * @constructor
- * @param {String} serviceName - The transport to serialize to/from.
- * @param {Thrift.ServiceClient} SCl - The Service Client Class
- * @param {Thrift.Transport} transport - Thrift.Transport instance which provides remote host:port
- * @example
- *    var mp = new Thrift.Multiplexer();
- *    var transport = new Thrift.Transport("http://localhost:9090/foo.thrift");
- *    var protocol = new Thrift.Protocol(transport);
- *    var client = mp.createClient('AuthService', AuthServiceClient, transport);
- */
-Thrift.Multiplexer.prototype.createClient = function (serviceName, SCl, transport) {
-    if (SCl.Client) {
-        SCl = SCl.Client;
-    }
-    var self = this;
-    SCl.prototype.new_seqid = function () {
-        self.seqid += 1;
-        return self.seqid;
+    /**
+     * Initializes a multiplexed protocol, which decorates another protocol.
+     * @constructor
+     * @param {object} protocol - The protocol to decorate: binary, compact or
+     * JSON.
+     * @param {string} serviceName - The name the service is registered under
+     * with the server's TMultiplexedProcessor.
+     * @classdesc The multiplexed protocol writes the name of each called
+     * method as service:method, so that one endpoint running a
+     * TMultiplexedProcessor can route calls to several services. Everything
+     * else is left to the decorated protocol.
+     * @example
+     *     var transport = new Thrift.TXHRTransport("http://localhost:9090/thrift"),
+     *         protocol = new Thrift.TBinaryProtocol(transport),
+     *         client = new AuthServiceClient(new Thrift.TMultiplexedProtocol(protocol, 'AuthService'));
+     */
+    Thrift.TMultiplexedProtocol = function (protocol, serviceName) {
+        this.protocol = protocol;
+        this.serviceName = serviceName;
+        this.transport = protocol.getTransport();
     };
-    var client = new SCl(new Thrift.MultiplexProtocol(serviceName, transport));
 
-    return client;
-};
+    /**
+     * The separator between the service and method names.
+     * @readonly
+     */
+    Thrift.TMultiplexedProtocol.SEPARATOR = ':';
 
+    Thrift.TMultiplexedProtocol.prototype = {
+        getTransport: function () {
+            return this.transport;
+        },
+        /**
+         * Returns the decorated protocol, reading from this protocol's
+         * transport. The http transports read each reply through a view of
+         * the client input protocol with its own transport; the decorated
+         * protocol must then read from that transport too.
+         * @returns {object}
+         */
+        __target: function () {
+            var view;
+            if (this.transport === this.protocol.transport) {
+                return this.protocol;
+            }
+            if (!this.hasOwnProperty('protocolView') || this.protocolView.transport !== this.transport) {
+                view = Object.create(this.protocol);
+                view.transport = this.transport;
+                this.protocolView = view;
+            }
+            return this.protocolView;
+        },
+        /**
+         * Serializes the beginning of a message, naming the method as
+         * service:method for calls.
+         * @param {string} name - The service method to call.
+         * @param {Thrift.MessageType} type - The type of message.
+         * @param {number} seqid - The sequence number of this call.
+         */
+        writeMessageBegin: function (name, type, seqid) {
+            if (type === Thrift.MessageType.CALL || type === Thrift.MessageType.ONEWAY) {
+                name = this.serviceName + Thrift.TMultiplexedProtocol.SEPARATOR + name;
+            }
+            return this.__target().writeMessageBegin(name, type, seqid);
+        }
+    };
+
+    ['writeMessageEnd', 'writeStructBegin', 'writeStructEnd', 'writeFieldBegin',
+        'writeFieldEnd', 'writeFieldStop', 'writeMapBegin', 'writeMapEnd',
+        'writeListBegin', 'writeListEnd', 'writeSetBegin', 'writeSetEnd',
+        'writeBool', 'writeByte', 'writeI16', 'writeI32', 'writeI64',
+        'writeDouble', 'writeString', 'writeBinary',
+        'readMessageBegin', 'readMessageEnd', 'readStructBegin', 'readStructEnd',
+        'readFieldBegin', 'readFieldEnd', 'readMapBegin', 'readMapEnd',
+        'readListBegin', 'readListEnd', 'readSetBegin', 'readSetEnd', 'readBool',
+        'readByte', 'readI16', 'readI32', 'readI64', 'readDouble', 'readString',
+        'readBinary', 'skip'].forEach(function (name) {
+        Thrift.TMultiplexedProtocol.prototype[name] = function () {
+            var target = this.__target();
+            return target[name].apply(target, arguments);
+        };
+    });
+
+    // Generated map readers use the read stacks of the protocol directly.
+    ['rstack', 'rpos'].forEach(function (name) {
+        Object.defineProperty(Thrift.TMultiplexedProtocol.prototype, name, {
+            get: function () {
+                return this.__target()[name];
+            }
+        });
+    });
+
+    /**
+     * Creates clients for several services behind one multiplexed endpoint,
+     * sharing one sequence id counter.
+     * @constructor
+     */
+    Thrift.Multiplexer = function () {
+        this.seqid = 0;
+    };
+
+    /**
+     * Instantiates a multiplexed client for a specific service. The client
+     * reads its replies with the protocol given and writes its calls through
+     * a TMultiplexedProtocol decorating it. The client's sequence id is the
+     * multiplexer's, set on the client itself so that the client class is
+     * left untouched.
+     * @param {string} serviceName - The name of the service at the endpoint.
+     * @param {function} SCl - The generated service client class.
+     * @param {object} protocolOrTransport - The protocol to use, or a
+     * transport to use with a TBinaryProtocol.
+     * @returns {object} The client.
+     * @example
+     *    var mp = new Thrift.Multiplexer(),
+     *        transport = new Thrift.TXHRTransport("http://localhost:9090/thrift"),
+     *        protocol = new Thrift.TCompactProtocol(transport),
+     *        auth = mp.createClient('AuthService', AuthServiceClient, protocol),
+     *        store = mp.createClient('StoreService', StoreServiceClient, protocol);
+     */
+    Thrift.Multiplexer.prototype.createClient = function (serviceName, SCl, protocolOrTransport) {
+        var multiplexer = this,
+            protocol = protocolOrTransport,
+            client;
+        if (SCl.Client) {
+            SCl = SCl.Client;
+        }
+        if (typeof protocol.writeMessageBegin !== 'function') {
+            protocol = new Thrift.TBinaryProtocol(protocolOrTransport);
+        }
+        client = new SCl(protocol, new Thrift.TMultiplexedProtocol(protocol, serviceName));
+        Object.defineProperty(client, 'seqid', {
+            get: function () {
+                return multiplexer.seqid;
+            },
+            set: function (value) {
+                multiplexer.seqid = value;
+            },
+            enumerable: true,
+            configurable: true
+        });
+        // Clients generated by later versions of the compiler ask for a new
+        // sequence id for each call.
+        client.new_seqid = function () {
+            multiplexer.seqid += 1;
+            return multiplexer.seqid;
+        };
+        return client;
+    };
+
+    return Thrift;
+});
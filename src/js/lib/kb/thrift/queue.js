@@ -0,0 +1,246 @@
+/*global define */
+/*jslint white: true */
+
+/**
+ * A limit on the calls in flight to each endpoint, applied to transports as
+ * an interceptor: calls over the limit wait in a queue rather than all
+ * going out at once.
+ * @example
+ *     var queue = new Thrift.RequestQueue({maxConcurrent: 4});
+ *     queue.wrap(transport);
+ *     console.log(queue.getStats(transport.url).queued);
+ */
+define([
+    './core',
+    'bluebird',
+    './transport/xhr'
+], function (Thrift, Promise) {
+    'use strict';
+
+    function isCancelled(entry) {
+        var signal = entry.context.options.signal;
+        return entry.context.cancelled || Boolean(signal && signal.aborted);
+    }
+
+    // Stops listening for the abort of a call which has left the queue.
+    function release(entry) {
+        var signal = entry.context.options.signal;
+        if (signal && signal.removeEventListener) {
+            signal.removeEventListener('abort', entry.cancel);
+        }
+    }
+
+    /**
+     * Initializes a request queue.
+     * @constructor
+     * @param {object} [options]
+     * @param {number} [options.maxConcurrent] - The most calls in flight to
+     * one endpoint url; defaults to
+     * Thrift.RequestQueue.DEFAULT_MAX_CONCURRENT.
+     * @param {number} [options.aging] - Milliseconds of waiting which raise
+     * the priority of a call by one; defaults to
+     * Thrift.RequestQueue.DEFAULT_AGING.
+     * @classdesc A RequestQueue lets up to maxConcurrent calls to an
+     * endpoint url be in flight at once, over all the transports it wraps.
+     * Further calls wait their turn: the call with the highest priority goes
+     * first, and of those with the same priority, the one made first. A
+     * call's priority is the number given by the priority call option, e.g.
+     * {priority: Thrift.RequestQueue.Priority.HIGH}, 0 if none is given;
+     * while it waits it goes up by one every aging milliseconds, so that
+     * calls of low priority are sent in the end however busy the endpoint
+     * is. A waiting call which is cancelled, through its promise or its
+     * signal, leaves the queue at once, rejected with the RequestAbort
+     * reason, and is never sent.
+     * The transports wrapped may be of any kind taking interceptors; a
+     * WebSocket transport counts its calls to the socket url.
+     */
+    Thrift.RequestQueue = function (options) {
+        this.maxConcurrent = (options && options.maxConcurrent) || Thrift.RequestQueue.DEFAULT_MAX_CONCURRENT;
+        this.aging = (options && options.aging) || Thrift.RequestQueue.DEFAULT_AGING;
+        this.endpoints = {};
+    };
+
+    /**
+     * The default limit of calls in flight to an endpoint, as browsers
+     * allow for http/1.1 connections to a host.
+     * @readonly
+     */
+    Thrift.RequestQueue.DEFAULT_MAX_CONCURRENT = 6;
+
+    /**
+     * The default time waited for a rise in priority.
+     * @readonly
+     */
+    Thrift.RequestQueue.DEFAULT_AGING = 1000;
+
+    /**
+     * Suggested priorities for calls, for the priority call option.
+     * @readonly
+     * @property {number} HIGH - For calls the user is waiting for.
+     * @property {number} NORMAL - The priority of calls without one.
+     * @property {number} LOW - For prefetching and other background work.
+     */
+    Thrift.RequestQueue.Priority = {
+        HIGH: 10,
+        NORMAL: 0,
+        LOW: -10
+    };
+
+    Thrift.RequestQueue.prototype = {
+        constructor: Thrift.RequestQueue,
+        /**
+         * Puts a transport behind this queue, by adding an interceptor.
+         * @param {object} transport - A transport with a use method.
+         * @returns {object} The transport.
+         * @throws {TypeError} If the transport does not take interceptors.
+         */
+        wrap: function (transport) {
+            if (!transport || typeof transport.use !== 'function') {
+                throw new TypeError('A RequestQueue can only wrap a transport which takes interceptors, ' +
+                    'such as a TXHRTransport');
+            }
+            transport.use(this.interceptor());
+            return transport;
+        },
+        /**
+         * Makes an interceptor applying this queue to the calls of a
+         * transport, by the url of the transport.
+         * @returns {function} The interceptor.
+         */
+        interceptor: function () {
+            var queue = this;
+            return function (context, next) {
+                var endpoint = queue.__endpoint(context.transport.url),
+                    signal = context.options.signal;
+                return new Promise(function (resolve, reject) {
+                    var entry = {
+                        context: context,
+                        next: next,
+                        resolve: resolve,
+                        reject: reject,
+                        priority: Number(context.options.priority) || 0,
+                        queuedAt: Date.now()
+                    };
+                    entry.cancel = function () {
+                        var pos = endpoint.waiting.indexOf(entry);
+                        if (pos !== -1) {
+                            endpoint.waiting.splice(pos, 1);
+                            release(entry);
+                            reject(Thrift.TXHRTransport.abortException(context));
+                        }
+                    };
+                    if (signal && signal.addEventListener) {
+                        signal.addEventListener('abort', entry.cancel);
+                    }
+                    if (context.onCancel) {
+                        context.onCancel(entry.cancel);
+                    }
+                    endpoint.waiting.push(entry);
+                    queue.__dispatch(endpoint);
+                });
+            };
+        },
+        /**
+         * Reports on the calls to an endpoint, or to all endpoints.
+         * @param {string} [url] - The endpoint url.
+         * @returns {object} active: calls in flight; queued: calls waiting;
+         * sent: calls which have left the queue; averageWait and maxWait:
+         * the milliseconds those calls waited.
+         */
+        getStats: function (url) {
+            var queue = this,
+                urls = url === undefined ? Object.keys(this.endpoints) : [url],
+                stats = {active: 0, queued: 0, sent: 0, averageWait: 0, maxWait: 0},
+                totalWait = 0;
+            urls.forEach(function (key) {
+                var endpoint = queue.endpoints[key];
+                if (!endpoint) {
+                    return;
+                }
+                stats.active += endpoint.active;
+                stats.queued += endpoint.waiting.filter(function (entry) {
+                    return !isCancelled(entry);
+                }).length;
+                stats.sent += endpoint.sent;
+                stats.maxWait = Math.max(stats.maxWait, endpoint.maxWait);
+                totalWait += endpoint.totalWait;
+            });
+            stats.averageWait = stats.sent ? totalWait / stats.sent : 0;
+            return stats;
+        },
+        /**
+         * Cancels the calls waiting for an endpoint, or for all endpoints,
+         * rejecting them with the RequestAbort reason; those in flight are
+         * left alone.
+         * @param {string} [url] - The endpoint url.
+         */
+        clear: function (url) {
+            var queue = this;
+            (url === undefined ? Object.keys(this.endpoints) : [url]).forEach(function (key) {
+                var endpoint = queue.endpoints[key],
+                    waiting;
+                if (!endpoint) {
+                    return;
+                }
+                waiting = endpoint.waiting;
+                endpoint.waiting = [];
+                waiting.forEach(function (entry) {
+                    release(entry);
+                    entry.reject(Thrift.TXHRTransport.abortException(entry.context));
+                });
+            });
+        },
+        __endpoint: function (url) {
+            if (!this.endpoints[url]) {
+                this.endpoints[url] = {waiting: [], active: 0, sent: 0, totalWait: 0, maxWait: 0};
+            }
+            return this.endpoints[url];
+        },
+        /*
+         * Takes the next call to send from the waiting calls of an endpoint,
+         * which are in the order they were made.
+         */
+        __take: function (endpoint) {
+            var now = Date.now(),
+                aging = this.aging,
+                best = 0,
+                bestPriority = -Infinity;
+            endpoint.waiting.forEach(function (entry, i) {
+                var priority = entry.priority + Math.floor((now - entry.queuedAt) / aging);
+                if (priority > bestPriority) {
+                    best = i;
+                    bestPriority = priority;
+                }
+            });
+            return endpoint.waiting.splice(best, 1)[0];
+        },
+        __dispatch: function (endpoint) {
+            var entry;
+            while (endpoint.active < this.maxConcurrent && endpoint.waiting.length > 0) {
+                entry = this.__take(endpoint);
+                release(entry);
+                if (isCancelled(entry)) {
+                    entry.reject(Thrift.TXHRTransport.abortException(entry.context));
+                } else {
+                    this.__send(endpoint, entry);
+                }
+            }
+        },
+        __send: function (endpoint, entry) {
+            var queue = this,
+                wait = Date.now() - entry.queuedAt;
+            endpoint.sent += 1;
+            endpoint.totalWait += wait;
+            endpoint.maxWait = Math.max(endpoint.maxWait, wait);
+            endpoint.active += 1;
+            Promise.try(entry.next)
+                .finally(function () {
+                    endpoint.active -= 1;
+                    queue.__dispatch(endpoint);
+                })
+                .then(entry.resolve, entry.reject);
+        }
+    };
+
+    return Thrift;
+});
@@ -0,0 +1,134 @@
+/*global define */
+/*jslint white: true */
+
+/**
+ * Retries of calls which failed for a passing reason, such as a proxy error
+ * or a timeout, applied to a transport as an interceptor.
+ * Since the server may have run a call which failed this way, only the
+ * methods named as idempotent are retried.
+ * @example
+ *     var policy = new Thrift.RetryPolicy({
+ *         methods: ['get_genome', 'get_taxon']
+ *     });
+ *     transport.use(policy.interceptor());
+ */
+define([
+    './core',
+    'bluebird'
+], function (Thrift, Promise) {
+    'use strict';
+
+    /**
+     * Initializes a retry policy.
+     * @constructor
+     * @param {object} [options] - Settings to use in place of those in
+     * Thrift.RetryPolicy.DEFAULTS.
+     * @param {function} [options.random] - Returns a number from 0 up to 1,
+     * for the jitter; defaults to Math.random.
+     * @classdesc A RetryPolicy decides whether and when a failed call is
+     * made again. A call is retried if its method is listed in the methods
+     * setting, or its call options have idempotent: true, and the failure
+     * has one of the reasons in the reasons setting. A call whose options
+     * have idempotent: false is never retried.
+     * The waits between attempts grow by the factor setting, each being
+     * shortened by a random part of up to the jitter setting (0.5 for up to
+     * half), so that the calls of many clients which failed together do not
+     * all come back together.
+     * If the last attempt fails the call is rejected with its exception,
+     * whose attempts property holds the exceptions of all attempts, the
+     * first first.
+     */
+    Thrift.RetryPolicy = function (options) {
+        var policy = this;
+        options = options || {};
+        Object.keys(Thrift.RetryPolicy.DEFAULTS).forEach(function (key) {
+            policy[key] = options[key] !== undefined ? options[key] : Thrift.RetryPolicy.DEFAULTS[key];
+        });
+        this.random = options.random || Math.random;
+    };
+
+    /**
+     * The settings used for those not given to a RetryPolicy.
+     * @readonly
+     * @property {number} attempts - The most attempts to make, the first
+     * included.
+     * @property {number} delay - Milliseconds to wait before the second
+     * attempt.
+     * @property {number} factor - The wait is multiplied by this after each
+     * attempt.
+     * @property {number} maxDelay - The longest wait between attempts.
+     * @property {number} jitter - The largest part of a wait, from 0 to 1,
+     * which may be taken off it at random.
+     * @property {string[]} reasons - The transport exception reasons for
+     * which a call is retried.
+     * @property {string[]} methods - The methods which are safe to retry.
+     */
+    Thrift.RetryPolicy.DEFAULTS = {
+        attempts: 3,
+        delay: 200,
+        factor: 2,
+        maxDelay: 5000,
+        jitter: 0.5,
+        reasons: ['ProxyError', 'RequestTimeout'],
+        methods: []
+    };
+
+    Thrift.RetryPolicy.prototype = {
+        constructor: Thrift.RetryPolicy,
+        /**
+         * Whether a failed call may be made again, the number of attempts
+         * aside.
+         * @param {object} err - The exception the call was rejected with.
+         * @param {object} context - The interceptor context of the call.
+         * @returns {boolean}
+         */
+        isRetryable: function (err, context) {
+            var idempotent = context.options && context.options.idempotent;
+            if (idempotent === false) {
+                return false;
+            }
+            if (idempotent !== true && this.methods.indexOf(context.method) === -1) {
+                return false;
+            }
+            return Boolean(err) && this.reasons.indexOf(err.reason) !== -1;
+        },
+        /**
+         * The time to wait after a failed attempt.
+         * @param {number} attempt - The number of the attempt which failed,
+         * from 1.
+         * @returns {number} Milliseconds.
+         */
+        delayFor: function (attempt) {
+            var delay = Math.min(this.maxDelay, this.delay * Math.pow(this.factor, attempt - 1));
+            return Math.round(delay * (1 - this.jitter * this.random()));
+        },
+        /**
+         * Makes an interceptor applying this policy, for the use method of a
+         * transport.
+         * @returns {function} The interceptor.
+         */
+        interceptor: function () {
+            var policy = this;
+            return function (context, next) {
+                var errors = [];
+
+                function attempt() {
+                    return next().catch(function (err) {
+                        errors.push(err);
+                        if (errors.length >= policy.attempts || !policy.isRetryable(err, context)) {
+                            if (err && typeof err === 'object') {
+                                err.attempts = errors;
+                            }
+                            throw err;
+                        }
+                        return Promise.delay(policy.delayFor(errors.length)).then(attempt);
+                    });
+                }
+
+                return attempt();
+            };
+        }
+    };
+
+    return Thrift;
+});
@@ -0,0 +1,375 @@
+/*global define, XMLHttpRequest */
+/*jshint white: true, bitwise: true */
+
+define([
+    '../core',
+    'bluebird',
+    './xhr'
+], function (Thrift, Promise) {
+    'use strict';
+
+    var TXHRTransportException = Thrift.TXHRTransportException,
+        abortException = Thrift.TXHRTransport.abortException;
+
+    /*
+     * Joins the messages of a batch into one body, each preceded by its
+     * length as a 4 byte big-endian integer.
+     */
+    function frameMessages(messages) {
+        var size = messages.reduce(function (total, message) {
+                return total + 4 + message.length;
+            }, 0),
+            body = new Uint8Array(size),
+            pos = 0;
+        messages.forEach(function (message) {
+            var length = message.length;
+            body[pos] = (length >>> 24) & 0xff;
+            body[pos + 1] = (length >>> 16) & 0xff;
+            body[pos + 2] = (length >>> 8) & 0xff;
+            body[pos + 3] = length & 0xff;
+            body.set(message, pos + 4);
+            pos += 4 + length;
+        });
+        return body;
+    }
+
+    /*
+     * Splits a response body into the messages of its frames.
+     */
+    function unframeMessages(body) {
+        var messages = [],
+            pos = 0,
+            length;
+        while (pos < body.length) {
+            if (body.length - pos < 4) {
+                throw new TXHRTransportException({
+                    reason: 'IncompleteFrame',
+                    message: 'The batch response ends in the middle of a frame length',
+                    data: body
+                });
+            }
+            length = ((body[pos] << 24) | (body[pos + 1] << 16) | (body[pos + 2] << 8) | body[pos + 3]) >>> 0;
+            pos += 4;
+            if (body.length - pos < length) {
+                throw new TXHRTransportException({
+                    reason: 'IncompleteFrame',
+                    message: 'The batch response ends in the middle of a frame',
+                    data: body
+                });
+            }
+            messages.push(body.subarray(pos, pos + length));
+            pos += length;
+        }
+        return messages;
+    }
+
+    /*
+     * The settings of the request a call needs: the headers given in its
+     * options and the timeout of its client, as text, so that calls which
+     * need the same request have the same settings.
+     */
+    function requestSettings(transport, client, args) {
+        return JSON.stringify({
+            headers: Thrift.TXHRTransport.getCallOptions(args).headers || null,
+            timeout: client.timeout || transport.timeout || 0
+        });
+    }
+
+    /**
+     * Constructor Function for the batching transport.
+     * @constructor
+     * @param {string} url - The URL to connect to.
+     * @param {object} [options] - As for the TXHRTransport, and:
+     * @param {number} [options.maxBatchSize] - The most calls to send in one
+     * request; defaults to Thrift.TBatchTransport.DEFAULT_MAX_BATCH_SIZE.
+     * @classdesc The batching transport collects the calls made in the same
+     * tick of the event loop and sends them in one http POST, their messages
+     * back to back, each framed with its 4 byte length. The service answers
+     * with the framed replies, in any order; each is handed to the call with
+     * its sequence id. A call left unanswered is rejected with the
+     * MissingReply reason. A batch is sent early when it reaches
+     * maxBatchSize calls, or when a call has the sequence id of one already
+     * in it, as calls of different clients may.
+     * The calls of a batch share one request, so a call whose headers
+     * option, or whose client's timeout, differs from those of the calls
+     * being collected starts a new batch. The getHeaders option is called
+     * once for each batch, for its first call. A call with an onProgress
+     * option is told of the progress of its whole batch. Cancelling a
+     * call before its batch is sent takes it out of the batch; afterwards
+     * its reply is ignored, and the request is aborted if every call in it
+     * has been cancelled.
+     * The endpoint must handle batched requests. Calls of oneway methods,
+     * which have no reply, resolve with null once the batch is answered.
+     * @example
+     *     var transport = new Thrift.TBatchTransport("http://localhost:8585/batch"),
+     *         protocol = new Thrift.TBinaryProtocol(transport),
+     *         client = new MyThriftSvcClient(protocol);
+     *     // Sent together.
+     *     Promise.all([client.get_genome(ref), client.get_taxon(ref)]);
+     */
+    Thrift.TBatchTransport = function (url, options) {
+        Thrift.TXHRTransport.call(this, url, options);
+        this.maxBatchSize = (options && options.maxBatchSize) || Thrift.TBatchTransport.DEFAULT_MAX_BATCH_SIZE;
+        this.batch = null;
+    };
+
+    /**
+     * The default maximum number of calls in a batch.
+     * @readonly
+     */
+    Thrift.TBatchTransport.DEFAULT_MAX_BATCH_SIZE = 50;
+
+    Thrift.TBatchTransport.prototype = Object.create(Thrift.TXHRTransport.prototype);
+    Thrift.TBatchTransport.prototype.constructor = Thrift.TBatchTransport;
+
+    /**
+     * Adds the message for a generated client call to the batch being
+     * collected.
+     * @param {object} client - The Thrift Service client object generated by the IDL compiler.
+     * @param {object} postData - The message to send to the server.
+     * @param {function} args - The original call arguments; a trailing options
+     * object may carry a signal (AbortSignal), headers and an onProgress
+     * function for this call.
+     * @param {function} recv_method - The Thrift Service Client receive method for the call.
+     * @param {boolean} [oneway] - Set for a oneway method.
+     * @returns {object} A Promises A+ compatible promise, with a cancel
+     * method as for the TXHRTransport.
+     */
+    Thrift.TBatchTransport.prototype.__request = function (client, postData, args, recv_method, oneway) {
+        var thriftTransport = this,
+            signal = Thrift.TXHRTransport.getCallOptions(args).signal,
+            call = thriftTransport.__beginCall(postData, oneway),
+            onAbort;
+
+        return thriftTransport.__cancellable(call, new Promise(function (resolve, reject) {
+            var entry;
+            if (signal && signal.aborted) {
+                reject(abortException(signal));
+                return;
+            }
+            try {
+                thriftTransport.__identifyCall(call, client);
+            } catch (ex) {
+                reject(ex);
+                return;
+            }
+            entry = {
+                call: call,
+                client: client,
+                args: args,
+                settings: requestSettings(thriftTransport, client, args),
+                recv_method: recv_method,
+                resolve: resolve,
+                reject: reject
+            };
+            call.abort = function () {
+                thriftTransport.__drop(entry);
+                reject(abortException(signal || call));
+            };
+            if (signal) {
+                onAbort = function () {
+                    call.abort();
+                };
+                signal.addEventListener('abort', onAbort);
+            }
+            thriftTransport.__enqueue(entry);
+        }).finally(function () {
+            if (onAbort) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            thriftTransport.__endCall(call);
+        }));
+    };
+
+    Thrift.TBatchTransport.prototype.__enqueue = function (entry) {
+        var thriftTransport = this;
+        if (this.batch && (this.batch.settings !== entry.settings || this.batch.entries.some(function (other) {
+            return other.call.seqid === entry.call.seqid;
+        }))) {
+            this.__sendBatch();
+        }
+        if (!this.batch) {
+            this.batch = {
+                entries: [],
+                settings: entry.settings,
+                timer: setTimeout(function () {
+                    thriftTransport.__sendBatch();
+                }, 0)
+            };
+        }
+        this.batch.entries.push(entry);
+        if (this.batch.entries.length >= this.maxBatchSize) {
+            this.__sendBatch();
+        }
+    };
+
+    /*
+     * Takes a cancelled call out of the batch being collected, or out of
+     * the batch it went in, aborting the request if none is left.
+     */
+    Thrift.TBatchTransport.prototype.__drop = function (entry) {
+        var batch = entry.batch || this.batch,
+            pos;
+        if (!batch) {
+            return;
+        }
+        pos = batch.entries.indexOf(entry);
+        if (pos !== -1) {
+            batch.entries.splice(pos, 1);
+        }
+        if (batch.entries.length === 0 && batch.xhr) {
+            batch.xhr.abort();
+        }
+    };
+
+    Thrift.TBatchTransport.prototype.__sendBatch = function () {
+        var thriftTransport = this,
+            batch = this.batch,
+            first, headers;
+        this.batch = null;
+        if (!batch) {
+            return;
+        }
+        clearTimeout(batch.timer);
+        if (batch.entries.length === 0) {
+            return;
+        }
+        batch.entries.forEach(function (entry) {
+            entry.batch = batch;
+        });
+
+        function rejectAll(err) {
+            batch.entries.slice().forEach(function (entry) {
+                entry.reject(err);
+            });
+            batch.entries = [];
+        }
+
+        first = batch.entries[0];
+        headers = this.__requestHeaders(first.call, first.client, first.args);
+        Promise.resolve(headers).then(function (headers) {
+            if (batch.entries.length === 0) {
+                return;
+            }
+            thriftTransport.__post(batch, headers, rejectAll);
+        }, rejectAll);
+    };
+
+    Thrift.TBatchTransport.prototype.__post = function (batch, headers, rejectAll) {
+        var thriftTransport = this,
+            xhr = new XMLHttpRequest(),
+            client = batch.entries[0].client,
+            timeout = client.timeout || this.timeout;
+        batch.xhr = xhr;
+
+        function reportProgress(direction, e) {
+            batch.entries.forEach(function (entry) {
+                if (entry.progress) {
+                    entry.progress(direction, e.loaded, e.lengthComputable ? e.total : null);
+                }
+            });
+        }
+
+        batch.entries.forEach(function (entry) {
+            entry.progress = thriftTransport.__progressReporter(entry.call, entry.args);
+        });
+        if (batch.entries.some(function (entry) {
+            return entry.progress;
+        })) {
+            xhr.upload.onprogress = function (e) {
+                reportProgress('upload', e);
+            };
+            xhr.onprogress = function (e) {
+                reportProgress('download', e);
+            };
+        }
+
+        xhr.onload = function () {
+            var statusError = Thrift.TXHRTransport.exceptionForStatus(xhr.status, xhr),
+                replies;
+            if (statusError) {
+                rejectAll(statusError);
+                return;
+            }
+            try {
+                replies = unframeMessages(new Uint8Array(xhr.response));
+            } catch (ex) {
+                rejectAll(ex);
+                return;
+            }
+            batch.entries.filter(function (entry) {
+                return entry.call.oneway;
+            }).forEach(function (entry) {
+                batch.entries.splice(batch.entries.indexOf(entry), 1);
+                entry.resolve(null);
+            });
+            replies.forEach(function (reply) {
+                var seqid, entry;
+                try {
+                    seqid = thriftTransport.__callClient(client, reply).input.readMessageBegin().rseqid;
+                } catch (ex) {
+                    return;
+                }
+                entry = batch.entries.filter(function (candidate) {
+                    return candidate.call.seqid === seqid;
+                })[0];
+                if (!entry) {
+                    return;
+                }
+                batch.entries.splice(batch.entries.indexOf(entry), 1);
+                try {
+                    entry.resolve(thriftTransport.__receive(entry.client, reply, entry.call, entry.recv_method));
+                } catch (ex) {
+                    entry.reject(ex);
+                }
+            });
+            rejectAll(new TXHRTransportException({
+                reason: 'MissingReply',
+                message: 'The batch response has no reply for the call',
+                suggestions: 'The endpoint may not handle batched requests',
+                data: xhr
+            }));
+        };
+        xhr.ontimeout = function () {
+            rejectAll(new TXHRTransportException({
+                reason: 'RequestTimeout',
+                message: 'General request timeout',
+                suggestions: 'The service device is not reachable, the client tried until the timeout period expired',
+                data: xhr
+            }));
+        };
+        xhr.onerror = function () {
+            rejectAll(new TXHRTransportException({
+                reason: 'RequestError',
+                message: 'General request error',
+                suggestions: 'The service device is operating, but the http server is unavailable.',
+                data: xhr
+            }));
+        };
+        xhr.onabort = function () {
+            rejectAll(abortException(xhr));
+        };
+
+        xhr.timeout = timeout;
+        try {
+            xhr.open('POST', this.url, true);
+            xhr.setRequestHeader('Accept', 'application/x-thrift');
+            xhr.setRequestHeader('Content-type', 'application/x-thrift');
+            Object.keys(headers).forEach(function (name) {
+                xhr.setRequestHeader(name, headers[name]);
+            });
+            xhr.responseType = 'arraybuffer';
+            xhr.send(frameMessages(batch.entries.map(function (entry) {
+                return new Uint8Array(entry.call.send_buf);
+            })));
+        } catch (ex) {
+            rejectAll(new TXHRTransportException({
+                reason: 'ConnectionSendError',
+                message: 'Error sending data to thrift http service',
+                data: xhr
+            }));
+        }
+    };
+
+    return Thrift;
+});
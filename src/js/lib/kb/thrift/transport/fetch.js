@@ -0,0 +1,231 @@
+/*global define, fetch, AbortController */
+/*jshint white: true */
+
+define([
+    '../core',
+    'bluebird',
+    './xhr'
+], function (Thrift, Promise) {
+    'use strict';
+
+    var TXHRTransportException = Thrift.TXHRTransportException;
+
+    /**
+     * Constructor Function for the fetch transport.
+     * @constructor
+     * @param {string} url - The URL to connect to.
+     * @param {object} [options]
+     * @param {number} [options.timeout] - Request timeout in milliseconds.
+     * @param {function} [options.fetch] - The fetch implementation to use,
+     * defaults to the global fetch.
+     * @param {object} [options.headers] - Http headers for every request.
+     * @param {function} [options.getHeaders] - Provides headers for each
+     * request, possibly asynchronously; as for the TXHRTransport.
+     * @classdesc The fetch transport is a drop-in alternative to the
+     * TXHRTransport, with the same jqRequest, read and write contract and the
+     * same TXHRTransportException reasons. It relies only on fetch, so it
+     * runs in the browser and in Node 18 and later. Each call may be given
+     * an AbortSignal through the trailing options argument of the generated
+     * client method, and an onProgress function as for the TXHRTransport.
+     * Since fetch does not report on the upload, the upload is reported
+     * only once it is complete; the download is reported as it is read
+     * where the response body is a stream.
+     * @example
+     *     var transport = new Thrift.TFetchTransport("http://localhost:8585"),
+     *         protocol = new Thrift.TBinaryProtocol(transport),
+     *         client = new MyThriftSvcClient(protocol),
+     *         controller = new AbortController();
+     *     client.MyMethod(arg, {signal: controller.signal});
+     *     controller.abort();
+     */
+    Thrift.TFetchTransport = function (url, options) {
+        Thrift.TXHRTransport.call(this, url, options);
+        this.fetch = (options && options.fetch);
+    };
+
+    Thrift.TFetchTransport.prototype = Object.create(Thrift.TXHRTransport.prototype);
+    Thrift.TFetchTransport.prototype.constructor = Thrift.TFetchTransport;
+
+    var abortException = Thrift.TXHRTransport.abortException;
+
+    /*
+     * Reads the body of a response, reporting the bytes read so far as they
+     * come if the response can be read as a stream.
+     */
+    function readBody(response, progress) {
+        var total, reader, chunks, loaded;
+        if (!progress) {
+            return response.arrayBuffer();
+        }
+        total = response.headers && typeof response.headers.get === 'function' ?
+                Number(response.headers.get('Content-Length')) || null : null;
+        if (!response.body || typeof response.body.getReader !== 'function') {
+            return Promise.resolve(response.arrayBuffer()).then(function (body) {
+                progress('download', body.byteLength, body.byteLength);
+                return body;
+            });
+        }
+        reader = response.body.getReader();
+        chunks = [];
+        loaded = 0;
+        function pump() {
+            return Promise.resolve(reader.read()).then(function (step) {
+                var body, pos;
+                if (step.done) {
+                    body = new Uint8Array(loaded);
+                    pos = 0;
+                    chunks.forEach(function (chunk) {
+                        body.set(chunk, pos);
+                        pos += chunk.length;
+                    });
+                    return body.buffer;
+                }
+                chunks.push(step.value);
+                loaded += step.value.length;
+                progress('download', loaded, total);
+                return pump();
+            });
+        }
+        return pump();
+    }
+
+    /**
+     * Sends the message for a generated client call with fetch.
+     * @param {object} client - The Thrift Service client object generated by the IDL compiler.
+     * @param {object} postData - The message to send to the server.
+     * @param {function} args - The original call arguments; a trailing options
+     * object may carry a signal (AbortSignal) and an onProgress function for
+     * this call.
+     * @param {function} recv_method - The Thrift Service Client receive method for the call.
+     * @param {boolean} [oneway] - Set for a oneway method, whose call
+     * resolves with null once the server has answered the request.
+     * @returns {object} A Promises A+ compatible promise, with a cancel
+     * method as for the TXHRTransport.
+     */
+    Thrift.TFetchTransport.prototype.__request = function (client, postData, args, recv_method, oneway) {
+        var thriftTransport = this,
+            timeout = client.timeout || thriftTransport.timeout,
+            signal = Thrift.TXHRTransport.getCallOptions(args).signal,
+            fetchFn = thriftTransport.fetch || (typeof fetch === 'function' ? fetch : null),
+            call = thriftTransport.__beginCall(postData, oneway);
+
+        return thriftTransport.__cancellable(call, new Promise(function (resolve, reject) {
+            var controller = (typeof AbortController === 'function') ? new AbortController() : null,
+                timedOut = false,
+                received = false,
+                timer = null,
+                progress = null,
+                onAbort;
+
+            function cleanup() {
+                if (timer !== null) {
+                    clearTimeout(timer);
+                }
+                if (signal && onAbort) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+            }
+
+            call.abort = function () {
+                if (controller) {
+                    controller.abort();
+                }
+                reject(abortException(call));
+            };
+
+            if (!fetchFn) {
+                reject(new TXHRTransportException({
+                    reason: 'ConnectionOpenError',
+                    message: 'No fetch implementation is available',
+                    suggestions: 'Supply one with the fetch option, or use the TXHRTransport'
+                }));
+                return;
+            }
+            if (signal && signal.aborted) {
+                reject(abortException(signal));
+                return;
+            }
+            try {
+                thriftTransport.__identifyCall(call, client);
+            } catch (ex) {
+                reject(ex);
+                return;
+            }
+            progress = thriftTransport.__progressReporter(call, args);
+            if (signal) {
+                onAbort = function () {
+                    call.abort();
+                };
+                signal.addEventListener('abort', onAbort);
+            }
+            if (timeout && controller) {
+                timer = setTimeout(function () {
+                    timedOut = true;
+                    controller.abort();
+                }, timeout);
+            }
+
+            Promise.resolve(thriftTransport.__requestHeaders(call, client, args))
+                .then(function (extraHeaders) {
+                    var headers = {
+                        'Accept': 'application/x-thrift',
+                        'Content-type': 'application/x-thrift'
+                    };
+                    Object.keys(extraHeaders).forEach(function (name) {
+                        headers[name] = extraHeaders[name];
+                    });
+                    return fetchFn(thriftTransport.url, {
+                        method: 'POST',
+                        headers: headers,
+                        body: new Uint8Array(call.send_buf),
+                        signal: controller ? controller.signal : signal
+                    });
+                })
+                .then(function (response) {
+                    var statusError = Thrift.TXHRTransport.exceptionForStatus(response.status, response);
+                    if (statusError) {
+                        throw statusError;
+                    }
+                    if (progress) {
+                        // The server has answered, so has all of the message.
+                        progress('upload', call.send_buf.length, call.send_buf.length);
+                    }
+                    return readBody(response, progress);
+                })
+                .then(function (body) {
+                    received = true;
+                    resolve(thriftTransport.__receive(client, new Uint8Array(body), call, recv_method));
+                })
+                .catch(function (err) {
+                    if (received) {
+                        // A failure to read the response, not a network failure.
+                        reject(err);
+                    } else if (timedOut) {
+                        reject(new TXHRTransportException({
+                            reason: 'RequestTimeout',
+                            message: 'General request timeout',
+                            suggestions: 'The service device is not reachable, the client tried until the timeout period expired',
+                            data: err
+                        }));
+                    } else if (err && err.name === 'AbortError') {
+                        reject(abortException(err));
+                    } else if (err instanceof TypeError) {
+                        // fetch reports network failures as a TypeError
+                        reject(new TXHRTransportException({
+                            reason: 'RequestError',
+                            message: 'General request error',
+                            suggestions: 'The service device is operating, but the http server is unavailable.',
+                            data: err
+                        }));
+                    } else {
+                        reject(err);
+                    }
+                })
+                .finally(cleanup);
+        }).finally(function () {
+            thriftTransport.__endCall(call);
+        }));
+    };
+
+    return Thrift;
+});
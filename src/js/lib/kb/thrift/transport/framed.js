@@ -0,0 +1,268 @@
+/*global define */
+/*jslint white: true, bitwise: true */
+
+define([
+    '../core',
+    './xhr'
+], function (Thrift) {
+    'use strict';
+
+    function TFramedTransportException(error) {
+        this.name = 'TFramedTransportException';
+        this.reason = error.reason;
+        this.message = error.message;
+        this.suggestions = error.suggestions;
+        this.data = error.data;
+        this.stack = (new Error()).stack;
+    }
+    TFramedTransportException.prototype = Object.create(Thrift.TTransportError.prototype);
+    TFramedTransportException.prototype.constructor = TFramedTransportException;
+    Thrift.TFramedTransportException = TFramedTransportException;
+
+    /**
+     * Constructor Function for the framed transport.
+     * @constructor
+     * @param {object} transport - The transport to wrap: an XHR, fetch,
+     * WebSocket or Echo transport.
+     * @param {object} [options]
+     * @param {number} [options.maxFrameSize] - The largest frame, in bytes,
+     * which may be sent or received; defaults to
+     * Thrift.TFramedTransport.DEFAULT_MAX_FRAME_SIZE.
+     * @classdesc The framed transport sends each message as a frame: the
+     * message bytes preceded by their length as a 4 byte big-endian integer,
+     * as expected by Thrift servers using TFramedTransport. Frames read are
+     * reassembled from the bytes of the wrapped transport, which may hold
+     * several frames, or only part of one.
+     * @example
+     *     var transport = new Thrift.TFramedTransport(new Thrift.TXHRTransport("http://localhost:8585")),
+     *         protocol = new Thrift.TBinaryProtocol(transport),
+     *         client = new MyThriftSvcClient(protocol);
+     */
+    Thrift.TFramedTransport = function (transport, options) {
+        this.transport = transport;
+        this.maxFrameSize = (options && options.maxFrameSize) || Thrift.TFramedTransport.DEFAULT_MAX_FRAME_SIZE;
+        this.send_buf = [];
+        this.resetRead();
+    };
+
+    /**
+     * The default maximum frame size, as used by the Apache Thrift servers.
+     * @readonly
+     */
+    Thrift.TFramedTransport.DEFAULT_MAX_FRAME_SIZE = 16384000;
+
+    Thrift.TFramedTransport.prototype = {
+        /**
+         * Discards any frames read but not consumed.
+         */
+        resetRead: function () {
+            this.frame_buf = new Uint8Array(0);  //The frame being read
+            this.rpos = 0;
+            this.frames = [];                    //Complete frames not yet read
+            this.partial = [];                   //Bytes of an incomplete frame
+            this.pull = true;                    //Read more from the wrapped transport
+        },
+        /**
+         * Returns the wrapped transport.
+         * @readonly
+         * @returns {object}
+         */
+        getTransport: function () {
+            return this.transport;
+        },
+        isOpen: function () {
+            return this.transport.isOpen();
+        },
+        open: function () {
+            return this.transport.open();
+        },
+        close: function () {
+            return this.transport.close();
+        },
+        /**
+         * Completes the message being written, writing it as one frame to the
+         * wrapped transport, and flushes the wrapped transport.
+         * @param {object} async - Passed to the wrapped transport.
+         * @param {object} callback - Passed to the wrapped transport.
+         * @returns {*} Whatever the wrapped transport flush returns; for the
+         * http transports the bytes of the frame.
+         * @throws {TFramedTransportException} If the message is larger than the
+         * maximum frame size.
+         */
+        flush: function (async, callback) {
+            var size = this.send_buf.length,
+                frame;
+            if (size > this.maxFrameSize) {
+                this.send_buf = [];
+                throw this.__frameTooLarge(size);
+            }
+            frame = [(size >>> 24) & 0xff, (size >>> 16) & 0xff, (size >>> 8) & 0xff, size & 0xff]
+                .concat(this.send_buf);
+            this.send_buf = [];
+            this.transport.write(frame);
+            return this.transport.flush(async, callback);
+        },
+        /**
+         * Sends a framed message with the wrapped transport. Replies are read
+         * through this transport, so they are unframed before the protocol
+         * sees them.
+         * @param {boolean} [oneway] - Set for a oneway method; passed on, so
+         * that the wrapped transport does not wait for or read a reply.
+         */
+        jqRequest: function (client, postData, args, recv_method, oneway) {
+            return this.transport.jqRequest(client, postData, args, recv_method, oneway);
+        },
+        /**
+         * Adds an interceptor to the wrapped transport, which makes the
+         * calls; the interceptor sees the framed message.
+         * @param {function} interceptor - See Thrift.TXHRTransport#use.
+         * @returns {object} This transport, for chaining.
+         */
+        use: function (interceptor) {
+            this.transport.use(interceptor);
+            return this;
+        },
+        /**
+         * Creates a view of the transport reading the frame in the given buffer;
+         * used by the wrapped transport when reading a reply.
+         * @param {Uint8Array} buf - The framed bytes.
+         * @returns {object} The reader.
+         * @throws {TFramedTransportException} If the buffer does not hold a
+         * whole frame.
+         */
+        __reader: function (buf) {
+            var reader = Object.create(this);
+            reader.resetRead();
+            reader.pull = false;
+            reader.__append(buf);
+            if (reader.frames.length === 0) {
+                throw new TFramedTransportException({
+                    reason: 'IncompleteFrame',
+                    message: 'The response does not hold a complete frame',
+                    suggestions: 'Check that the service uses the framed transport',
+                    data: buf
+                });
+            }
+            reader.__nextFrame();
+            return reader;
+        },
+        __frameTooLarge: function (size) {
+            return new TFramedTransportException({
+                reason: 'FrameTooLarge',
+                message: 'Frame size (' + size + ') is larger than the maximum (' + this.maxFrameSize + ')',
+                suggestions: 'Raise the maxFrameSize option, or check that the service uses the framed transport',
+                data: {size: size, maxFrameSize: this.maxFrameSize}
+            });
+        },
+        /**
+         * Adds bytes to the incomplete frame, and moves each frame completed
+         * onto the queue of frames to read.
+         * @param {Array|Uint8Array} bytes
+         */
+        __append: function (bytes) {
+            var partial = this.partial,
+                i, size;
+            for (i = 0; i < bytes.length; i += 1) {
+                partial.push(bytes[i]);
+            }
+            while (partial.length >= 4) {
+                size = ((partial[0] << 24) | (partial[1] << 16) | (partial[2] << 8) | partial[3]);
+                if (size < 0 || size > this.maxFrameSize) {
+                    this.partial = [];
+                    throw this.__frameTooLarge(size >>> 0);
+                }
+                if (partial.length < size + 4) {
+                    break;
+                }
+                this.frames.push(new Uint8Array(partial.slice(4, size + 4)));
+                partial = partial.slice(size + 4);
+            }
+            this.partial = partial;
+        },
+        /**
+         * Makes the next frame the one being read, taking whatever bytes the
+         * wrapped transport has to offer if none is waiting.
+         * @returns {boolean} True if there was a frame.
+         */
+        __nextFrame: function () {
+            var bytes = [],
+                b;
+            if (this.frames.length === 0 && this.pull) {
+                b = this.transport.readByte();
+                while (b !== null && b !== undefined) {
+                    bytes.push(b);
+                    b = this.transport.readByte();
+                }
+                this.__append(bytes);
+            }
+            if (this.frames.length === 0) {
+                return false;
+            }
+            this.frame_buf = this.__unwrapFrame(this.frames.shift());
+            this.rpos = 0;
+            return true;
+        },
+        /**
+         * Returns the message carried by a frame; here the frame itself.
+         * Layers which put more than the message in a frame override this.
+         * @param {Uint8Array} frame
+         * @returns {Uint8Array}
+         */
+        __unwrapFrame: function (frame) {
+            return frame;
+        },
+        readByte: function () {
+            if (this.rpos >= this.frame_buf.length && !this.__nextFrame()) {
+                return null;
+            }
+            var ret = this.frame_buf[this.rpos];
+            this.rpos += 1;
+            return ret;
+        },
+        read: function (len) {
+            var avail;
+            if (this.rpos >= this.frame_buf.length && len > 0) {
+                this.__nextFrame();
+            }
+            avail = this.frame_buf.length - this.rpos;
+            if (avail < len) {
+                throw new Error('Requested more bytes (' + len + ') than are available (' + avail + ')');
+            }
+            this.rpos += len;
+            return this.frame_buf.subarray(this.rpos - len, this.rpos);
+        },
+        /**
+         * Returns the rest of the frame being read, or the whole of the next
+         * frame, and moves past it.
+         * @returns {Uint8Array}
+         */
+        readAll: function () {
+            var rest;
+            if (this.rpos >= this.frame_buf.length) {
+                this.__nextFrame();
+            }
+            rest = this.frame_buf.subarray(this.rpos);
+            this.rpos = this.frame_buf.length;
+            return rest;
+        },
+        writeByte: function (b) {
+            this.send_buf.push(b);
+        },
+        write: function (buf) {
+            var i;
+            for (i = 0; i < buf.length; i += 1) {
+                this.send_buf.push(buf[i]);
+            }
+        },
+        /**
+         * Returns the bytes of the message being written, before framing.
+         * @readonly
+         * @returns {Array}
+         */
+        getSendBuffer: function () {
+            return this.send_buf;
+        }
+    };
+
+    return Thrift;
+});
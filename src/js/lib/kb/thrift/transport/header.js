@@ -0,0 +1,453 @@
+/*global define */
+/*jslint white: true, bitwise: true */
+
+define([
+    '../core',
+    '../protocol/utf8',
+    './framed'
+], function (Thrift, utf8) {
+    'use strict';
+
+    function THeaderTransportException(error) {
+        this.name = 'THeaderTransportException';
+        this.reason = error.reason;
+        this.message = error.message;
+        this.suggestions = error.suggestions;
+        this.data = error.data;
+        this.stack = (new Error()).stack;
+    }
+    THeaderTransportException.prototype = Object.create(Thrift.TTransportError.prototype);
+    THeaderTransportException.prototype.constructor = THeaderTransportException;
+    Thrift.THeaderTransportException = THeaderTransportException;
+
+    var HEADER_MAGIC = 0x0fff,
+        // The header length is carried in 32 bit words in a 16 bit field.
+        MAX_HEADER_SIZE = 0xffff * 4;
+
+    function writeVarint(bytes, n) {
+        n = n >>> 0;
+        while (n > 0x7f) {
+            bytes.push((n & 0x7f) | 0x80);
+            n = n >>> 7;
+        }
+        bytes.push(n);
+    }
+
+    function writeVarString(bytes, str) {
+        var encoded = utf8.encode(String(str)),
+            i;
+        writeVarint(bytes, encoded.length);
+        for (i = 0; i < encoded.length; i += 1) {
+            bytes.push(encoded[i]);
+        }
+    }
+
+    function badHeader(message) {
+        return new THeaderTransportException({
+            reason: 'BadHeader',
+            message: message
+        });
+    }
+
+    /*
+     * Reads from a header: the cursor holds the frame and the position, and
+     * the end of the header, which reads may not pass.
+     */
+    function readVarint(cursor) {
+        var result = 0, shift = 0, b;
+        do {
+            if (cursor.pos >= cursor.end) {
+                throw badHeader('The header ends inside a varint');
+            }
+            if (shift > 28) {
+                throw badHeader('A header varint is longer than 32 bits');
+            }
+            b = cursor.frame[cursor.pos];
+            cursor.pos += 1;
+            result |= (b & 0x7f) << shift;
+            shift += 7;
+        } while (b & 0x80);
+        return result >>> 0;
+    }
+
+    function readVarString(cursor) {
+        var len = readVarint(cursor),
+            bytes;
+        if (cursor.pos + len > cursor.end) {
+            throw badHeader('A header string runs past the end of the header');
+        }
+        bytes = cursor.frame.subarray(cursor.pos, cursor.pos + len);
+        cursor.pos += len;
+        return utf8.decode(bytes);
+    }
+
+    /**
+     * Constructor Function for the header transport.
+     * @constructor
+     * @augments Thrift.TFramedTransport
+     * @param {object} transport - The transport to wrap: an XHR, fetch,
+     * WebSocket or Echo transport.
+     * @param {object} [options]
+     * @param {number} [options.protocolId] - The protocol the messages are
+     * written with, one of Thrift.THeaderTransport.ProtocolId; defaults to
+     * BINARY.
+     * @param {number[]} [options.transforms] - Ids of the transforms to apply
+     * to messages written, in order.
+     * @param {object} [options.codecs] - Transform implementations by id, each
+     * an object with encode and decode functions taking and returning a
+     * Uint8Array. A transform may only be written or read if it has a codec.
+     * @param {object} [options.headers] - Info headers to send with every
+     * message.
+     * @param {number} [options.maxFrameSize] - As for the TFramedTransport.
+     * @classdesc The header transport speaks the THeader format used by
+     * fbthrift and the Apache Thrift header servers. Each message is sent in a
+     * frame which also carries the protocol id of the message, the ids of the
+     * transforms (such as compression) applied to it, and info headers: string
+     * key value pairs for request metadata such as an auth token or a request
+     * id. Replies are decoded with the protocol their header names, so use it
+     * with the THeaderProtocol. Framed replies without a header are accepted
+     * too, for servers which fall back to framed transport.
+     * @example
+     *     var transport = new Thrift.THeaderTransport(new Thrift.TXHRTransport("http://localhost:8585")),
+     *         protocol = new Thrift.THeaderProtocol(transport),
+     *         client = new MyThriftSvcClient(protocol);
+     *     transport.setHeader('request-id', '1234');
+     */
+    Thrift.THeaderTransport = function (transport, options) {
+        Thrift.TFramedTransport.call(this, transport, options);
+        options = options || {};
+        this.protocolId = options.protocolId !== undefined ?
+            options.protocolId : Thrift.THeaderTransport.ProtocolId.BINARY;
+        this.transforms = (options.transforms || []).slice();
+        this.codecs = options.codecs || {};
+        this.flags = 0;
+        this.seqid = 0;
+        this.writeHeaders = {};
+        if (options.headers) {
+            Object.keys(options.headers).forEach(function (key) {
+                this.setHeader(key, options.headers[key]);
+            }, this);
+        }
+        this.readHeaders = {};
+        this.readProtocolId = null;
+        this.readTransforms = [];
+        this.readSeqid = null;
+    };
+
+    Thrift.THeaderTransport.prototype = Object.create(Thrift.TFramedTransport.prototype);
+    Thrift.THeaderTransport.prototype.constructor = Thrift.THeaderTransport;
+
+    /**
+     * Protocol ids carried in the header.
+     * @readonly
+     * @property {number} BINARY - Thrift.TBinaryProtocol.
+     * @property {number} COMPACT - Thrift.TCompactProtocol.
+     */
+    Thrift.THeaderTransport.ProtocolId = {
+        BINARY: 0,
+        COMPACT: 2
+    };
+
+    /**
+     * Transform ids carried in the header.
+     * @readonly
+     * @property {number} ZLIB - zlib compression.
+     * @property {number} HMAC - Message authentication (deprecated).
+     * @property {number} SNAPPY - Snappy compression.
+     */
+    Thrift.THeaderTransport.TransformId = {
+        ZLIB: 1,
+        HMAC: 2,
+        SNAPPY: 3
+    };
+
+    /**
+     * Info header ids.
+     * @readonly
+     * @property {number} KEYVALUE - Headers for this message.
+     * @property {number} PKEYVALUE - Persistent headers.
+     */
+    Thrift.THeaderTransport.InfoId = {
+        KEYVALUE: 1,
+        PKEYVALUE: 2
+    };
+
+    /**
+     * Sets an info header to send with every following message.
+     * @param {string} key
+     * @param {string} value
+     */
+    Thrift.THeaderTransport.prototype.setHeader = function (key, value) {
+        this.writeHeaders[String(key)] = String(value);
+    };
+
+    Thrift.THeaderTransport.prototype.removeHeader = function (key) {
+        delete this.writeHeaders[key];
+    };
+
+    Thrift.THeaderTransport.prototype.clearHeaders = function () {
+        this.writeHeaders = {};
+    };
+
+    /**
+     * Returns a copy of the info headers sent with each message.
+     * @returns {object}
+     */
+    Thrift.THeaderTransport.prototype.getWriteHeaders = function () {
+        var headers = {};
+        Object.keys(this.writeHeaders).forEach(function (key) {
+            headers[key] = this.writeHeaders[key];
+        }, this);
+        return headers;
+    };
+
+    /**
+     * Returns the info headers of the last message read.
+     * @returns {object}
+     */
+    Thrift.THeaderTransport.prototype.getReadHeaders = function () {
+        return this.readHeaders;
+    };
+
+    /**
+     * Sets the protocol the following messages are written with.
+     * @param {number} protocolId - One of Thrift.THeaderTransport.ProtocolId.
+     */
+    Thrift.THeaderTransport.prototype.setProtocolId = function (protocolId) {
+        this.protocolId = protocolId;
+    };
+
+    Thrift.THeaderTransport.prototype.getProtocolId = function () {
+        return this.protocolId;
+    };
+
+    /**
+     * Returns the protocol id of the last message read.
+     * @returns {number|null}
+     */
+    Thrift.THeaderTransport.prototype.getReadProtocolId = function () {
+        return this.readProtocolId;
+    };
+
+    /**
+     * Moves on to the next frame if the last one has been used up, before a
+     * message is read; called by the THeaderProtocol.
+     * @returns {number|null} The protocol id of the message, or null if
+     * there is no message.
+     */
+    Thrift.THeaderTransport.prototype.beginReadMessage = function () {
+        if (this.rpos >= this.frame_buf.length && !this.__nextFrame()) {
+            return null;
+        }
+        return this.readProtocolId;
+    };
+
+    /**
+     * Sets the sequence id written in the header of the message being
+     * written; called by the THeaderProtocol.
+     * @param {number} seqid
+     */
+    Thrift.THeaderTransport.prototype.setSeqId = function (seqid) {
+        this.seqid = seqid;
+    };
+
+    Thrift.THeaderTransport.prototype.__codec = function (id) {
+        var codec = this.codecs[id];
+        if (!codec) {
+            throw new THeaderTransportException({
+                reason: 'UnsupportedTransform',
+                message: 'No codec is available for the transform with id ' + id,
+                suggestions: 'Supply one in the codecs option',
+                data: id
+            });
+        }
+        return codec;
+    };
+
+    /**
+     * Completes the message being written, sending it in a header frame.
+     * @param {object} async - Passed to the wrapped transport.
+     * @param {object} callback - Passed to the wrapped transport.
+     * @returns {*} Whatever the wrapped transport flush returns.
+     */
+    Thrift.THeaderTransport.prototype.flush = function (async, callback) {
+        var payload = this.send_buf,
+            header = [],
+            keys = Object.keys(this.writeHeaders),
+            seqid = this.seqid,
+            frame;
+
+        this.transforms.forEach(function (id) {
+            payload = this.__codec(id).encode(new Uint8Array(payload));
+        }, this);
+
+        writeVarint(header, this.protocolId);
+        writeVarint(header, this.transforms.length);
+        this.transforms.forEach(function (id) {
+            writeVarint(header, id);
+        });
+        if (keys.length > 0) {
+            writeVarint(header, Thrift.THeaderTransport.InfoId.KEYVALUE);
+            writeVarint(header, keys.length);
+            keys.forEach(function (key) {
+                writeVarString(header, key);
+                writeVarString(header, this.writeHeaders[key]);
+            }, this);
+        }
+        while (header.length % 4 !== 0) {
+            header.push(0);
+        }
+        if (header.length > MAX_HEADER_SIZE) {
+            this.send_buf = [];
+            throw new THeaderTransportException({
+                reason: 'HeaderTooLarge',
+                message: 'The header size (' + header.length + ') is larger than the maximum (' + MAX_HEADER_SIZE + ')',
+                data: header.length
+            });
+        }
+
+        frame = [
+            (HEADER_MAGIC >>> 8) & 0xff, HEADER_MAGIC & 0xff,
+            (this.flags >>> 8) & 0xff, this.flags & 0xff,
+            (seqid >>> 24) & 0xff, (seqid >>> 16) & 0xff, (seqid >>> 8) & 0xff, seqid & 0xff,
+            (header.length / 4 >>> 8) & 0xff, (header.length / 4) & 0xff
+        ].concat(header, Array.prototype.slice.call(payload));
+
+        this.send_buf = frame;
+        return Thrift.TFramedTransport.prototype.flush.call(this, async, callback);
+    };
+
+    /**
+     * Sends a message with the wrapped transport. The trailing options
+     * argument may carry an onResponseHeaders function, which is called
+     * with the info headers of the reply. A oneway call has no reply, so
+     * no headers are read for it.
+     */
+    Thrift.THeaderTransport.prototype.jqRequest = function (client, postData, args, recv_method, oneway) {
+        var headerTransport = this,
+            onResponseHeaders = Thrift.TXHRTransport.getCallOptions(args).onResponseHeaders;
+        if (oneway) {
+            return this.transport.jqRequest(client, postData, args, recv_method, oneway);
+        }
+        return this.transport.jqRequest(client, postData, args, function () {
+            var headers = this.input.getTransport().getReadHeaders();
+            headerTransport.readHeaders = headers;
+            if (onResponseHeaders) {
+                onResponseHeaders(headers);
+            }
+            return recv_method.call(this);
+        });
+    };
+
+    /**
+     * Reads the header of a frame, recording the protocol id, transforms,
+     * sequence id and info headers, and returns the message it carries.
+     */
+    Thrift.THeaderTransport.prototype.__unwrapFrame = function (frame) {
+        var headers = {},
+            transforms = [],
+            cursor, count, infoId, payload, i;
+
+        if (frame.length < 10 || ((frame[0] << 8) | frame[1]) !== HEADER_MAGIC) {
+            // A framed message without a header; the first byte tells the protocol.
+            if (frame[0] === 0x80) {
+                this.readProtocolId = Thrift.THeaderTransport.ProtocolId.BINARY;
+            } else if (frame[0] === 0x82) {
+                this.readProtocolId = Thrift.THeaderTransport.ProtocolId.COMPACT;
+            } else {
+                throw new THeaderTransportException({
+                    reason: 'UnknownFormat',
+                    message: 'The frame is neither a header frame nor a framed binary or compact message',
+                    data: frame
+                });
+            }
+            this.readHeaders = headers;
+            this.readTransforms = transforms;
+            this.readSeqid = null;
+            return frame;
+        }
+
+        cursor = {
+            frame: frame,
+            pos: 10,
+            end: 10 + ((frame[8] << 8) | frame[9]) * 4
+        };
+        if (cursor.end > frame.length) {
+            throw badHeader('The header size is larger than the frame');
+        }
+        this.readSeqid = ((frame[4] << 24) | (frame[5] << 16) | (frame[6] << 8) | frame[7]);
+        this.readProtocolId = readVarint(cursor);
+        count = readVarint(cursor);
+        for (i = 0; i < count; i += 1) {
+            transforms.push(readVarint(cursor));
+        }
+        // Info blocks run to the padding, which starts with a zero.
+        while (cursor.pos < cursor.end && frame[cursor.pos] !== 0) {
+            infoId = readVarint(cursor);
+            if (infoId !== Thrift.THeaderTransport.InfoId.KEYVALUE &&
+                    infoId !== Thrift.THeaderTransport.InfoId.PKEYVALUE) {
+                // Unknown info blocks cannot be skipped, as their size is unknown.
+                break;
+            }
+            count = readVarint(cursor);
+            for (i = 0; i < count; i += 1) {
+                headers[readVarString(cursor)] = readVarString(cursor);
+            }
+        }
+
+        payload = frame.subarray(cursor.end);
+        // Transforms are undone in the reverse of the order they were applied.
+        transforms.slice().reverse().forEach(function (id) {
+            payload = this.__codec(id).decode(payload);
+        }, this);
+
+        this.readHeaders = headers;
+        this.readTransforms = transforms;
+        return payload;
+    };
+
+    /**
+     * Info header accessors for generated service clients whose protocol
+     * runs over a THeaderTransport. Mix them into a client class, or a
+     * single client.
+     * @example
+     *     Thrift.THeaderClient.mixin(MyThriftSvcClient.prototype);
+     *     client.setHeader('authorization', token);
+     *     client.MyMethod(arg, true).then(function () {
+     *         console.log(client.getResponseHeaders());
+     *     });
+     */
+    Thrift.THeaderClient = {
+        setHeader: function (key, value) {
+            this.output.getTransport().setHeader(key, value);
+            return this;
+        },
+        removeHeader: function (key) {
+            this.output.getTransport().removeHeader(key);
+            return this;
+        },
+        clearHeaders: function () {
+            this.output.getTransport().clearHeaders();
+            return this;
+        },
+        getHeaders: function () {
+            return this.output.getTransport().getWriteHeaders();
+        },
+        /**
+         * Returns the info headers of the last reply received. When calls
+         * overlap, use the onResponseHeaders call option instead.
+         * @returns {object}
+         */
+        getResponseHeaders: function () {
+            return this.input.getTransport().getReadHeaders();
+        },
+        mixin: function (target) {
+            ['setHeader', 'removeHeader', 'clearHeaders', 'getHeaders', 'getResponseHeaders'].forEach(function (name) {
+                target[name] = Thrift.THeaderClient[name];
+            });
+            return target;
+        }
+    };
+
+    return Thrift;
+});
@@ -1,172 +1,523 @@
-/**
- * Constructor Function for the WebSocket transport.
- * @constructor
- * @param {string} [url] - The URL to connect to.
- * @classdesc The Apache Thrift Transport layer performs byte level I/O 
- * between RPC clients and servers. The JavaScript TWebSocketTransport object 
- * uses the WebSocket protocol. Target servers must implement WebSocket.
- * (see: node.js example server_http.js).
- * @example
- *   var transport = new Thrift.TWebSocketTransport("http://localhost:8585");
- */
-Thrift.TWebSocketTransport = function (url) {
-    this.__reset(url);
-};
-
-Thrift.TWebSocketTransport.prototype = {
-    __reset: function (url) {
-        this.url = url;             //Where to connect
-        this.socket = null;         //The web socket
-        this.callbacks = [];        //Pending callbacks
-        this.send_pending = [];     //Buffers/Callback pairs waiting to be sent
-        this.send_buf = '';         //Outbound data, immutable until sent
-        this.recv_buf = '';         //Inbound data
-        this.rb_wpos = 0;           //Network write position in receive buffer
-        this.rb_rpos = 0;           //Client read position in receive buffer
-    },
-    /**
-     * Sends the current WS request and registers callback. The async 
-     * parameter is ignored (WS flush is always async) and the callback 
-     * function parameter is required.
-     * @param {object} async - Ignored.
-     * @param {object} callback - The client completion callback.
-     * @returns {undefined|string} Nothing (undefined) 
-     */
-    flush: function (async, callback) {
-        var self = this;
-        if (this.isOpen()) {
-            //Send data and register a callback to invoke the client callback
-            this.socket.send(this.send_buf);
-            this.callbacks.push((function () {
-                var clientCallback = callback;
-                return function (msg) {
-                    self.setRecvBuffer(msg);
-                    clientCallback();
-                };
-            }()));
-        } else {
-            //Queue the send to go out __onOpen
-            this.send_pending.push({
-                buf: this.send_buf,
-                cb: callback
-            });
-        }
-    },
-    __onOpen: function () {
-        var self = this;
-        if (this.send_pending.length > 0) {
-            //If the user made calls before the connection was fully 
-            //open, send them now
-            this.send_pending.forEach(function (elem) {
-                this.socket.send(elem.buf);
-                this.callbacks.push((function () {
-                    var clientCallback = elem.cb;
-                    return function (msg) {
-                        self.setRecvBuffer(msg);
-                        clientCallback();
-                    };
-                }()));
-            });
-            this.send_pending = [];
-        }
-    },
-    __onClose: function (evt) {
-        this.__reset(this.url);
-    },
-    __onMessage: function (evt) {
-        if (this.callbacks.length) {
-            this.callbacks.shift()(evt.data);
-        }
-    },
-    __onError: function (evt) {
-        console.log("Thrift WebSocket Error: " + evt.toString());
-        this.socket.close();
-    },
+/*global define, WebSocket */
+/*jshint white: true */
+
+define([
+    '../core',
+    'bluebird',
+    './xhr',
+    '../events'
+], function (Thrift, Promise) {
+    'use strict';
+
+    var MAX_SEQID = 0x7fffffff;
+
+    function TWebSocketTransportException(error) {
+        this.name = 'TWebSocketTransportException';
+        this.reason = error.reason;
+        this.message = error.message;
+        this.suggestions = error.suggestions;
+        this.data = error.data;
+        this.stack = (new Error()).stack;
+    }
+    TWebSocketTransportException.prototype = Object.create(Thrift.TTransportError.prototype);
+    TWebSocketTransportException.prototype.constructor = TWebSocketTransportException;
+    Thrift.TWebSocketTransportException = TWebSocketTransportException;
+
     /**
-     * Sets the buffer to use when receiving server responses.
-     * @param {string} buf - The buffer to receive server responses.
+     * Constructor Function for the WebSocket transport.
+     * @constructor
+     * @param {string} url - The URL to connect to.
+     * @param {object} [options]
+     * @param {number} [options.timeout] - Call timeout in milliseconds.
+     * @param {function} [options.WebSocket] - The WebSocket implementation to
+     * use, defaults to the global WebSocket.
+     * @param {boolean|object} [options.reconnect] - Reconnect when the
+     * connection drops, true for the defaults or an object overriding them;
+     * see Thrift.TWebSocketTransport.RECONNECT_DEFAULTS.
+     * @classdesc The Apache Thrift Transport layer performs byte level I/O
+     * between RPC clients and servers. The JavaScript TWebSocketTransport
+     * object uses the WebSocket protocol, sending each message as one binary
+     * frame. Many calls may be in flight over the one socket; replies are
+     * matched to calls by the message sequence id. Calls made before the
+     * socket is open are queued and sent once it opens.
+     *
+     * Many clients may share the socket. Each client counts its sequence
+     * ids on its own, from 0, so after each call the transport moves the
+     * next sequence id of the client on to one no other client on the
+     * socket has had. Only the first call of a client may then have the
+     * sequence id of a call in flight; it waits for that call to be
+     * answered before it is sent. The clients may use different protocols:
+     * each reply goes to the call whose client reads it as a message
+     * answering that call.
+     *
+     * With reconnect enabled a dropped connection is opened again, waiting
+     * longer after each failed attempt. Calls not yet sent wait for the new
+     * connection. Calls sent but not answered are rejected with the
+     * ConnectionClosed reason, unless their method is listed in the replay
+     * option, in which case they are sent again; only list idempotent
+     * methods there. Once the retries are exhausted every waiting call is
+     * rejected with the ReconnectFailed reason. The transport emits a
+     * statechange event, with the state, as it moves between the closed,
+     * connecting, open and reconnecting states.
+     * @example
+     *   var transport = new Thrift.TWebSocketTransport("ws://localhost:8585"),
+     *       protocol = new Thrift.TBinaryProtocol(transport),
+     *       client = new MyThriftSvcClient(protocol);
+     *   client.MyMethod(arg, true).then(...);
      */
-    setRecvBuffer: function (buf) {
-        this.recv_buf = buf;
-        this.recv_buf_sz = this.recv_buf.length;
-        this.wpos = this.recv_buf.length;
-        this.rpos = 0;
-    },
+    Thrift.TWebSocketTransport = function (url, options) {
+        Thrift.TXHRTransport.call(this, url, options);
+        this.WebSocket = (options && options.WebSocket);
+        this.socket = null;         //The web socket
+        this.send_pending = [];     //Calls waiting for the socket to open
+        this.calls = {};            //Unanswered calls, by seqid
+        this.blocked = [];          //Calls waiting for their seqid to be free
+        this.nextSeqid = 0;         //The next seqid to give a client
+        this.reconnect = Thrift.TWebSocketTransport.reconnectOptions(options && options.reconnect);
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+        this.state = 'closed';
+    };
+
+    Thrift.TWebSocketTransport.prototype = Object.create(Thrift.TXHRTransport.prototype);
+    Thrift.TWebSocketTransport.prototype.constructor = Thrift.TWebSocketTransport;
+    Thrift.Events.mixin(Thrift.TWebSocketTransport.prototype);
+
     /**
-     * Returns true if the transport is open
+     * The reconnect settings used for those not given in the reconnect option.
      * @readonly
-     * @returns {boolean} 
+     * @property {number} retries - Attempts to make before giving up.
+     * @property {number} delay - Milliseconds to wait before the first attempt.
+     * @property {number} factor - The wait is multiplied by this after each attempt.
+     * @property {number} maxDelay - The longest wait between attempts.
+     * @property {string[]} replay - Methods whose unanswered calls are sent
+     * again after reconnecting.
      */
-    isOpen: function () {
-        return this.socket && this.socket.readyState === this.socket.OPEN;
-    },
+    Thrift.TWebSocketTransport.RECONNECT_DEFAULTS = {
+        retries: 5,
+        delay: 250,
+        factor: 2,
+        maxDelay: 30000,
+        replay: []
+    };
+
     /**
-     * Opens the transport connection
+     * Resolves the reconnect option against the defaults.
+     * @param {boolean|object} [reconnect] - The reconnect option.
+     * @returns {object|null} The settings, or null if reconnect is off.
      */
-    open: function () {
-        //If OPEN/CONNECTING/CLOSING ignore additional opens
-        if (this.socket && this.socket.readyState !== this.socket.CLOSED) {
-            return;
+    Thrift.TWebSocketTransport.reconnectOptions = function (reconnect) {
+        var settings = {};
+        if (!reconnect) {
+            return null;
         }
-        //If there is no socket or the socket is closed:
-        this.socket = new WebSocket(this.url);
-        this.socket.onopen = this.__onOpen.bind(this);
-        this.socket.onmessage = this.__onMessage.bind(this);
-        this.socket.onerror = this.__onError.bind(this);
-        this.socket.onclose = this.__onClose.bind(this);
-    },
+        Object.keys(Thrift.TWebSocketTransport.RECONNECT_DEFAULTS).forEach(function (key) {
+            settings[key] = (typeof reconnect === 'object' && reconnect[key] !== undefined) ?
+                reconnect[key] : Thrift.TWebSocketTransport.RECONNECT_DEFAULTS[key];
+        });
+        return settings;
+    };
+
     /**
-     * Closes the transport connection
+     * Sends the message for a generated client call over the socket.
+     * @param {object} client - The Thrift Service client object generated by the IDL compiler.
+     * @param {object} postData - The message to send to the server.
+     * @param {function} args - The original call arguments; a trailing options
+     * object may carry a signal (AbortSignal) for this call.
+     * @param {function} recv_method - The Thrift Service Client receive method for the call.
+     * @param {boolean} [oneway] - Set for a oneway method, whose call has no
+     * reply: it resolves with null once its message has been sent.
+     * @returns {object} A Promises A+ compatible promise, with a cancel
+     * method as for the TXHRTransport.
      */
-    close: function () {
-        this.socket.close();
-    },
-    /**
-     * Returns the specified number of characters from the response
-     * buffer.
-     * @param {number} len - The number of characters to return.
-     * @returns {string} Characters sent by the server.
+    Thrift.TWebSocketTransport.prototype.__request = function (client, postData, args, recv_method, oneway) {
+        var thriftTransport = this,
+            timeout = client.timeout || thriftTransport.timeout,
+            signal = Thrift.TXHRTransport.getCallOptions(args).signal,
+            call = thriftTransport.__beginCall(postData, oneway),
+            onAbort,
+            timer = null;
+
+        return thriftTransport.__cancellable(call, new Promise(function (resolve, reject) {
+            call.client = client;
+            call.abort = function () {
+                // Not to be sent should the socket open meanwhile.
+                thriftTransport.__unqueue(call);
+                reject(new TWebSocketTransportException({
+                    reason: 'RequestAbort',
+                    message: 'General request abort',
+                    data: call
+                }));
+            };
+            call.fail = reject;
+            call.receive = function (buf) {
+                try {
+                    resolve(thriftTransport.__receive(client, buf, call, recv_method));
+                } catch (ex) {
+                    reject(ex);
+                }
+            };
+
+            if (signal && signal.aborted) {
+                call.abort();
+                return;
+            }
+
+            try {
+                thriftTransport.__identifyCall(call, client);
+            } catch (ex) {
+                reject(ex);
+                return;
+            }
+            thriftTransport.__advanceSeqid(client, call.seqid);
+            call.sent = false;
+            call.start = function () {
+                // A oneway call has no reply to wait for.
+                if (!call.oneway) {
+                    thriftTransport.calls[call.seqid] = call;
+                }
+                if (thriftTransport.isOpen()) {
+                    thriftTransport.__send(call);
+                    return;
+                }
+                thriftTransport.send_pending.push(call);
+                try {
+                    thriftTransport.open();
+                } catch (ex) {
+                    reject(ex instanceof TWebSocketTransportException ? ex : new TWebSocketTransportException({
+                        reason: 'ConnectionOpenError',
+                        message: 'Error opening the connection to the thrift websocket service',
+                        suggestions: 'This is probably a malformed url',
+                        data: ex
+                    }));
+                }
+            };
+
+            if (signal) {
+                onAbort = function () {
+                    call.abort();
+                };
+                signal.addEventListener('abort', onAbort);
+            }
+            if (timeout) {
+                timer = setTimeout(function () {
+                    reject(new TWebSocketTransportException({
+                        reason: 'RequestTimeout',
+                        message: 'General request timeout',
+                        suggestions: 'The server did not reply to the call before the timeout period expired',
+                        data: call
+                    }));
+                }, timeout);
+            }
+
+            if (!call.oneway && thriftTransport.calls.hasOwnProperty(call.seqid)) {
+                // Replies are told apart by their sequence id alone.
+                thriftTransport.blocked.push(call);
+            } else {
+                call.start();
+            }
+        }).finally(function () {
+            thriftTransport.__unqueue(call);
+            if (call.seqid !== undefined && thriftTransport.calls[call.seqid] === call) {
+                delete thriftTransport.calls[call.seqid];
+                thriftTransport.__unblock(call.seqid);
+            }
+            if (timer !== null) {
+                clearTimeout(timer);
+            }
+            if (onAbort) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            thriftTransport.__endCall(call);
+        }));
+    };
+
+    /*
+     * Moves the next sequence id of a client on to one which no client on
+     * the socket has had yet, once the client has used the given one.
      */
-    read: function (len) {
-        var avail = this.wpos - this.rpos;
+    Thrift.TWebSocketTransport.prototype.__advanceSeqid = function (client, seqid) {
+        var next = Math.max(this.nextSeqid, seqid + 1, client.seqid);
+        if (next > MAX_SEQID) {
+            next = 0;
+        }
+        client.seqid = next;
+        this.nextSeqid = next + 1;
+    };
 
-        if (avail === 0) {
-            return '';
+    /*
+     * Takes a call out of those waiting to be sent.
+     */
+    Thrift.TWebSocketTransport.prototype.__unqueue = function (call) {
+        [this.send_pending, this.blocked].forEach(function (waiting) {
+            var pos = waiting.indexOf(call);
+            if (pos !== -1) {
+                waiting.splice(pos, 1);
+            }
+        });
+    };
+
+    /*
+     * Starts the first call waiting for a sequence id which is now free.
+     */
+    Thrift.TWebSocketTransport.prototype.__unblock = function (seqid) {
+        var next = this.blocked.filter(function (call) {
+            return call.seqid === seqid;
+        })[0];
+        if (next) {
+            this.blocked.splice(this.blocked.indexOf(next), 1);
+            next.start();
         }
+    };
 
-        var give = len;
+    Thrift.TWebSocketTransport.prototype.__send = function (call) {
+        try {
+            this.socket.send(new Uint8Array(call.send_buf).buffer);
+            call.sent = true;
+            if (call.oneway) {
+                call.receive(null);
+            }
+        } catch (ex) {
+            call.fail(new TWebSocketTransportException({
+                reason: 'ConnectionSendError',
+                message: 'Error sending data to thrift websocket service',
+                data: ex
+            }));
+        }
+    };
 
-        if (avail < len) {
-            give = avail;
+    Thrift.TWebSocketTransport.prototype.__setState = function (state, info) {
+        var event = {state: state, previous: this.state};
+        if (info) {
+            Object.keys(info).forEach(function (key) {
+                event[key] = info[key];
+            });
         }
+        this.state = state;
+        this.emit('statechange', event);
+    };
 
-        var ret = this.read_buf.substr(this.rpos, give);
-        this.rpos += give;
+    Thrift.TWebSocketTransport.prototype.__onOpen = function () {
+        //Send the calls made before the connection was fully open
+        var pending = this.send_pending;
+        this.send_pending = [];
+        this.reconnectAttempt = 0;
+        this.__setState('open');
+        pending.forEach(function (call) {
+            this.__send(call);
+        }, this);
+    };
 
-        //clear buf when complete?
-        return ret;
-    },
     /**
-     * Returns the entire response buffer.
-     * @returns {string} Characters sent by the server.
+     * Rejects every call not yet answered, and leaves the transport closed.
+     * @param {string} reason - The reason for the rejections.
+     * @param {string} message - The message for the rejections.
+     * @param {object} data - The close event, for diagnosis.
      */
-    readAll: function () {
-        return this.recv_buf;
-    },
+    Thrift.TWebSocketTransport.prototype.__failAll = function (reason, message, data) {
+        var calls = this.calls,
+            // Oneway calls are only to be found waiting to be sent.
+            waiting = this.send_pending.filter(function (call) {
+                return call.oneway;
+            }).concat(this.blocked);
+        this.send_pending = [];
+        this.blocked = [];
+        this.calls = {};
+        this.reconnectAttempt = 0;
+        Object.keys(calls).map(function (seqid) {
+            return calls[seqid];
+        }).concat(waiting).forEach(function (call) {
+            call.fail(new TWebSocketTransportException({
+                reason: reason,
+                message: message,
+                data: data
+            }));
+        });
+        if (this.state !== 'closed') {
+            this.__setState('closed', {reason: reason});
+        }
+    };
+
+    Thrift.TWebSocketTransport.prototype.__onClose = function (evt) {
+        var thriftTransport = this,
+            settings = this.reconnect,
+            replayed = [],
+            delay;
+        this.socket = null;
+        if (!settings) {
+            this.__failAll('ConnectionClosed', 'The connection closed before the call was answered', evt);
+            return;
+        }
+        if (this.reconnectAttempt >= settings.retries) {
+            this.__failAll('ReconnectFailed', 'The connection could not be opened again after ' +
+                settings.retries + ' attempts', evt);
+            return;
+        }
+
+        // Calls which went out on the lost connection may or may not have
+        // been run by the server, so only those which are safe to run twice
+        // are sent again.
+        Object.keys(this.calls).map(function (seqid) {
+            return thriftTransport.calls[seqid];
+        }).filter(function (call) {
+            return call.sent;
+        }).sort(function (a, b) {
+            return a.id - b.id;
+        }).forEach(function (call) {
+            if (settings.replay.indexOf(call.fname) === -1) {
+                call.fail(new TWebSocketTransportException({
+                    reason: 'ConnectionClosed',
+                    message: 'The connection closed before the call was answered',
+                    suggestions: 'The call may be replayed after reconnecting if its method is idempotent and listed in the replay option',
+                    data: evt
+                }));
+            } else {
+                call.sent = false;
+                replayed.push(call);
+            }
+        });
+        this.send_pending = replayed.concat(this.send_pending);
+
+        this.reconnectAttempt += 1;
+        delay = Math.min(settings.maxDelay,
+            settings.delay * Math.pow(settings.factor, this.reconnectAttempt - 1));
+        this.__setState('reconnecting', {attempt: this.reconnectAttempt, delay: delay});
+        this.reconnectTimer = setTimeout(function () {
+            thriftTransport.reconnectTimer = null;
+            thriftTransport.__connect();
+        }, delay);
+    };
+
+    /*
+     * Whether two clients read messages alike: with the same protocol, over
+     * the same transport layer.
+     */
+    function readAlike(client, other) {
+        return client === other ||
+            (Object.getPrototypeOf(client.input) === Object.getPrototypeOf(other.input) &&
+                client.input.getTransport() === other.input.getTransport());
+    }
+
+    Thrift.TWebSocketTransport.prototype.__onMessage = function (evt) {
+        var thriftTransport = this,
+            buf = new Uint8Array(evt.data),
+            calls = this.calls,
+            tried = [];
+        // Clients on the socket may speak different protocols, and the reply
+        // does not tell which. It is read as each of them would read it, and
+        // goes to the call its sequence id names if that call's client reads
+        // messages that way.
+        Object.keys(calls).some(function (seqid) {
+            var client = calls[seqid].client,
+                call;
+            if (tried.some(function (other) {
+                return readAlike(client, other);
+            })) {
+                return false;
+            }
+            tried.push(client);
+            try {
+                call = calls[thriftTransport.__callClient(client, buf).input.readMessageBegin().rseqid];
+            } catch (ex) {
+                // Not a message in this protocol.
+                return false;
+            }
+            if (!call || !readAlike(call.client, client)) {
+                return false;
+            }
+            call.receive(buf);
+            return true;
+        });
+    };
+
+    Thrift.TWebSocketTransport.prototype.__onError = function (evt) {
+        // The socket closes after an error, which fails or replays the
+        // waiting calls.
+        if (this.socket) {
+            this.socket.close();
+        }
+    };
+
+    Thrift.TWebSocketTransport.prototype.__connect = function () {
+        var thriftTransport = this,
+            Socket = this.WebSocket || (typeof WebSocket === 'function' ? WebSocket : null),
+            socket;
+        if (!Socket) {
+            throw new TWebSocketTransportException({
+                reason: 'ConnectionOpenError',
+                message: 'No WebSocket implementation is available',
+                suggestions: 'Supply one with the WebSocket option'
+            });
+        }
+        this.__setState('connecting', {attempt: this.reconnectAttempt});
+        socket = new Socket(this.url);
+        socket.binaryType = 'arraybuffer';
+        // Events from a socket the transport has let go of are ignored.
+        function current(handler) {
+            return function (evt) {
+                if (thriftTransport.socket === socket) {
+                    handler.call(thriftTransport, evt);
+                }
+            };
+        }
+        socket.onopen = current(this.__onOpen);
+        socket.onmessage = current(this.__onMessage);
+        socket.onerror = current(this.__onError);
+        socket.onclose = current(this.__onClose);
+        this.socket = socket;
+    };
+
     /**
-     * Sets the send buffer to buf.
-     * @param {string} buf - The buffer to send.
+     * Returns true if the transport is open
+     * @readonly
+     * @returns {boolean}
      */
-    write: function (buf) {
-        this.send_buf = buf;
-    },
+    Thrift.TWebSocketTransport.prototype.isOpen = function () {
+        return !!this.socket && this.socket.readyState === this.socket.OPEN;
+    };
+
     /**
-     * Returns the send buffer.
+     * Returns the connection state: closed, connecting, open or reconnecting.
      * @readonly
-     * @returns {string} The send buffer.
+     * @returns {string}
      */
-    getSendBuffer: function () {
-        return this.send_buf;
-    }
+    Thrift.TWebSocketTransport.prototype.getState = function () {
+        return this.state;
+    };
+
+    /**
+     * Opens the transport connection. Calls open it as needed, so this
+     * need not be called before using the transport. While waiting to
+     * reconnect this does nothing; the next attempt is already scheduled.
+     */
+    Thrift.TWebSocketTransport.prototype.open = function () {
+        //If OPEN/CONNECTING/CLOSING ignore additional opens
+        if (this.socket && this.socket.readyState !== this.socket.CLOSED) {
+            return;
+        }
+        if (this.reconnectTimer !== null) {
+            return;
+        }
+        //If there is no socket or the socket is closed:
+        this.__connect();
+    };
+
+    /**
+     * Closes the transport connection, and stops any reconnecting; calls not
+     * yet answered are rejected with the ConnectionClosed reason.
+     */
+    Thrift.TWebSocketTransport.prototype.close = function () {
+        var socket = this.socket;
+        if (this.reconnectTimer !== null) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.socket = null;
+        if (socket) {
+            socket.close();
+        }
+        this.__failAll('ConnectionClosed', 'The connection was closed before the call was answered');
+    };
 
-};
\ No newline at end of file
+    return Thrift;
+});
@@ -49,6 +49,40 @@ define([
     TXHRTransportException.prototype = Object.create(TTransportException.prototype);
     TXHRTransportException.prototype.constructor = TXHRTransportException;
     Thrift.TXHRTransportException = TXHRTransportException;
+
+    // Message sequence ids are signed 32 bit integers.
+    var MAX_SEQID = 0x7fffffff;
+
+    /*
+     * Moves the sequence id of a client on past one it has sent.
+     */
+    function advanceSeqid(client, seqid) {
+        if (client.seqid === seqid) {
+            client.seqid = seqid >= MAX_SEQID ? 0 : seqid + 1;
+        }
+    }
+
+    /*
+     * Checks the header of a reply against the call it answers. Exceptions
+     * sent by the server are left for the client to raise.
+     */
+    function checkReply(call, header) {
+        var sent = call.fname,
+            // Multiplexed calls name the service too; their replies do not.
+            plain = sent.slice(sent.lastIndexOf(':') + 1);
+        if (header.mtype === Thrift.MessageType.EXCEPTION) {
+            return;
+        }
+        if (header.fname !== sent && header.fname !== plain) {
+            throw new Thrift.TApplicationException(plain + ' failed: wrong method name in reply: ' + header.fname,
+                Thrift.TApplicationExceptionType.WRONG_METHOD_NAME);
+        }
+        if (header.rseqid !== call.seqid) {
+            throw new Thrift.TApplicationException(plain + ' failed: out of sequence reply, expected sequence id ' +
+                call.seqid + ' but got ' + header.rseqid,
+                Thrift.TApplicationExceptionType.BAD_SEQUENCE_ID);
+        }
+    }
     
 
     /**
@@ -58,12 +92,29 @@ define([
      * for backward compatibility.
      * @constructor
      * @param {string} [url] - The URL to connect to.
+     * @param {object} [options]
+     * @param {number} [options.timeout] - Request timeout in milliseconds.
+     * @param {function[]} [options.interceptors] - Interceptors for every
+     * call; see use.
+     * @param {object} [options.headers] - Http headers to send with every
+     * request, by name.
+     * @param {function} [options.getHeaders] - Called for each request with
+     * {transport, client, method, seqid, options}, returning headers to
+     * send with it, or a promise of them; e.g. to send an auth token which
+     * may need refreshing first. Headers given with the headers option of
+     * a call are sent too; those of the call win, then those returned by
+     * getHeaders. If getHeaders fails the call is rejected with the
+     * HeaderProviderError reason.
      * @classdesc The Apache Thrift Transport layer performs byte level I/O 
      * between RPC clients and servers. The JavaScript TXHRTransport object 
      * uses Http[s]/XHR. Target servers must implement the http[s] transport
      * (see: node.js example server_http.js).
      * @example
-     *     var transport = new Thrift.TXHRTransport("http://localhost:8585");
+     *     var transport = new Thrift.TXHRTransport("http://localhost:8585", {
+     *         getHeaders: function () {
+     *             return {Authorization: session.getAuthToken()};
+     *         }
+     *     });
      */
     Thrift.TXHRTransport = function (url, options) {
         this.url = url;
@@ -74,21 +125,119 @@ define([
         this.send_buf = [];
         this.byte_buf = [];
         this.recv_buf = new Uint8Array(0);     
+        // Calls which have been sent but not yet settled, by call id.
+        this.inFlight = {};
+        this.lastCallId = 0;
+        this.interceptors = (options && options.interceptors) ? options.interceptors.slice() : [];
+        this.headers = (options && options.headers) || null;
+        this.getHeaders = (options && options.getHeaders) || null;
+    };
+
+    /**
+     * Maps an http response status to the transport exception describing
+     * it, or null for a successful response. Shared by the http transports.
+     * @param {number} status - The http status code.
+     * @param {object} data - The request or response object, for diagnosis.
+     * @returns {TXHRTransportException|null}
+     */
+    Thrift.TXHRTransport.exceptionForStatus = function (status, data) {
+        if (status === 502) {
+            return new TXHRTransportException({
+                reason: 'ProxyError',
+                message: 'The thrift service is not running behind the proxy',
+                data: data
+            });
+        } else if (status === 500) {
+            return new TXHRTransportException({
+                reason: 'ServiceError',
+                message: 'The thrift service or proxy has crashed',
+                data: data
+            });
+        } else if (status === 400) {
+            return new TXHRTransportException({
+                reason: 'RequestError',
+                message: 'There was an error in the request',
+                data: data
+            });
+        } else if (status === 401 || status === 403) {
+            return new TXHRTransportException({
+                reason: 'AuthorizationError',
+                message: status === 401 ? 'The request was not authenticated' : 'The request was not authorized',
+                suggestions: 'The auth token may be missing or expired; signing in again may help',
+                data: data
+            });
+        } else if (status === 404) {
+            return new TXHRTransportException({
+                reason: 'NotFound',
+                message: 'The thrift service could not be contacted, incorrect request',
+                data: data
+            });
+        } else if (status >= 400 && status < 500) {
+            return new TXHRTransportException({
+                reason: 'GeneralClientError',
+                message: 'An error was reported, blamed on the client request',
+                data: data
+            });
+        } else if (status >= 500) {
+            return new TXHRTransportException({
+                reason: 'GeneralServerError',
+                message: 'An error was reported, blamed on the server',
+                data: data
+            });
+        } else if (status !== 200) {
+            return new TXHRTransportException({
+                reason: 'UnexpectedResponse',
+                message: 'The server responded with an unexpected code',
+                data: data
+            });
+        }
+        return null;
+    };
+
+    /**
+     * Picks the per-call options out of the arguments of a generated client
+     * method. The generated methods take a trailing callback argument, which
+     * only needs to be defined to select the promise api; if it is an
+     * object rather than simply true it carries options for this call.
+     * @param {Arguments} args - The arguments passed to the client method.
+     * @returns {object} The call options, possibly empty.
+     */
+    Thrift.TXHRTransport.getCallOptions = function (args) {
+        var last = args && args.length ? args[args.length - 1] : undefined;
+        if (last !== null && typeof last === 'object') {
+            return last;
+        }
+        return {};
+    };
+
+    /**
+     * Creates the exception a call is rejected with when it is cancelled,
+     * whether through the cancel method of its promise or its signal.
+     * @param {object} data - The request or signal, for diagnosis.
+     * @returns {TXHRTransportException}
+     */
+    Thrift.TXHRTransport.abortException = function (data) {
+        return new TXHRTransportException({
+            reason: 'RequestAbort',
+            message: 'General request abort',
+            data: data
+        });
     };
 
     Thrift.TXHRTransport.prototype = {
         /**
-         * Sends the current XRH request if the transport was created with a URL 
-         * and the async parameter is false. If the transport was not created with
-         * a URL, or the async parameter is True and no callback is provided, or 
-         * the URL is an empty string, the current send buffer is returned.
-         * @param {object} async - If true the current send buffer is returned.
-         * @param {object} callback - Optional async completion callback 
-         * @returns {undefined|string} Nothing or the current send buffer.
-         * @throws {string} If XHR fails.
+         * Completes the message being written. The send buffer is handed back
+         * to the caller (the generated send_ method returns it as the postData
+         * for jqRequest) and the transport starts a fresh one, so that the next
+         * call cannot append to a message which is still in flight.
+         * @param {object} async - Ignored.
+         * @param {object} callback - Ignored.
+         * @returns {Array} The bytes of the completed message.
          */
         flush: function (async, callback) {
-            // does nothing.
+            var buf = this.send_buf;
+            this.send_buf = [];
+            return buf;
         },
         /**
          * 
@@ -100,79 +249,190 @@ define([
          * @property {object} data - an arbitrary data object which may be useful to the client for diagnosing the errror
          * 
          */
+        /**
+         * Adds an interceptor, run around every call made over this
+         * transport. Interceptors run in the order they were added, each
+         * called as interceptor(context, next). The context describes the
+         * call:
+         *
+         * - transport: this transport
+         * - client: the generated service client
+         * - method: the name of the method called
+         * - seqid: the sequence id of the message
+         * - args: the arguments of the client method, without the callback
+         *   or options; changing them does not change what is sent
+         * - options: the call options, e.g. {signal: signal}
+         * - postData: the serialized message, which is what is sent
+         * - oneway: set for a call of a oneway method, which has no result
+         * - cancelled: set once the call has been cancelled through the
+         *   cancel method of its promise
+         * - onCancel(listener): has listener called when the call is
+         *   cancelled through the cancel method of its promise, so that an
+         *   interceptor holding the call may let go of it at once
+         *
+         * Calling next() runs the rest of the chain, the last step sending
+         * the message as it is in the context at that time, and returns a
+         * promise of the result. An interceptor returns the result, or a
+         * promise of it: usually that of next(), possibly changed, but it may
+         * return its own result without calling next, or call next again to
+         * retry the call.
+         * @param {function} interceptor
+         * @returns {object} This transport, for chaining.
+         * @example
+         *     transport.use(function (context, next) {
+         *         var started = Date.now();
+         *         return next().finally(function () {
+         *             console.log(context.method + ' took ' + (Date.now() - started) + 'ms');
+         *         });
+         *     });
+         */
+        use: function (interceptor) {
+            this.interceptors.push(interceptor);
+            return this;
+        },
+        /**
+         * Makes a call for a generated client method, through the
+         * interceptors of the transport, if any.
+         * @param {object} client - The Thrift Service client object generated by the IDL compiler.
+         * @param {object} postData - The message to send to the server.
+         * @param {function} args - The original call arguments with the success call back at the end.
+         * If the last argument is an object it carries the options for the call.
+         * @param {function} recv_method - The Thrift Service Client receive method for the call.
+         * @param {boolean} [oneway] - Set for a oneway method, which has no
+         * reply: the call resolves with null once the message has been
+         * delivered, as far as the transport can tell, without reading a
+         * reply.
+         * @returns {object} A Promises A+ compatible promise, with a cancel
+         * method which aborts the request and rejects the promise with the
+         * RequestAbort reason.
+         */
+        jqRequest: function (client, postData, args, recv_method, oneway) {
+            var thriftTransport = this,
+                interceptors = this.interceptors,
+                cancelled = false,
+                cancelListeners = [],
+                current = null,
+                context, header, promise, abort;
+            if (!interceptors || interceptors.length === 0) {
+                return this.__request(client, postData, args, recv_method, oneway);
+            }
+            try {
+                header = this.__callClient(client, new Uint8Array(postData)).input.readMessageBegin();
+            } catch (ex) {
+                return Promise.reject(ex);
+            }
+            // Interceptors may put off sending; the next call of the client
+            // must not take the same sequence id meanwhile.
+            advanceSeqid(client, header.rseqid);
+            args = Array.prototype.slice.call(args);
+            context = {
+                transport: this,
+                client: client,
+                method: header.fname,
+                seqid: header.rseqid,
+                args: args.slice(0, -1),
+                options: Thrift.TXHRTransport.getCallOptions(args),
+                postData: postData,
+                oneway: Boolean(oneway),
+                cancelled: false,
+                onCancel: function (listener) {
+                    cancelListeners.push(listener);
+                }
+            };
+
+            function dispatch(index) {
+                if (index === interceptors.length) {
+                    if (cancelled) {
+                        return Promise.reject(Thrift.TXHRTransport.abortException(context));
+                    }
+                    current = thriftTransport.__request(context.client, context.postData,
+                        context.args.concat([context.options]), recv_method, oneway);
+                    return current;
+                }
+                return new Promise(function (resolve) {
+                    resolve(interceptors[index](context, function () {
+                        return dispatch(index + 1);
+                    }));
+                });
+            }
+
+            promise = new Promise(function (resolve, reject) {
+                abort = function () {
+                    reject(Thrift.TXHRTransport.abortException(context));
+                };
+                dispatch(0).then(resolve, reject);
+            });
+            // Settles at once, even while an interceptor holds the call.
+            promise.cancel = function () {
+                var listeners = cancelListeners;
+                cancelled = true;
+                context.cancelled = true;
+                cancelListeners = [];
+                listeners.forEach(function (listener) {
+                    listener();
+                });
+                if (current && current.cancel) {
+                    current.cancel();
+                }
+                abort();
+                return promise;
+            };
+            return promise;
+        },
         /**
          * Creates a Prmoise-wrapped XHR object to be used for a Thrift server call.
          * @param {object} client - The Thrift Service client object generated by the IDL compiler.
          * @param {object} postData - The message to send to the server.
          * @param {function} args - The original call arguments with the success call back at the end.
+         * If the last argument is an object its signal (an AbortSignal, or
+         * anything with aborted and addEventListener) cancels the call, and
+         * its onProgress function is told of the progress of the upload and
+         * download, see __progressReporter.
          * @param {function} recv_method - The Thrift Service Client receive method for the call.
-         * @returns {object} A Promises A+ compatible promise.
+         * @param {boolean} [oneway] - Set for a oneway method, whose call
+         * resolves with null once the server has answered the request.
+         * @returns {object} A Promises A+ compatible promise, with a cancel
+         * method which aborts the request and rejects the promise with the
+         * RequestAbort reason.
          * @throws {ThriftException} A thrift exception object describing the error.
          */
 
-        jqRequest: function (client, postData, args, recv_method) {
+        __request: function (client, postData, args, recv_method, oneway) {
             var thriftTransport = this,
-                timeout = client.timeout || thriftTransport.timeout;
+                timeout = client.timeout || thriftTransport.timeout,
+                signal = Thrift.TXHRTransport.getCallOptions(args).signal,
+                call = thriftTransport.__beginCall(postData, oneway),
+                aborted = false,
+                onAbort;
 
-            // TODO: add notification for progress
-            return new Promise(function (resolve, reject, notify) {
-                var xhr = new XMLHttpRequest();
+            return thriftTransport.__cancellable(call, new Promise(function (resolve, reject) {
+                var xhr = new XMLHttpRequest(),
+                    headers,
+                    abortRequest;
+                call.xhr = xhr;
+                call.abort = function () {
+                    // Fires onabort unless the request has already completed.
+                    xhr.abort();
+                };
+                if (signal && signal.aborted) {
+                    reject(Thrift.TXHRTransport.abortException(signal));
+                    return;
+                }
+                try {
+                    thriftTransport.__identifyCall(call, client);
+                } catch (ex) {
+                    reject(ex);
+                    return;
+                }
                 xhr.onload = function (e) {
-                    if (xhr.status === 502) {
-                        reject(new TXHRTransportException({
-                            reason: 'ProxyError',
-                            message: 'The thrift service is not running behind the proxy',
-                            data: xhr
-                        }));
-                        return;
-                    } else if (xhr.status === 500) {
-                        reject(new TXHRTransportException({
-                            reason: 'ServiceError',
-                            message: 'The thrift service or proxy has crashed',
-                            data: xhr
-                        }));
-                        return;
-                    } else if (xhr.status === 400) {
-                        reject(new TXHRTransportException({
-                            reason: 'RequestError',
-                            message: 'There was an error in the request',
-                            data: xhr
-                        }));
-                        return;
-                    } else if (xhr.status === 404) {
-                        reject(new TXHRTransportException({
-                            reason: 'NotFound',
-                            message: 'The thrift service could not be contacted, incorrect request',
-                            data: xhr
-                        }));
-                        return;
-                    } else if (xhr.status >= 400 && xhr.status < 500) {
-                        reject(new TXHRTransportException({
-                            reason: 'GeneralClientError',
-                            message: 'An error was reported, blamed on the client request',
-                            data: xhr
-                        }));
-                        return;
-                    } else if (xhr.status >= 500) {
-                        reject(new TXHRTransportException({
-                            reason: 'GeneralServerError',
-                            message: 'An error was reported, blamed on the server',
-                            data: xhr
-                        }));
-                        return;
-                    } else if (xhr.status !== 200) {
-                        reject(new TXHRTransportException({
-                            reason: 'UnexpectedResponse',
-                            message: 'The server responded with an unexpected code',
-                            data: xhr
-                        }));
+                    var statusError = Thrift.TXHRTransport.exceptionForStatus(xhr.status, xhr);
+                    if (statusError) {
+                        reject(statusError);
                         return;
                     }
                     var buf = new Uint8Array(xhr.response);
-                    // thriftTransport.setRecvBuffer(this.responseText);
-                    thriftTransport.setRecvBuffer(buf);
                     try {
-                        resolve(recv_method.call(client));
+                        resolve(thriftTransport.__receive(client, buf, call, recv_method));
                     } catch (ex) {
                         reject(ex);
                     }
@@ -195,42 +455,307 @@ define([
                     }));
                 };
                 xhr.onabort = function (e) {
-                    reject(new TXHRTransportException({
-                        type: 'ThriftError',
-                        reason: 'RequestAbort',
-                        message: 'General request abort',
-                        data: xhr
-                    }));
+                    reject(Thrift.TXHRTransport.abortException(xhr));
                 };
-               
+                if (signal) {
+                    onAbort = function () {
+                        call.abort();
+                    };
+                    signal.addEventListener('abort', onAbort);
+                }
 
-                xhr.timeout = timeout;
-                try {
-                    xhr.open('POST', thriftTransport.url, true);
-                } catch (ex) {
-                    reject(new TXHRTransportException({
-                        reason: 'ConnectionOpenError',
-                        message: 'Error opening connecting to to thrift http service',
-                        suggestions: 'This is probably a malformed url',
-                        data: xhr
-                    }));
+                function send(headers) {
+                    var progress = thriftTransport.__progressReporter(call, args);
+                    if (aborted) {
+                        return;
+                    }
+                    if (progress) {
+                        xhr.upload.onprogress = function (e) {
+                            progress('upload', e.loaded, e.lengthComputable ? e.total : null);
+                        };
+                        xhr.onprogress = function (e) {
+                            progress('download', e.loaded, e.lengthComputable ? e.total : null);
+                        };
+                    }
+                    xhr.timeout = timeout;
+                    try {
+                        xhr.open('POST', thriftTransport.url, true);
+                    } catch (ex) {
+                        reject(new TXHRTransportException({
+                            reason: 'ConnectionOpenError',
+                            message: 'Error opening connecting to to thrift http service',
+                            suggestions: 'This is probably a malformed url',
+                            data: xhr
+                        }));
+                        return;
+                    }
+
+                    try {
+                        xhr.setRequestHeader('Accept', 'application/x-thrift');
+                        xhr.setRequestHeader('Content-type', 'application/x-thrift');
+                        Object.keys(headers).forEach(function (name) {
+                            xhr.setRequestHeader(name, headers[name]);
+                        });
+                        xhr.responseType = 'arraybuffer';
+                        xhr.send(new Uint8Array(call.send_buf));
+                    } catch (ex) {
+                        reject(new TXHRTransportException({
+                            type: 'ThriftError',
+                            reason: 'ConnectionSendError',
+                            message: 'Error sending data to thrift http service',
+                            suggestions: '',
+                            data: xhr
+                        }));
+                    }
                 }
 
+                headers = thriftTransport.__requestHeaders(call, client, args);
+                if (typeof headers.then === 'function') {
+                    // Until the request is open there is nothing to abort.
+                    abortRequest = call.abort;
+                    call.abort = function () {
+                        aborted = true;
+                        reject(Thrift.TXHRTransport.abortException(signal || xhr));
+                    };
+                    headers.then(function (resolved) {
+                        call.abort = abortRequest;
+                        send(resolved);
+                    }, reject);
+                } else {
+                    send(headers);
+                }
+            }).finally(function () {
+                if (onAbort) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                thriftTransport.__endCall(call);
+            }));
+        },
+        /**
+         * Registers a new in-flight call, which owns a snapshot of the message
+         * to send. The postData is the buffer returned by flush; if it is
+         * missing the current send buffer is taken instead.
+         * @param {Array} [postData] - The serialized message.
+         * @param {boolean} [oneway] - Whether the message is of a oneway
+         * method, which has no reply.
+         * @returns {object} The call context.
+         */
+        __beginCall: function (postData, oneway) {
+            var call;
+            this.lastCallId += 1;
+            call = {
+                id: this.lastCallId,
+                send_buf: postData || this.flush(),
+                oneway: Boolean(oneway),
+                xhr: null,
+                abort: null
+            };
+            this.inFlight[call.id] = call;
+            return call;
+        },
+        __endCall: function (call) {
+            delete this.inFlight[call.id];
+        },
+        /**
+         * Reads back the header of the message a call sends, recording the
+         * method name and sequence id on the call so that the reply can be
+         * checked against them. Generated clients send the same sequence id
+         * every time, so the client's is then moved on, giving each of its
+         * calls a sequence id of its own.
+         * @param {object} call - The call context.
+         * @param {object} client - The generated service client.
+         * @throws {Error} If the message cannot be read by the client protocol.
+         */
+        __identifyCall: function (call, client) {
+            var header = this.__callClient(client, new Uint8Array(call.send_buf)).input.readMessageBegin();
+            call.fname = header.fname;
+            call.seqid = header.rseqid;
+            advanceSeqid(client, header.rseqid);
+        },
+        /**
+         * Gathers the http headers for a call: those of the headers option
+         * of the transport, then those returned by its getHeaders option,
+         * then those of the headers option of the call, later ones taking
+         * the place of earlier ones of the same name.
+         * @param {object} call - The call context, identified.
+         * @param {object} client - The generated service client.
+         * @param {Arguments} args - The arguments of the client method.
+         * @returns {object|Promise} The headers, or a promise of them if
+         * getHeaders returned a promise or failed.
+         */
+        __requestHeaders: function (call, client, args) {
+            var thriftTransport = this,
+                options = Thrift.TXHRTransport.getCallOptions(args),
+                provided;
+
+            function merge(fromProvider) {
+                var headers = {};
+                [thriftTransport.headers, fromProvider, options.headers].forEach(function (source) {
+                    if (source) {
+                        Object.keys(source).forEach(function (name) {
+                            headers[name] = source[name];
+                        });
+                    }
+                });
+                return headers;
+            }
+
+            function providerException(err) {
+                return new TXHRTransportException({
+                    reason: 'HeaderProviderError',
+                    message: 'The headers for the request could not be obtained',
+                    suggestions: 'See the data for the error raised by getHeaders',
+                    data: err
+                });
+            }
+
+            if (!this.getHeaders) {
+                return merge(null);
+            }
+            try {
+                provided = this.getHeaders({
+                    transport: this,
+                    client: client,
+                    method: call.fname,
+                    seqid: call.seqid,
+                    options: options
+                });
+            } catch (ex) {
+                return Promise.reject(providerException(ex));
+            }
+            if (provided && typeof provided.then === 'function') {
+                return Promise.resolve(provided).then(merge, function (err) {
+                    throw providerException(err);
+                });
+            }
+            return merge(provided);
+        },
+        /**
+         * Makes the function reporting the progress of a call to the
+         * onProgress function given in its options, if any. onProgress is
+         * called with {direction, loaded, total, method, seqid}: direction
+         * is 'upload' while the message is sent and 'download' while the
+         * reply is received, loaded the bytes so far and total the bytes in
+         * all, or null if unknown. An exception thrown by onProgress does
+         * not affect the call.
+         * @param {object} call - The call context, identified.
+         * @param {Arguments} args - The arguments of the client method.
+         * @returns {function|null} A function of (direction, loaded, total),
+         * or null if the call has no onProgress option.
+         */
+        __progressReporter: function (call, args) {
+            var onProgress = Thrift.TXHRTransport.getCallOptions(args).onProgress;
+            if (typeof onProgress !== 'function') {
+                return null;
+            }
+            return function (direction, loaded, total) {
                 try {
-                    xhr.setRequestHeader('Accept', 'application/x-thrift');
-                    xhr.setRequestHeader('Content-type', 'application/x-thrift');
-                    xhr.responseType = 'arraybuffer';
-                    xhr.send(new Uint8Array(thriftTransport.send_buf));
+                    onProgress({
+                        direction: direction,
+                        loaded: loaded,
+                        total: total,
+                        method: call.fname,
+                        seqid: call.seqid
+                    });
                 } catch (ex) {
-                    reject(new TXHRTransportException({
-                        type: 'ThriftError',
-                        reason: 'ConnectionSendError',
-                        message: 'Error sending data to thrift http service',
-                        suggestions: '',
-                        data: xhr
-                    }));
+                    setTimeout(function () {
+                        throw ex;
+                    }, 0);
                 }
-            });
+            };
+        },
+        /**
+         * Gives the promise for a call a cancel method, which runs the abort
+         * function the transport has set on the call. Cancelling a call which
+         * has already settled does nothing.
+         * @param {object} call - The call context.
+         * @param {Promise} promise - The promise for the call result.
+         * @returns {Promise} The same promise.
+         */
+        __cancellable: function (call, promise) {
+            promise.cancel = function () {
+                if (call.abort && this.inFlight[call.id] === call) {
+                    call.abort();
+                }
+                return promise;
+            }.bind(this);
+            return promise;
+        },
+        /**
+         * Creates a view of the client for reading one response. The view has
+         * its own input protocol, reading from its own copy of the transport
+         * read state, so that responses to overlapping calls never share a
+         * receive buffer. The reader is made by the transport the client's
+         * input protocol was built on, which may be a layer (such as the
+         * framed transport) wrapping this one.
+         * @param {object} client - The generated service client.
+         * @param {Uint8Array} buf - The response body.
+         * @param {object} [call] - The call context; if given, the header of
+         * the reply is checked against the call, raising a
+         * TApplicationException with the WRONG_METHOD_NAME or BAD_SEQUENCE_ID
+         * type if it does not match.
+         * @returns {object} An object to invoke the recv_ method on.
+         */
+        __callClient: function (client, buf, call) {
+            var layer = client.input.getTransport(),
+                reader = (layer && layer.__reader ? layer : this).__reader(buf),
+                input = Object.create(client.input),
+                callClient = Object.create(client);
+            input.transport = reader;
+            if (call && call.fname !== undefined) {
+                input.readMessageBegin = function () {
+                    var header = client.input.readMessageBegin.call(this);
+                    checkReply(call, header);
+                    return header;
+                };
+            }
+            callClient.input = input;
+            return callClient;
+        },
+        /**
+         * Reads the reply to a call with the receive method of the client.
+         * Clients generated by the Thrift 0.9.2 compiler throw a bare string
+         * when a reply carries neither a result nor a declared exception; it
+         * is raised as a TApplicationException of the MISSING_RESULT type
+         * instead. Declared exceptions, thrown as instances of their
+         * generated classes, are left alone. A oneway call has no reply to
+         * read; its result is null, whatever the response body.
+         * @param {object} client - The generated service client.
+         * @param {Uint8Array} buf - The response body.
+         * @param {object} call - The call context.
+         * @param {function} recv_method - The receive method for the call.
+         * @returns {*} The result of the call.
+         */
+        __receive: function (client, buf, call, recv_method) {
+            if (call.oneway) {
+                return null;
+            }
+            try {
+                return recv_method.call(this.__callClient(client, buf, call));
+            } catch (ex) {
+                if (typeof ex === 'string') {
+                    throw new Thrift.TApplicationException(ex, /unknown result$/.test(ex) ?
+                            Thrift.TApplicationExceptionType.MISSING_RESULT : Thrift.TApplicationExceptionType.UNKNOWN);
+                }
+                throw ex;
+            }
+        },
+        /**
+         * Creates a view of the transport reading from the given buffer.
+         * @param {Uint8Array} buf - The bytes to read.
+         * @returns {object} The reader.
+         */
+        __reader: function (buf) {
+            var reader = Object.create(this);
+            reader.setRecvBuffer(buf);
+            return reader;
+        },
+        /**
+         * Returns the number of calls sent but not yet settled.
+         * @returns {number}
+         */
+        getInFlightCount: function () {
+            return Object.keys(this.inFlight).length;
         },
         /**
          * Sets the buffer to provide the protocol when deserializing.
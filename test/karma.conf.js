@@ -44,6 +44,7 @@ module.exports = function(config) {
       {pattern: 'src/js/lib/**/*.js', included: false},
       {pattern: 'src/js/test/basic/*.js', included: false},
       {pattern: 'test/spec/*Spec.js', included: false},
+      {pattern: 'test/lib/*.js', included: false},
       {pattern: 'bower_components/**/*.js', 'included': false},
       
       'test/main-test.js'
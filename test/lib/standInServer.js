@@ -0,0 +1,403 @@
+/*global
+ define, window
+ */
+/*jslint
+ browser: true,
+ white: true,
+ bitwise: true
+ */
+/*
+ * A local stand-in for a Thrift http service, for the transport specs.
+ *
+ * Installing the server replaces the global XMLHttpRequest, fetch and
+ * WebSocket with fakes which, after a (possibly random) delay, decode the
+ * posted Thrift message, run the handler for the method and answer with the
+ * serialized reply.
+ * The handlers implement the basic test service just like the python
+ * service in src/python/scripts/run_basic.py.
+ */
+define([
+    'kb/thrift/core',
+    'kb_basic_service',
+    'kb/thrift/transport/echo',
+    'kb/thrift/protocol/binary'
+], function (Thrift, basic) {
+    'use strict';
+
+    var basicProcessor = {
+        get_a_map: {
+            args: basic.thrift_service_get_a_map_args,
+            result: basic.thrift_service_get_a_map_result,
+            handler: function (args) {
+                var result = {};
+                args.mapkeys.forEach(function (key, i) {
+                    result[key] = 1.0 * (i + 1);
+                });
+                return result;
+            }
+        },
+        add_integers: {
+            args: basic.thrift_service_add_integers_args,
+            result: basic.thrift_service_add_integers_result,
+            handler: function (args) {
+                return args.x + args.y;
+            }
+        }
+    };
+
+    function StandInServer(options) {
+        options = options || {};
+        this.processor = options.processor || basicProcessor;
+        // Processors by service name, for multiplexed calls.
+        this.services = options.services || null;
+        this.delay = options.delay || 0;
+        this.status = options.status || 200;
+        // When set, new sockets fail to connect.
+        this.refuse = false;
+        // When set, requests and replies are framed with a 4 byte length.
+        this.framed = options.framed || false;
+        // When set, a request holds many framed messages, as sent by the
+        // batching transport, and the reply holds their framed replies.
+        this.batched = options.batched || false;
+        // Lets a test tamper with the method name and sequence id of replies.
+        this.alterReply = options.alterReply || function (reply) {
+            return reply;
+        };
+        this.makeProtocol = options.protocol || function (transport) {
+            return new Thrift.TBinaryProtocol(transport);
+        };
+        this.requests = [];
+        this.sockets = [];
+        this.originalXHR = null;
+    }
+
+    StandInServer.basicProcessor = basicProcessor;
+
+    StandInServer.prototype = {
+        install: function () {
+            var server = this;
+            this.originalXHR = window.XMLHttpRequest;
+            this.originalFetch = window.fetch;
+            this.originalWebSocket = window.WebSocket;
+            window.XMLHttpRequest = function () {
+                return server.createXHR();
+            };
+            window.fetch = function (url, init) {
+                return server.fetch(url, init);
+            };
+            window.WebSocket = function (url) {
+                return server.createWebSocket(url);
+            };
+            return this;
+        },
+        uninstall: function () {
+            window.XMLHttpRequest = this.originalXHR;
+            window.fetch = this.originalFetch;
+            window.WebSocket = this.originalWebSocket;
+        },
+        getDelay: function () {
+            if (typeof this.delay === 'function') {
+                return this.delay();
+            }
+            return this.delay;
+        },
+        // The status may be a function, to vary it from request to request.
+        getStatus: function () {
+            if (typeof this.status === 'function') {
+                return this.status();
+            }
+            return this.status;
+        },
+        /*
+         * Decodes one request message from the input protocol, and writes
+         * the reply to the output protocol; a oneway message has none.
+         */
+        processMessage: function (input, output) {
+            var header = input.readMessageBegin(),
+                name = header.fname,
+                processor = this.processor,
+                sep = name.indexOf(':'),
+                method, args, result, reply, x;
+            // Like a TMultiplexedProcessor, route service:method calls.
+            if (this.services && sep !== -1) {
+                processor = this.services[name.slice(0, sep)] || {};
+                name = name.slice(sep + 1);
+            }
+            method = processor[name];
+            if (!method) {
+                input.skip(Thrift.Type.STRUCT);
+                input.readMessageEnd();
+                x = new Thrift.TApplicationException('Unknown method ' + header.fname,
+                    Thrift.TApplicationExceptionType.UNKNOWN_METHOD);
+                output.writeMessageBegin(name, Thrift.MessageType.EXCEPTION, header.rseqid);
+                x.write(output);
+                output.writeMessageEnd();
+                return header;
+            }
+            args = new method.args();
+            args.read(input);
+            input.readMessageEnd();
+            if (header.mtype === Thrift.MessageType.ONEWAY) {
+                method.handler(args, header);
+                return header;
+            }
+            result = new method.result();
+            // A handler may also set the exception fields of the result.
+            result.success = method.handler(args, header, result);
+            reply = this.alterReply({fname: name, rseqid: header.rseqid});
+            output.writeMessageBegin(reply.fname, Thrift.MessageType.REPLY, reply.rseqid);
+            result.write(output);
+            output.writeMessageEnd();
+            return header;
+        },
+        /*
+         * Handles a complete request body, returning the response body.
+         */
+        respond: function (body) {
+            var reply, size;
+            if (this.batched) {
+                return this.respondBatch(new Uint8Array(body));
+            }
+            body = Array.prototype.slice.call(body);
+            if (this.framed) {
+                body = body.slice(4);
+            }
+            reply = this.respondMessage(body);
+            // A oneway message is not answered, not even with an empty frame.
+            if (this.framed && reply.length > 0) {
+                size = reply.length;
+                reply = [(size >>> 24) & 0xff, (size >>> 16) & 0xff, (size >>> 8) & 0xff, size & 0xff]
+                    .concat(reply);
+            }
+            return new Uint8Array(reply).buffer;
+        },
+        /*
+         * Handles the bytes of one request message, returning those of the
+         * reply.
+         */
+        respondMessage: function (message) {
+            var request = new Thrift.EchoTransport(),
+                response = new Thrift.EchoTransport(),
+                input = this.makeProtocol(request),
+                output = this.makeProtocol(response);
+            request.write(Array.prototype.slice.call(message));
+            if (this.processMessage(input, output).mtype === Thrift.MessageType.ONEWAY) {
+                return [];
+            }
+            // Layered transports only pass the reply on when flushed.
+            output.getTransport().flush();
+            return response.readAll();
+        },
+        /*
+         * Handles a batched request body, answering the messages in reverse
+         * order so that the specs show the replies are matched to the calls
+         * by sequence id.
+         */
+        respondBatch: function (body) {
+            var server = this,
+                replies = [],
+                pos = 0,
+                size, total, result, offset;
+            while (pos < body.length) {
+                size = ((body[pos] << 24) | (body[pos + 1] << 16) | (body[pos + 2] << 8) | body[pos + 3]) >>> 0;
+                replies.unshift(new Uint8Array(server.respondMessage(body.subarray(pos + 4, pos + 4 + size))));
+                pos += 4 + size;
+            }
+            total = replies.reduce(function (sum, reply) {
+                return sum + 4 + reply.length;
+            }, 0);
+            result = new Uint8Array(total);
+            offset = 0;
+            replies.forEach(function (reply) {
+                size = reply.length;
+                result.set([(size >>> 24) & 0xff, (size >>> 16) & 0xff, (size >>> 8) & 0xff, size & 0xff], offset);
+                result.set(reply, offset + 4);
+                offset += 4 + size;
+            });
+            return result.buffer;
+        },
+        fetch: function (url, init) {
+            var server = this,
+                body = new Uint8Array(init.body);
+            server.requests.push({
+                url: url,
+                headers: init.headers,
+                body: body
+            });
+            return new Promise(function (resolve, reject) {
+                var timer = window.setTimeout(function () {
+                    var status = server.getStatus(),
+                        reply = status === 200 ? server.respond(body) : new ArrayBuffer(0),
+                        response = {
+                            status: status,
+                            ok: status >= 200 && status < 300,
+                            headers: {
+                                get: function (name) {
+                                    return name.toLowerCase() === 'content-length' ? String(reply.byteLength) : null;
+                                }
+                            },
+                            arrayBuffer: function () {
+                                return Promise.resolve(reply);
+                            }
+                        };
+                    // Where streams are supported the body comes in two chunks.
+                    if (typeof window.ReadableStream === 'function') {
+                        response.body = new window.ReadableStream({
+                            start: function (controller) {
+                                var half = Math.floor(reply.byteLength / 2);
+                                controller.enqueue(new Uint8Array(reply, 0, half));
+                                controller.enqueue(new Uint8Array(reply, half));
+                                controller.close();
+                            }
+                        });
+                    }
+                    resolve(response);
+                }, server.getDelay());
+                if (init.signal) {
+                    init.signal.addEventListener('abort', function () {
+                        var err = new Error('The operation was aborted');
+                        err.name = 'AbortError';
+                        window.clearTimeout(timer);
+                        reject(err);
+                    });
+                }
+            });
+        },
+        createXHR: function () {
+            var server = this,
+                xhr = {
+                    readyState: 0,
+                    status: 0,
+                    response: null,
+                    responseType: '',
+                    timeout: 0,
+                    headers: {},
+                    upload: {},
+                    aborted: false,
+                    open: function (method, url) {
+                        xhr.method = method;
+                        xhr.url = url;
+                        xhr.readyState = 1;
+                    },
+                    setRequestHeader: function (name, value) {
+                        xhr.headers[name] = value;
+                    },
+                    abort: function () {
+                        if (xhr.aborted || xhr.readyState === 4) {
+                            return;
+                        }
+                        xhr.aborted = true;
+                        xhr.readyState = 4;
+                        if (xhr.onabort) {
+                            xhr.onabort({});
+                        }
+                    },
+                    send: function (data) {
+                        var body = new Uint8Array(data);
+                        server.requests.push({
+                            url: xhr.url,
+                            headers: xhr.headers,
+                            body: body
+                        });
+                        if (xhr.upload.onprogress) {
+                            xhr.upload.onprogress({loaded: body.length, total: body.length, lengthComputable: true});
+                        }
+                        window.setTimeout(function () {
+                            if (xhr.aborted) {
+                                return;
+                            }
+                            xhr.readyState = 4;
+                            xhr.status = server.getStatus();
+                            if (xhr.status === 200) {
+                                xhr.response = server.respond(body);
+                                if (xhr.onprogress) {
+                                    xhr.onprogress({
+                                        loaded: xhr.response.byteLength,
+                                        total: xhr.response.byteLength,
+                                        lengthComputable: true
+                                    });
+                                }
+                            }
+                            xhr.onload({});
+                        }, server.getDelay());
+                    }
+                };
+            return xhr;
+        },
+        /*
+         * A fake WebSocket which opens after the delay, and answers each
+         * binary frame with a reply frame after its own delay, so replies
+         * may come back in a different order than the requests went out.
+         */
+        createWebSocket: function (url) {
+            var server = this,
+                socket = {
+                    CONNECTING: 0,
+                    OPEN: 1,
+                    CLOSING: 2,
+                    CLOSED: 3,
+                    url: url,
+                    readyState: 0,
+                    binaryType: 'blob',
+                    send: function (data) {
+                        var body = new Uint8Array(data);
+                        if (socket.readyState !== socket.OPEN) {
+                            throw new Error('The socket is not open');
+                        }
+                        server.requests.push({
+                            url: url,
+                            body: body
+                        });
+                        window.setTimeout(function () {
+                            var reply;
+                            if (socket.readyState === socket.OPEN) {
+                                reply = server.respond(body);
+                                // Oneway messages are not answered.
+                                if (reply.byteLength > 0) {
+                                    socket.onmessage({data: reply});
+                                }
+                            }
+                        }, server.getDelay());
+                    },
+                    close: function (code) {
+                        if (socket.readyState === socket.CLOSED) {
+                            return;
+                        }
+                        socket.readyState = socket.CLOSED;
+                        window.setTimeout(function () {
+                            socket.onclose({code: code || 1000});
+                        }, 0);
+                    }
+                };
+            server.sockets.push(socket);
+            window.setTimeout(function () {
+                if (socket.readyState !== socket.CONNECTING) {
+                    return;
+                }
+                if (server.refuse) {
+                    socket.readyState = socket.CLOSED;
+                    socket.onerror({});
+                    socket.onclose({code: 1006});
+                    return;
+                }
+                socket.readyState = socket.OPEN;
+                socket.onopen({});
+            }, server.getDelay());
+            return socket;
+        },
+        /*
+         * Drops every open socket, as a server restart would; replies not
+         * yet sent are lost.
+         */
+        dropSockets: function () {
+            this.sockets.forEach(function (socket) {
+                if (socket.readyState === socket.OPEN) {
+                    socket.readyState = socket.CLOSED;
+                    socket.onclose({code: 1006});
+                }
+            });
+        }
+    };
+
+    return StandInServer;
+});
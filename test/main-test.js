@@ -26,6 +26,7 @@ requirejs.config({
         kb_basic_types: testpath + 'basic/basic_types',
         kb_basic_service: testpath + 'basic/thrift_service',
         kb_basic: testpath + 'basic/basic',
+        testlib: '../../../test/lib',
         bluebird: bowerpath + 'bluebird/js/browser/bluebird'
     },
 
@@ -37,7 +38,9 @@ requirejs.config({
     map: {
         '*': {
             'css': 'css',
-            'promise': 'bluebird'
+            'promise': 'bluebird',
+            // the generated service modules ask for 'thrift'
+            'thrift': 'kb/thrift/core'
         }
     },
 
@@ -0,0 +1,194 @@
+/*global
+ define, describe, expect, it, beforeEach, afterEach
+ */
+/*jslint
+ browser: true,
+ white: true,
+ bitwise: true
+ */
+define([
+    'bluebird',
+    'kb/thrift/transport/batch',
+    'kb/thrift/protocol/binary',
+    'kb_basic_service',
+    'testlib/standInServer'
+], function (Promise, Thrift, binary, basic, StandInServer) {
+    'use strict';
+
+    describe('Batch Transport', function () {
+        var server;
+
+        function makeTransport(options) {
+            return new Thrift.TBatchTransport('http://localhost/batch', options);
+        }
+
+        function makeClient(transport) {
+            return new basic.thrift_serviceClient(new Thrift.TBinaryProtocol(transport || makeTransport()));
+        }
+
+        beforeEach(function () {
+            server = new StandInServer({delay: 5, batched: true}).install();
+        });
+
+        afterEach(function () {
+            server.uninstall();
+        });
+
+        it('Sends the calls of one tick in one request', function (done) {
+            var client = makeClient();
+            Promise.all([
+                client.add_integers(2, 2, true),
+                client.get_a_map(['a', 'b'], true),
+                client.add_integers(-3, 1, true)
+            ])
+                .then(function (results) {
+                    expect(results).toEqual([4, {a: 1, b: 2}, -2]);
+                    expect(server.requests.length).toBe(1);
+                    expect(server.requests[0].headers['Content-type']).toBe('application/x-thrift');
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Sends calls of later ticks in another request', function (done) {
+            var client = makeClient();
+            client.add_integers(1, 1, true)
+                .then(function (value) {
+                    expect(value).toBe(2);
+                    return client.add_integers(2, 2, true);
+                })
+                .then(function (value) {
+                    expect(value).toBe(4);
+                    expect(server.requests.length).toBe(2);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Sends a batch when it reaches the size limit', function (done) {
+            var client = makeClient(makeTransport({maxBatchSize: 2})),
+                calls = [1, 2, 3, 4, 5].map(function (i) {
+                    return client.add_integers(i, i, true);
+                });
+            Promise.all(calls)
+                .then(function (results) {
+                    expect(results).toEqual([2, 4, 6, 8, 10]);
+                    expect(server.requests.length).toBe(3);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Keeps calls of clients with the same sequence ids apart', function (done) {
+            var transport = makeTransport(),
+                one = makeClient(transport),
+                other = makeClient(transport);
+            Promise.all([one.add_integers(1, 2, true), other.add_integers(3, 4, true)])
+                .then(function (results) {
+                    expect(results).toEqual([3, 7]);
+                    expect(server.requests.length).toBe(2);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Starts a new batch for a call needing other request settings', function (done) {
+            var client = makeClient();
+            Promise.all([
+                client.add_integers(1, 1, {headers: {'X-Request': 'one'}}),
+                client.add_integers(2, 2, {headers: {'X-Request': 'one'}}),
+                client.add_integers(3, 3, {headers: {'X-Request': 'two'}})
+            ])
+                .then(function (results) {
+                    expect(results).toEqual([2, 4, 6]);
+                    expect(server.requests.map(function (request) {
+                        return request.headers['X-Request'];
+                    })).toEqual(['one', 'two']);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Reports the progress of the batch to each call which asks', function (done) {
+            var client = makeClient(),
+                events = [];
+            Promise.all([
+                client.add_integers(1, 1, {
+                    onProgress: function (event) {
+                        events.push(event);
+                    }
+                }),
+                client.add_integers(2, 2, true)
+            ])
+                .then(function () {
+                    expect(server.requests.length).toBe(1);
+                    expect(events.map(function (event) {
+                        return [event.direction, event.method];
+                    })).toEqual([['upload', 'add_integers'], ['download', 'add_integers']]);
+                    expect(events[0].total).toBe(server.requests[0].body.length);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Takes a cancelled call out of its batch', function (done) {
+            var client = makeClient(),
+                kept = client.add_integers(1, 2, true),
+                cancelled = client.add_integers(3, 4, true);
+            cancelled.cancel();
+            Promise.all([kept, cancelled.reflect()])
+                .then(function (results) {
+                    var body = server.requests[0].body;
+                    expect(results[0]).toBe(3);
+                    expect(results[1].reason().reason).toBe('RequestAbort');
+                    // Only the frame of the kept call was sent.
+                    expect(body.length).toBe(4 + ((body[0] << 24) | (body[1] << 16) | (body[2] << 8) | body[3]));
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Rejects every call of a batch which failed', function (done) {
+            var client = makeClient();
+            server.status = 502;
+            Promise.all([client.add_integers(1, 2, true).reflect(), client.add_integers(3, 4, true).reflect()])
+                .then(function (results) {
+                    expect(results[0].reason().reason).toBe('ProxyError');
+                    expect(results[1].reason().reason).toBe('ProxyError');
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Rejects calls left unanswered with MissingReply', function (done) {
+            var client = makeClient();
+            server.alterReply = function (reply) {
+                return {fname: reply.fname, rseqid: reply.rseqid + 1000};
+            };
+            client.add_integers(1, 2, true)
+                .then(function () {
+                    done.fail('Expected the call to fail');
+                }, function (err) {
+                    expect(err instanceof Thrift.TXHRTransportException).toBe(true);
+                    expect(err.reason).toBe('MissingReply');
+                })
+                .finally(done);
+        });
+    });
+});
@@ -37,6 +37,15 @@ define([
             expect(result.value).toBe(arg);
         });
 
+        it('Sets and gets a strict message header', function () {
+            var transport = new Thrift.EchoTransport(),
+                protocol = new Thrift.TBinaryProtocol(transport, true, true),
+                result;
+            protocol.writeMessageBegin('hello', Thrift.MessageType.CALL, 12);
+            result = protocol.readMessageBegin();
+            expect([result.fname, result.mtype, result.rseqid]).toEqual(['hello', Thrift.MessageType.CALL, 12]);
+        });
+
         it('Sets and gets a very unicode string', function () {
             var transport = new Thrift.EchoTransport(),
                 protocol = new Thrift.TBinaryProtocol(transport),
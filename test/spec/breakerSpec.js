@@ -0,0 +1,199 @@
+/*global
+ define, describe, expect, it, beforeEach, afterEach
+ */
+/*jslint
+ browser: true,
+ white: true
+ */
+define([
+    'bluebird',
+    'kb/thrift/breaker',
+    'kb/thrift/transport/xhr',
+    'kb/thrift/protocol/binary',
+    'kb/thrift/transport/echo',
+    'kb_basic_service',
+    'testlib/standInServer'
+], function (Promise, Thrift, xhr, binary, echo, basic, StandInServer) {
+    'use strict';
+
+    describe('Circuit breaker', function () {
+        var server, breaker, events;
+
+        function makeClient(url) {
+            var transport = breaker.wrap(new Thrift.TXHRTransport(url || 'http://localhost/basic')),
+                protocol = new Thrift.TBinaryProtocol(transport);
+            return new basic.thrift_serviceClient(protocol);
+        }
+
+        // Makes calls one after the other, collecting their rejections.
+        function failures(client, count) {
+            var errors = [];
+            function call(i) {
+                if (i === count) {
+                    return errors;
+                }
+                return client.add_integers(1, 1, true)
+                    .then(function () {
+                        errors.push(null);
+                    }, function (err) {
+                        errors.push(err);
+                    })
+                    .then(function () {
+                        return call(i + 1);
+                    });
+            }
+            return call(0);
+        }
+
+        beforeEach(function () {
+            server = new StandInServer({delay: 1}).install();
+            breaker = new Thrift.CircuitBreaker({threshold: 2, resetTimeout: 20});
+            events = [];
+            breaker.on('statechange', function (event) {
+                events.push(event);
+            });
+        });
+
+        afterEach(function () {
+            breaker.reset();
+            server.uninstall();
+        });
+
+        it('Opens after the threshold and fails fast while open', function (done) {
+            server.status = 502;
+            failures(makeClient(), 4)
+                .then(function (errors) {
+                    expect(errors.map(function (err) {
+                        return err.reason;
+                    })).toEqual(['ProxyError', 'ProxyError', 'CircuitOpen', 'CircuitOpen']);
+                    expect(errors[2] instanceof Thrift.TCircuitOpenException).toBe(true);
+                    expect(errors[2] instanceof Thrift.TTransportError).toBe(true);
+                    expect(server.requests.length).toBe(2);
+                    expect(breaker.getState('http://localhost/basic')).toBe('open');
+                    expect(events.length).toBe(1);
+                    expect(events[0].state).toBe('open');
+                    expect(events[0].previous).toBe('closed');
+                    expect(events[0].error).toBe(errors[1]);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Keeps a circuit for each url', function (done) {
+            server.status = 502;
+            failures(makeClient('http://localhost/down'), 2)
+                .then(function () {
+                    server.status = 200;
+                    return makeClient('http://localhost/up').add_integers(2, 2, true);
+                })
+                .then(function (value) {
+                    expect(value).toBe(4);
+                    expect(breaker.getState('http://localhost/down')).toBe('open');
+                    expect(breaker.getState('http://localhost/up')).toBe('closed');
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Closes again when a probe succeeds after half-opening', function (done) {
+            var client = makeClient();
+            server.status = 502;
+            failures(client, 2)
+                .then(function () {
+                    server.status = 200;
+                    return Promise.delay(30);
+                })
+                .then(function () {
+                    expect(breaker.getState('http://localhost/basic')).toBe('half-open');
+                    return client.add_integers(3, 4, true);
+                })
+                .then(function (value) {
+                    expect(value).toBe(7);
+                    expect(events.map(function (event) {
+                        return event.state;
+                    })).toEqual(['open', 'half-open', 'closed']);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Opens again when the probe fails, failing other calls meanwhile', function (done) {
+            var client = makeClient();
+            server.status = 502;
+            failures(client, 2)
+                .then(function () {
+                    return Promise.delay(30);
+                })
+                .then(function () {
+                    var probe = client.add_integers(1, 1, true),
+                        other = client.add_integers(1, 1, true);
+                    return Promise.all([probe.reflect(), other.reflect()]);
+                })
+                .then(function (results) {
+                    expect(results[0].reason().reason).toBe('ProxyError');
+                    expect(results[1].reason().reason).toBe('CircuitOpen');
+                    expect(server.requests.length).toBe(3);
+                    expect(breaker.getState('http://localhost/basic')).toBe('open');
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Does not count exceptions showing the service is up', function (done) {
+            var client = makeClient();
+            server.status = 502;
+            failures(client, 1)
+                .then(function () {
+                    server.status = 404;
+                    return failures(client, 1);
+                })
+                .then(function () {
+                    server.status = 502;
+                    return failures(client, 1);
+                })
+                .then(function (errors) {
+                    expect(errors[0].reason).toBe('ProxyError');
+                    expect(breaker.getState('http://localhost/basic')).toBe('closed');
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Does not count bad requests, though their reason is RequestError', function (done) {
+            server.status = 400;
+            failures(makeClient(), 3)
+                .then(function (errors) {
+                    expect(errors.map(function (err) {
+                        return err.reason;
+                    })).toEqual(['RequestError', 'RequestError', 'RequestError']);
+                    expect(server.requests.length).toBe(3);
+                    expect(breaker.getState('http://localhost/basic')).toBe('closed');
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Refuses to wrap a transport without interceptors', function () {
+            var caught = null;
+            try {
+                breaker.wrap(new Thrift.EchoTransport());
+            } catch (ex) {
+                caught = ex;
+            }
+            expect(caught instanceof TypeError).toBe(true);
+            expect(caught.message).toContain('CircuitBreaker');
+        });
+    });
+});
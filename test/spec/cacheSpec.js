@@ -0,0 +1,372 @@
+/*global
+ define, describe, expect, it, beforeEach, afterEach
+ */
+/*jslint
+ browser: true,
+ white: true
+ */
+define([
+    'bluebird',
+    'kb/thrift/cache',
+    'kb/thrift/transport/xhr',
+    'kb/thrift/protocol/binary',
+    'kb/thrift/protocol/compact',
+    'kb/thrift/protocol/json',
+    'kb/thrift/transport/echo',
+    'kb/thrift/transport/websocket',
+    'kb/thrift/client',
+    'kb_basic_service',
+    'testlib/standInServer'
+], function (Promise, Thrift, xhr, binary, compact, json, echo, websocket, descriptorClient, basic, StandInServer) {
+    'use strict';
+
+    describe('Response cache', function () {
+        var server;
+
+        function makeClient(cache, Protocol, url) {
+            var transport = cache.wrap(new Thrift.TXHRTransport(url || 'http://localhost/basic'));
+            return new basic.thrift_serviceClient(new (Protocol || Thrift.TBinaryProtocol)(transport));
+        }
+
+        // A store keeping entries in memory, like a Web Storage area.
+        function memoryStorage() {
+            var items = {};
+            return {
+                items: items,
+                getItem: function (key) {
+                    return items.hasOwnProperty(key) ? items[key] : null;
+                },
+                setItem: function (key, value) {
+                    items[key] = String(value);
+                },
+                removeItem: function (key) {
+                    delete items[key];
+                },
+                key: function (i) {
+                    return Object.keys(items)[i];
+                },
+                get length() {
+                    return Object.keys(items).length;
+                }
+            };
+        }
+
+        beforeEach(function () {
+            server = new StandInServer({delay: 1}).install();
+        });
+
+        afterEach(function () {
+            server.uninstall();
+        });
+
+        it('Answers a repeated call of a listed method from the cache', function (done) {
+            var client = makeClient(new Thrift.ResponseCache({methods: ['get_a_map']}));
+            client.get_a_map(['a', 'b'], true)
+                .then(function () {
+                    return client.get_a_map(['a', 'b'], true);
+                })
+                .then(function (result) {
+                    expect(result).toEqual({a: 1, b: 2});
+                    expect(server.requests.length).toBe(1);
+                    return client.get_a_map(['a', 'c'], true);
+                })
+                .then(function (result) {
+                    expect(result).toEqual({a: 1, c: 2});
+                    expect(server.requests.length).toBe(2);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Keys on the arguments, not the sequence id, with any protocol', function (done) {
+            var cache = new Thrift.ResponseCache({methods: ['add_integers']}),
+                client = makeClient(cache, Thrift.TCompactProtocol);
+            server.makeProtocol = function (transport) {
+                return new Thrift.TCompactProtocol(transport);
+            };
+            client.add_integers(1, 2, true)
+                .then(function () {
+                    return client.add_integers(1, 2, true);
+                })
+                .then(function (value) {
+                    expect(value).toBe(3);
+                    expect(server.requests.length).toBe(1);
+                    expect(Object.keys(cache.entries).length).toBe(1);
+                    expect(Object.keys(cache.entries)[0].indexOf('add_integers ')).toBe(0);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Keys on the arguments with the JSON protocol', function (done) {
+            var client = makeClient(new Thrift.ResponseCache({methods: ['get_a_map']}), Thrift.TJSONProtocol);
+            server.makeProtocol = function (transport) {
+                return new Thrift.TJSONProtocol(transport);
+            };
+            client.get_a_map(['a', 'b'], true)
+                .then(function () {
+                    return client.get_a_map(['zzz'], false);
+                })
+                .then(function (result) {
+                    expect(result).toEqual({zzz: 1});
+                    expect(server.requests.length).toBe(2);
+                    return client.get_a_map(['a', 'b'], true);
+                })
+                .then(function (result) {
+                    expect(result).toEqual({a: 1, b: 2});
+                    expect(server.requests.length).toBe(2);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Keeps the results of each endpoint apart', function (done) {
+            var cache = new Thrift.ResponseCache({methods: ['add_integers']}),
+                one = makeClient(cache, null, 'http://localhost/one'),
+                other = makeClient(cache, null, 'http://localhost/other');
+            one.add_integers(1, 2, true)
+                .then(function () {
+                    return other.add_integers(1, 2, true);
+                })
+                .then(function () {
+                    expect(server.requests.length).toBe(2);
+                    expect(Object.keys(cache.entries).length).toBe(2);
+                    return cache.invalidate('add_integers');
+                })
+                .then(function () {
+                    expect(Object.keys(cache.entries).length).toBe(0);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Leaves other methods alone', function (done) {
+            var client = makeClient(new Thrift.ResponseCache({methods: ['get_a_map']}));
+            client.add_integers(1, 2, true)
+                .then(function () {
+                    return client.add_integers(1, 2, true);
+                })
+                .then(function () {
+                    expect(server.requests.length).toBe(2);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Sends the call again once the result has expired', function (done) {
+            var client = makeClient(new Thrift.ResponseCache({methods: ['add_integers'], ttl: 10}));
+            client.add_integers(1, 2, true)
+                .then(function () {
+                    return Promise.delay(20);
+                })
+                .then(function () {
+                    return client.add_integers(1, 2, true);
+                })
+                .then(function () {
+                    expect(server.requests.length).toBe(2);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Drops the least recently used result when full', function (done) {
+            var client = makeClient(new Thrift.ResponseCache({methods: ['add_integers'], maxEntries: 2}));
+            client.add_integers(1, 1, true)
+                .then(function () {
+                    return client.add_integers(2, 2, true);
+                })
+                .then(function () {
+                    // Uses 1 + 1, leaving 2 + 2 the least recently used.
+                    return client.add_integers(1, 1, true);
+                })
+                .then(function () {
+                    return client.add_integers(3, 3, true);
+                })
+                .then(function () {
+                    expect(server.requests.length).toBe(3);
+                    return client.add_integers(1, 1, true);
+                })
+                .then(function () {
+                    expect(server.requests.length).toBe(3);
+                    return client.add_integers(2, 2, true);
+                })
+                .then(function () {
+                    expect(server.requests.length).toBe(4);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Invalidates the results of a method', function (done) {
+            var cache = new Thrift.ResponseCache({methods: ['add_integers', 'get_a_map']}),
+                client = makeClient(cache);
+            Promise.all([client.add_integers(1, 2, true), client.get_a_map(['a'], true)])
+                .then(function () {
+                    return cache.invalidate('add_integers');
+                })
+                .then(function () {
+                    return Promise.all([client.add_integers(1, 2, true), client.get_a_map(['a'], true)]);
+                })
+                .then(function () {
+                    expect(server.requests.length).toBe(3);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Sends a call with the cache option false', function (done) {
+            var client = makeClient(new Thrift.ResponseCache({methods: ['add_integers']}));
+            client.add_integers(1, 2, true)
+                .then(function () {
+                    return client.add_integers(1, 2, {cache: false});
+                })
+                .then(function (value) {
+                    expect(value).toBe(3);
+                    expect(server.requests.length).toBe(2);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Keeps results in a store for later pages', function (done) {
+            var storage = memoryStorage(),
+                store = Thrift.ResponseCache.webStorage(storage);
+            makeClient(new Thrift.ResponseCache({methods: ['get_a_map'], store: store}))
+                .get_a_map(['x'], true)
+                .then(function () {
+                    expect(Object.keys(storage.items).length).toBe(1);
+                    // A new cache, as on another page, finds the result.
+                    return makeClient(new Thrift.ResponseCache({methods: ['get_a_map'], store: store}))
+                        .get_a_map(['x'], true);
+                })
+                .then(function (result) {
+                    expect(result).toEqual({x: 1});
+                    expect(server.requests.length).toBe(1);
+                    return new Thrift.ResponseCache({store: store}).invalidate();
+                })
+                .then(function () {
+                    expect(Object.keys(storage.items).length).toBe(0);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Keeps the results of each scope apart, in the store too', function (done) {
+            var store = Thrift.ResponseCache.webStorage(memoryStorage()),
+                user = 'alice',
+                options = {
+                    methods: ['get_a_map'],
+                    store: store,
+                    scope: function () {
+                        return user;
+                    }
+                };
+            makeClient(new Thrift.ResponseCache(options)).get_a_map(['x'], true)
+                .then(function () {
+                    // Another user signs in on the same browser.
+                    user = 'bob';
+                    return makeClient(new Thrift.ResponseCache(options)).get_a_map(['x'], true);
+                })
+                .then(function () {
+                    expect(server.requests.length).toBe(2);
+                    user = 'alice';
+                    return makeClient(new Thrift.ResponseCache(options)).get_a_map(['x'], true);
+                })
+                .then(function (result) {
+                    expect(result).toEqual({x: 1});
+                    expect(server.requests.length).toBe(2);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Does not keep oneway calls', function (done) {
+            var descriptor = {
+                    name: 'thrift_service',
+                    methods: {
+                        log: {args: [{id: 1, name: 'line', type: 'string'}], oneway: true}
+                    }
+                },
+                codec = new Thrift.TDescriptorCodec(descriptor),
+                cache = new Thrift.ResponseCache({methods: ['log']}),
+                client = Thrift.createClient(descriptor, Thrift.TBinaryProtocol,
+                    cache.wrap(new Thrift.TXHRTransport('http://localhost/basic')));
+            function LogArgs() {
+                return;
+            }
+            LogArgs.prototype.read = function (input) {
+                this.line = codec.readStruct(input, {kind: 'struct', fields: descriptor.methods.log.args}).line;
+            };
+            server.processor = {
+                log: {
+                    args: LogArgs,
+                    handler: function () {
+                        return;
+                    }
+                }
+            };
+            client.log('started')
+                .then(function () {
+                    return client.log('started');
+                })
+                .then(function (value) {
+                    expect(value).toBe(null);
+                    expect(server.requests.length).toBe(2);
+                    expect(Object.keys(cache.entries).length).toBe(0);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Wraps a WebSocket transport, but not one without interceptors', function (done) {
+            var cache = new Thrift.ResponseCache({methods: ['add_integers']}),
+                transport = cache.wrap(new Thrift.TWebSocketTransport('ws://localhost/basic')),
+                client = new basic.thrift_serviceClient(new Thrift.TBinaryProtocol(transport)),
+                caught = null;
+            try {
+                cache.wrap(new Thrift.EchoTransport());
+            } catch (ex) {
+                caught = ex;
+            }
+            expect(caught instanceof TypeError).toBe(true);
+            expect(caught.message).toContain('takes interceptors');
+            client.add_integers(1, 2, true)
+                .then(function () {
+                    return client.add_integers(1, 2, true);
+                })
+                .then(function (value) {
+                    expect(value).toBe(3);
+                    expect(server.requests.length).toBe(1);
+                    transport.close();
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+    });
+});
@@ -0,0 +1,211 @@
+/*global
+ define, describe, expect, it, beforeEach, afterEach
+ */
+/*jslint
+ browser: true,
+ white: true
+ */
+define([
+    'bluebird',
+    'kb/thrift/client',
+    'kb/thrift/protocol/binary',
+    'kb/thrift/protocol/compact',
+    'kb/thrift/transport/xhr',
+    'testlib/standInServer'
+], function (Promise, Thrift, binary, compact, xhr, StandInServer) {
+    'use strict';
+
+    describe('Descriptor Client', function () {
+        var descriptor = {
+                name: 'thrift_service',
+                types: {
+                    Keys: {kind: 'typedef', type: {list: 'string'}},
+                    Color: {kind: 'enum', values: {RED: 1, GREEN: 2}},
+                    Item: {
+                        kind: 'struct',
+                        fields: [
+                            {id: 1, name: 'id', type: 'string'},
+                            {id: 2, name: 'color', type: 'Color'},
+                            {id: 3, name: 'tags', type: {set: 'string'}},
+                            {id: 4, name: 'count', type: 'i32', 'default': 1}
+                        ]
+                    },
+                    NotFound: {
+                        kind: 'exception',
+                        fields: [
+                            {id: 1, name: 'message', type: 'string'},
+                            {id: 2, name: 'id', type: 'string'}
+                        ]
+                    }
+                },
+                methods: {
+                    get_a_map: {
+                        args: [{id: 1, name: 'mapkeys', type: 'Keys'}],
+                        returns: {map: ['string', 'double']}
+                    },
+                    add_integers: {
+                        args: [{id: 1, name: 'x', type: 'i64'}, {id: 2, name: 'y', type: 'i64'}],
+                        returns: 'i64'
+                    },
+                    find_item: {
+                        args: [{id: 1, name: 'item', type: 'Item'}],
+                        returns: {list: 'Item'},
+                        'throws': [{id: 1, name: 'notFound', type: 'NotFound'}]
+                    }
+                }
+            },
+            server;
+
+        /*
+         * Makes a struct class for the stand-in server from a struct type of
+         * the descriptor, as the generated code would.
+         */
+        function structClass(type) {
+            var codec = new Thrift.TDescriptorCodec(descriptor),
+                resolved = codec.resolve(type);
+            function Struct() {
+                return;
+            }
+            Struct.prototype.read = function (input) {
+                var values = codec.readStruct(input, resolved), self = this;
+                Object.keys(values).forEach(function (key) {
+                    self[key] = values[key];
+                });
+            };
+            Struct.prototype.write = function (output) {
+                codec.writeStruct(output, resolved, this);
+            };
+            return Struct;
+        }
+
+        descriptor.types.find_item_args = {kind: 'struct', fields: descriptor.methods.find_item.args};
+        descriptor.types.find_item_result = {
+            kind: 'struct',
+            fields: [{id: 0, name: 'success', type: {list: 'Item'}}, {id: 1, name: 'notFound', type: 'NotFound'}]
+        };
+
+        beforeEach(function () {
+            var processor = Object.create(StandInServer.basicProcessor);
+            processor.find_item = {
+                args: structClass('find_item_args'),
+                result: structClass('find_item_result'),
+                handler: function (args, header, result) {
+                    if (args.item.id === 'missing') {
+                        result.notFound = {message: 'No such item', id: args.item.id};
+                        return null;
+                    }
+                    if (args.item.id === 'nothing') {
+                        return null;
+                    }
+                    return [args.item, {id: 'other', color: 2, tags: [], count: 7}];
+                }
+            };
+            server = new StandInServer({
+                delay: 5,
+                processor: processor,
+                protocol: function (transport) {
+                    return new Thrift.TCompactProtocol(transport);
+                }
+            }).install();
+        });
+
+        afterEach(function () {
+            server.uninstall();
+        });
+
+        function makeClient() {
+            return Thrift.createClient(descriptor, function (transport) {
+                return new Thrift.TCompactProtocol(transport);
+            }, new Thrift.TXHRTransport('http://localhost/basic'));
+        }
+
+        it('Calls the methods described', function (done) {
+            var client = makeClient();
+            Promise.all([client.add_integers(20, 22), client.get_a_map(['a', 'b'])])
+                .then(function (results) {
+                    expect(results).toEqual([42, {a: 1, b: 2}]);
+                    expect(client.seqid).toBe(2);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Serializes structs, enums, sets and defaults', function (done) {
+            makeClient().find_item({id: 'x', color: 1, tags: ['a', 'b']})
+                .then(function (items) {
+                    expect(items).toEqual([
+                        {id: 'x', color: 1, tags: ['a', 'b'], count: 1},
+                        {id: 'other', color: 2, tags: [], count: 7}
+                    ]);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Takes a protocol constructor and call options', function (done) {
+            var signal = {
+                    aborted: true,
+                    addEventListener: function () {},
+                    removeEventListener: function () {}
+                },
+                client = Thrift.createClient(descriptor, Thrift.TBinaryProtocol,
+                    new Thrift.TXHRTransport('http://localhost/basic'));
+            expect(client.input instanceof Thrift.TBinaryProtocol).toBe(true);
+            client.find_item({id: 'x'}, {signal: signal})
+                .then(function () {
+                    done.fail('Expected the call to be cancelled');
+                }, function (err) {
+                    expect(err.reason).toBe('RequestAbort');
+                })
+                .finally(done);
+        });
+
+        it('Rejects with declared exceptions', function (done) {
+            var client = makeClient();
+            client.find_item({id: 'missing'})
+                .then(function () {
+                    done.fail('Expected the call to fail');
+                }, function (err) {
+                    expect(err instanceof client.exceptions.NotFound).toBe(true);
+                    expect(err instanceof Thrift.TException).toBe(true);
+                    expect(err.name).toBe('NotFound');
+                    expect([err.message, err.id]).toEqual(['No such item', 'missing']);
+                })
+                .finally(done);
+        });
+
+        it('Rejects a reply without a result', function (done) {
+            makeClient().find_item({id: 'nothing'})
+                .then(function () {
+                    done.fail('Expected the call to fail');
+                }, function (err) {
+                    expect(err instanceof Thrift.TApplicationException).toBe(true);
+                    expect(err.code).toBe(Thrift.TApplicationExceptionType.MISSING_RESULT);
+                })
+                .finally(done);
+        });
+
+        it('Rejects arguments of undeclared types', function (done) {
+            var client = Thrift.createClient({
+                name: 'broken',
+                methods: {
+                    call: {args: [{id: 1, name: 'thing', type: 'Thing'}]}
+                }
+            }, Thrift.TBinaryProtocol, new Thrift.TXHRTransport('http://localhost/basic'));
+            client.call({})
+                .then(function () {
+                    done.fail('Expected the call to fail');
+                }, function (err) {
+                    expect(err instanceof Thrift.TDescriptorException).toBe(true);
+                    expect(err.reason).toBe('UnknownType');
+                    expect(server.requests.length).toBe(0);
+                    expect(client.output.getTransport().send_buf.length).toBe(0);
+                })
+                .finally(done);
+        });
+    });
+});
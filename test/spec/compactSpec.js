@@ -0,0 +1,276 @@
+/*global
+ define, describe, expect, it
+ */
+/*jslint
+ browser: true,
+ white: true
+ */
+define([
+    'kb/thrift/transport/echo',
+    'kb/thrift/protocol/compact',
+    'kb_basic_service'
+], function (Thrift, compact, basic) {
+    'use strict';
+
+    function makeProtocol() {
+        var transport = new Thrift.EchoTransport();
+        return new Thrift.TCompactProtocol(transport);
+    }
+
+    describe('Compact Protocol with Echo Transport', function () {
+        it('Sets and gets a string', function () {
+            var protocol = makeProtocol(),
+                arg = 'holá';
+            protocol.writeString(arg);
+            expect(protocol.readString().value).toBe(arg);
+        });
+
+        it('Sets and gets an empty string', function () {
+            var protocol = makeProtocol();
+            protocol.writeString('');
+            protocol.writeString('after');
+            expect(protocol.readString().value).toBe('');
+            expect(protocol.readString().value).toBe('after');
+        });
+
+        it('Sets and gets a binary (array of bytes)', function () {
+            var protocol = makeProtocol(),
+                arg = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+            protocol.writeBinary(arg);
+            expect(protocol.readBinary().value).toEqual(arg);
+        });
+
+        it('Writes small integers as single byte zigzag varints', function () {
+            var transport = new Thrift.EchoTransport(),
+                protocol = new Thrift.TCompactProtocol(transport);
+            protocol.writeI32(0);
+            protocol.writeI32(-1);
+            protocol.writeI32(1);
+            protocol.writeI32(-64);
+            expect(transport.readAll()).toEqual([0, 1, 2, 127]);
+        });
+
+        it('Writes a 300 as a two byte varint', function () {
+            var transport = new Thrift.EchoTransport(),
+                protocol = new Thrift.TCompactProtocol(transport);
+            protocol.writeVarint32(300);
+            expect(transport.readAll()).toEqual([0xac, 0x02]);
+        });
+
+        it('Sets and gets I16 and I32 at their limits', function () {
+            var protocol = makeProtocol(),
+                args = [0x7fff, -0x8000, 0x7fffffff, -0x80000000, 0, -1];
+            protocol.writeI16(args[0]);
+            protocol.writeI16(args[1]);
+            protocol.writeI32(args[2]);
+            protocol.writeI32(args[3]);
+            protocol.writeI32(args[4]);
+            protocol.writeI32(args[5]);
+            expect(protocol.readI16().value).toBe(args[0]);
+            expect(protocol.readI16().value).toBe(args[1]);
+            expect(protocol.readI32().value).toBe(args[2]);
+            expect(protocol.readI32().value).toBe(args[3]);
+            expect(protocol.readI32().value).toBe(args[4]);
+            expect(protocol.readI32().value).toBe(args[5]);
+        });
+
+        it('Rejects an I32 out of range', function () {
+            var protocol = makeProtocol();
+            expect(function () {
+                protocol.writeI32(0x80000000);
+            }).toThrow(new Thrift.TCompactProtocolException({
+                message: 'Number is greater than the maximum I32 value'
+            }));
+        });
+
+        it('Sets and gets I64 values across the 32 bit boundary', function () {
+            var protocol = makeProtocol(),
+                args = [
+                    0, 1, -1,
+                    Math.pow(2, 31) - 1, Math.pow(2, 32) - 1, Math.pow(2, 32), -Math.pow(2, 32),
+                    Math.pow(2, 53) - 1, -(Math.pow(2, 53) - 1)
+                ];
+            args.forEach(function (arg) {
+                protocol.writeI64(arg);
+            });
+            args.forEach(function (arg) {
+                expect(protocol.readI64().value).toBe(arg);
+            });
+        });
+
+        it('Rejects an I64 with 54 bits', function () {
+            var protocol = makeProtocol();
+            expect(function () {
+                protocol.writeI64(Math.pow(2, 54) - 1);
+            }).toThrow(new Thrift.TCompactProtocolException({
+                message: 'Number is greater than the maximum I64 value'
+            }));
+        });
+
+        it('Sets and gets doubles', function () {
+            var protocol = makeProtocol(),
+                args = [20.832, -0.5, 1e300, 0];
+            args.forEach(function (arg) {
+                protocol.writeDouble(arg);
+            });
+            args.forEach(function (arg) {
+                expect(protocol.readDouble().value).toBe(arg);
+            });
+        });
+
+        it('Sets and gets bools outside of a field', function () {
+            var protocol = makeProtocol();
+            protocol.writeBool(true);
+            protocol.writeBool(false);
+            expect(protocol.readBool().value).toBe(true);
+            expect(protocol.readBool().value).toBe(false);
+        });
+
+        it('Packs bool fields and small field id deltas into the header byte', function () {
+            var transport = new Thrift.EchoTransport(),
+                protocol = new Thrift.TCompactProtocol(transport);
+            protocol.writeStructBegin('Test');
+            protocol.writeFieldBegin('flag', Thrift.Type.BOOL, 1);
+            protocol.writeBool(true);
+            protocol.writeFieldEnd();
+            protocol.writeFieldBegin('count', Thrift.Type.I32, 3);
+            protocol.writeI32(5);
+            protocol.writeFieldEnd();
+            protocol.writeFieldBegin('far', Thrift.Type.BOOL, 100);
+            protocol.writeBool(false);
+            protocol.writeFieldEnd();
+            protocol.writeFieldStop();
+            protocol.writeStructEnd();
+
+            expect(transport.readAll()).toEqual([0x11, 0x25, 10, 0x02, 0xc8, 0x01, 0x00]);
+
+            protocol.readStructBegin();
+            var field = protocol.readFieldBegin();
+            expect(field.ftype).toBe(Thrift.Type.BOOL);
+            expect(field.fid).toBe(1);
+            expect(protocol.readBool().value).toBe(true);
+            protocol.readFieldEnd();
+            field = protocol.readFieldBegin();
+            expect(field.ftype).toBe(Thrift.Type.I32);
+            expect(field.fid).toBe(3);
+            expect(protocol.readI32().value).toBe(5);
+            protocol.readFieldEnd();
+            field = protocol.readFieldBegin();
+            expect(field.ftype).toBe(Thrift.Type.BOOL);
+            expect(field.fid).toBe(100);
+            expect(protocol.readBool().value).toBe(false);
+            protocol.readFieldEnd();
+            expect(protocol.readFieldBegin().ftype).toBe(Thrift.Type.STOP);
+            protocol.readStructEnd();
+        });
+
+        it('Sets and gets a list longer than the short header allows', function () {
+            var protocol = makeProtocol(),
+                arg = [], result = [], i, header;
+            for (i = 0; i < 20; i += 1) {
+                arg.push('item' + i);
+            }
+            protocol.writeListBegin(Thrift.Type.STRING, arg.length);
+            arg.forEach(function (item) {
+                protocol.writeString(item);
+            });
+            protocol.writeListEnd();
+
+            header = protocol.readListBegin();
+            expect(header.etype).toBe(Thrift.Type.STRING);
+            for (i = 0; i < header.size; i += 1) {
+                result.push(protocol.readString().value);
+            }
+            protocol.readListEnd();
+            expect(result).toEqual(arg);
+        });
+
+        it('Sets and gets a map, and an empty map', function () {
+            var protocol = makeProtocol(),
+                arg = {peet: 123, coco: 456},
+                result = {}, header, i;
+            protocol.writeMapBegin(Thrift.Type.STRING, Thrift.Type.I64, 0);
+            protocol.writeMapEnd();
+            protocol.writeMapBegin(Thrift.Type.STRING, Thrift.Type.I64, 2);
+            Object.keys(arg).forEach(function (key) {
+                protocol.writeString(key);
+                protocol.writeI64(arg[key]);
+            });
+            protocol.writeMapEnd();
+
+            expect(protocol.readMapBegin().size).toBe(0);
+            protocol.readMapEnd();
+            header = protocol.readMapBegin();
+            expect(header.ktype).toBe(Thrift.Type.STRING);
+            expect(header.vtype).toBe(Thrift.Type.I64);
+            for (i = 0; i < header.size; i += 1) {
+                result[protocol.readString().value] = protocol.readI64().value;
+            }
+            protocol.readMapEnd();
+            expect(result).toEqual(arg);
+        });
+
+        it('Sets and gets a message header', function () {
+            var protocol = makeProtocol(), header;
+            protocol.writeMessageBegin('get_a_map', Thrift.MessageType.CALL, 42);
+            protocol.writeMessageEnd();
+            header = protocol.readMessageBegin();
+            expect(header).toEqual({fname: 'get_a_map', mtype: Thrift.MessageType.CALL, rseqid: 42});
+        });
+
+        it('Rejects a message with the wrong protocol id', function () {
+            var transport = new Thrift.EchoTransport(),
+                protocol = new Thrift.TCompactProtocol(transport);
+            transport.write([0x80, 0x01, 0x00, 0x01]);
+            expect(function () {
+                protocol.readMessageBegin();
+            }).toThrow();
+        });
+
+        it('Skips nested structs and collections', function () {
+            var protocol = makeProtocol(), field;
+            protocol.writeStructBegin('Outer');
+            protocol.writeFieldBegin('inner', Thrift.Type.STRUCT, 1);
+            protocol.writeStructBegin('Inner');
+            protocol.writeFieldBegin('flag', Thrift.Type.BOOL, 7);
+            protocol.writeBool(true);
+            protocol.writeFieldEnd();
+            protocol.writeFieldBegin('names', Thrift.Type.LIST, 8);
+            protocol.writeListBegin(Thrift.Type.STRING, 2);
+            protocol.writeString('a');
+            protocol.writeString('b');
+            protocol.writeListEnd();
+            protocol.writeFieldEnd();
+            protocol.writeFieldStop();
+            protocol.writeStructEnd();
+            protocol.writeFieldEnd();
+            protocol.writeFieldBegin('after', Thrift.Type.I32, 2);
+            protocol.writeI32(99);
+            protocol.writeFieldEnd();
+            protocol.writeFieldStop();
+            protocol.writeStructEnd();
+
+            protocol.readStructBegin();
+            field = protocol.readFieldBegin();
+            protocol.skip(field.ftype);
+            protocol.readFieldEnd();
+            field = protocol.readFieldBegin();
+            expect(field.fid).toBe(2);
+            expect(protocol.readI32().value).toBe(99);
+        });
+
+        it('Round trips generated argument and result structs', function () {
+            var protocol = makeProtocol(),
+                args = new basic.thrift_service_get_a_map_args({mapkeys: ['a', 'b', 'c']}),
+                result = new basic.thrift_service_get_a_map_result({success: {a: 1.5, b: 2.5, c: 3.5}}),
+                argsCopy = new basic.thrift_service_get_a_map_args(),
+                resultCopy = new basic.thrift_service_get_a_map_result();
+            args.write(protocol);
+            result.write(protocol);
+            argsCopy.read(protocol);
+            resultCopy.read(protocol);
+            expect(argsCopy.mapkeys).toEqual(args.mapkeys);
+            expect(resultCopy.success).toEqual(result.success);
+        });
+    });
+});
@@ -0,0 +1,157 @@
+/*global
+ define, describe, expect, it, beforeEach, afterEach
+ */
+/*jslint
+ browser: true,
+ white: true
+ */
+define([
+    'bluebird',
+    'kb/thrift/dedupe',
+    'kb/thrift/transport/xhr',
+    'kb/thrift/protocol/binary',
+    'kb/thrift/protocol/json',
+    'kb/thrift/transport/echo',
+    'kb_basic_service',
+    'testlib/standInServer'
+], function (Promise, Thrift, xhr, binary, json, echo, basic, StandInServer) {
+    'use strict';
+
+    describe('Deduplicator', function () {
+        var server, deduplicator;
+
+        function makeClient(Protocol, url) {
+            var transport = deduplicator.wrap(new Thrift.TXHRTransport(url || 'http://localhost/basic'));
+            return new basic.thrift_serviceClient(new (Protocol || Thrift.TBinaryProtocol)(transport));
+        }
+
+        beforeEach(function () {
+            server = new StandInServer({delay: 10}).install();
+            deduplicator = new Thrift.Deduplicator({exclude: ['get_a_map']});
+        });
+
+        afterEach(function () {
+            server.uninstall();
+        });
+
+        it('Sends identical calls in flight together once', function (done) {
+            var one = makeClient(),
+                other = makeClient();
+            Promise.all([
+                one.add_integers(1, 2, true),
+                other.add_integers(1, 2, true),
+                one.add_integers(1, 2, true),
+                one.add_integers(2, 1, true)
+            ])
+                .then(function (results) {
+                    expect(results).toEqual([3, 3, 3, 3]);
+                    expect(server.requests.length).toBe(2);
+                    expect(deduplicator.getInFlightCount()).toBe(0);
+                    return one.add_integers(1, 2, true);
+                })
+                .then(function () {
+                    expect(server.requests.length).toBe(3);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Sends calls with different arguments apart with the JSON protocol', function (done) {
+            var client = makeClient(Thrift.TJSONProtocol);
+            server.makeProtocol = function (transport) {
+                return new Thrift.TJSONProtocol(transport);
+            };
+            Promise.all([
+                client.add_integers(1, 2, true),
+                client.add_integers(5, 5, true),
+                client.add_integers(1, 2, true)
+            ])
+                .then(function (results) {
+                    expect(results).toEqual([3, 10, 3]);
+                    expect(server.requests.length).toBe(2);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Sends identical calls to different endpoints apart', function (done) {
+            var one = makeClient(null, 'http://localhost/one'),
+                other = makeClient(null, 'http://localhost/other');
+            Promise.all([one.add_integers(1, 2, true), other.add_integers(1, 2, true)])
+                .then(function () {
+                    expect(server.requests.length).toBe(2);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Fans an exception out to every caller', function (done) {
+            var client = makeClient();
+            server.status = 502;
+            Promise.all([client.add_integers(1, 2, true).reflect(), client.add_integers(1, 2, true).reflect()])
+                .then(function (results) {
+                    expect(results[0].reason().reason).toBe('ProxyError');
+                    expect(results[1].reason()).toBe(results[0].reason());
+                    expect(server.requests.length).toBe(1);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Sends every call of an excluded method or with dedupe false', function (done) {
+            var client = makeClient();
+            Promise.all([
+                client.get_a_map(['a'], true),
+                client.get_a_map(['a'], true),
+                client.add_integers(1, 2, true),
+                client.add_integers(1, 2, {dedupe: false})
+            ])
+                .then(function () {
+                    expect(server.requests.length).toBe(4);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Sends a waiting call when the one it waits for is cancelled', function (done) {
+            var client = makeClient(),
+                first = client.add_integers(1, 2, true),
+                second = client.add_integers(1, 2, true);
+            Promise.delay(2)
+                .then(function () {
+                    first.cancel();
+                    return Promise.all([first.reflect(), second]);
+                })
+                .then(function (results) {
+                    expect(results[0].reason().reason).toBe('RequestAbort');
+                    expect(results[1]).toBe(3);
+                    expect(server.requests.length).toBe(2);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Refuses to wrap a transport without interceptors', function () {
+            var caught = null;
+            try {
+                deduplicator.wrap(new Thrift.EchoTransport());
+            } catch (ex) {
+                caught = ex;
+            }
+            expect(caught instanceof TypeError).toBe(true);
+            expect(caught.message).toContain('Deduplicator');
+        });
+    });
+});
@@ -0,0 +1,185 @@
+/*global
+ define, describe, expect, it, beforeEach, afterEach, AbortController, ReadableStream
+ */
+/*jslint
+ browser: true,
+ white: true
+ */
+define([
+    'bluebird',
+    'kb/thrift/transport/fetch',
+    'kb/thrift/protocol/binary',
+    'kb_basic_service',
+    'testlib/standInServer'
+], function (Promise, Thrift, binary, basic, StandInServer) {
+    'use strict';
+
+    describe('Fetch Transport', function () {
+        var server;
+
+        function makeClient(options) {
+            var transport = new Thrift.TFetchTransport('http://localhost/basic', options),
+                protocol = new Thrift.TBinaryProtocol(transport);
+            return new basic.thrift_serviceClient(protocol);
+        }
+
+        beforeEach(function () {
+            server = new StandInServer({delay: 5}).install();
+        });
+
+        afterEach(function () {
+            server.uninstall();
+        });
+
+        it('Makes overlapping calls', function (done) {
+            var client = makeClient();
+            Promise.all([
+                client.add_integers(2, 2, true),
+                client.get_a_map(['a', 'b'], true),
+                client.add_integers(-3, 1, true)
+            ])
+                .then(function (results) {
+                    expect(results).toEqual([4, {a: 1, b: 2}, -2]);
+                    expect(server.requests[0].headers['Content-type']).toBe('application/x-thrift');
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Maps http status codes to the XHR transport reasons', function (done) {
+            server.status = 404;
+            makeClient().add_integers(1, 1, true)
+                .then(function () {
+                    done.fail('Expected the call to fail');
+                })
+                .catch(function (err) {
+                    expect(err instanceof Thrift.TXHRTransportException).toBe(true);
+                    expect(err.reason).toBe('NotFound');
+                })
+                .finally(done);
+        });
+
+        it('Maps http status 401 to an AuthorizationError reason', function (done) {
+            server.status = 401;
+            makeClient().add_integers(1, 1, true)
+                .then(function () {
+                    done.fail('Expected the call to fail');
+                })
+                .catch(function (err) {
+                    expect(err.reason).toBe('AuthorizationError');
+                })
+                .finally(done);
+        });
+
+        it('Sends the static and provided headers', function (done) {
+            makeClient({
+                headers: {'X-Static': 'yes'},
+                getHeaders: function (context) {
+                    return Promise.resolve({Authorization: 'token-' + context.method});
+                }
+            }).add_integers(1, 2, true)
+                .then(function (value) {
+                    var headers = server.requests[0].headers;
+                    expect(value).toBe(3);
+                    expect(headers.Authorization).toBe('token-add_integers');
+                    expect(headers['X-Static']).toBe('yes');
+                    expect(headers.Accept).toBe('application/x-thrift');
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Rejects the call if the headers cannot be provided', function (done) {
+            makeClient({
+                getHeaders: function () {
+                    throw new Error('No session');
+                }
+            }).add_integers(1, 2, true)
+                .then(function () {
+                    done.fail('Expected the call to fail');
+                }, function (err) {
+                    expect(err.reason).toBe('HeaderProviderError');
+                    expect(server.requests.length).toBe(0);
+                })
+                .finally(done);
+        });
+
+        it('Reports the progress of the upload and download', function (done) {
+            var events = [];
+            makeClient().get_a_map(['a', 'b', 'c'], {
+                onProgress: function (event) {
+                    events.push(event);
+                }
+            })
+                .then(function (result) {
+                    var last = events[events.length - 1];
+                    expect(result).toEqual({a: 1, b: 2, c: 3});
+                    expect(events[0].direction).toBe('upload');
+                    expect(events[0].loaded).toBe(server.requests[0].body.length);
+                    expect(last.direction).toBe('download');
+                    expect(last.loaded).toBe(last.total);
+                    expect(events.length).toBe(typeof ReadableStream === 'function' ? 3 : 2);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Aborts a call with its signal', function (done) {
+            if (typeof AbortController !== 'function') {
+                done();
+                return;
+            }
+            var controller = new AbortController(),
+                client = makeClient(),
+                kept = client.add_integers(1, 2, true),
+                aborted = client.add_integers(3, 4, {signal: controller.signal});
+            controller.abort();
+            aborted
+                .then(function () {
+                    done.fail('Expected the call to be aborted');
+                }, function (err) {
+                    expect(err.reason).toBe('RequestAbort');
+                    return kept;
+                })
+                .then(function (value) {
+                    expect(value).toBe(3);
+                })
+                .finally(done);
+        });
+
+        it('Cancels a call through its promise', function (done) {
+            var call = makeClient().add_integers(3, 4, true);
+            call.cancel();
+            call
+                .then(function () {
+                    done.fail('Expected the call to be cancelled');
+                }, function (err) {
+                    expect(err instanceof Thrift.TXHRTransportException).toBe(true);
+                    expect(err.reason).toBe('RequestAbort');
+                })
+                .finally(done);
+        });
+
+        it('Times out a slow call', function (done) {
+            if (typeof AbortController !== 'function') {
+                done();
+                return;
+            }
+            server.delay = 200;
+            makeClient({timeout: 10}).add_integers(1, 1, true)
+                .then(function () {
+                    done.fail('Expected the call to time out');
+                })
+                .catch(function (err) {
+                    expect(err.reason).toBe('RequestTimeout');
+                })
+                .finally(done);
+        });
+    });
+});
@@ -0,0 +1,226 @@
+/*global
+ define, describe, expect, it, beforeEach, afterEach
+ */
+/*jslint
+ browser: true,
+ white: true,
+ bitwise: true
+ */
+define([
+    'bluebird',
+    'kb/thrift/transport/framed',
+    'kb/thrift/transport/echo',
+    'kb/thrift/transport/websocket',
+    'kb/thrift/protocol/binary',
+    'kb/thrift/client',
+    'kb_basic_service',
+    'testlib/standInServer'
+], function (Promise, Thrift, echo, websocket, binary, descriptorClient, basic, StandInServer) {
+    'use strict';
+
+    describe('Framed Transport', function () {
+
+        function writeMessage(protocol, name, seqid) {
+            protocol.writeMessageBegin(name, Thrift.MessageType.CALL, seqid);
+            protocol.writeStructBegin('args');
+            protocol.writeFieldStop();
+            protocol.writeStructEnd();
+            protocol.writeMessageEnd();
+            protocol.getTransport().flush();
+        }
+
+        it('Prefixes each message with its length', function () {
+            var inner = new Thrift.EchoTransport(),
+                protocol = new Thrift.TBinaryProtocol(new Thrift.TFramedTransport(inner)),
+                bytes, size;
+            writeMessage(protocol, 'hello', 1);
+            bytes = inner.readAll();
+            size = (bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3];
+            expect(size).toBe(bytes.length - 4);
+            expect(size).toBeGreaterThan(0);
+        });
+
+        it('Reads back several frames from one buffer', function () {
+            var inner = new Thrift.EchoTransport(),
+                protocol = new Thrift.TBinaryProtocol(new Thrift.TFramedTransport(inner)),
+                first, second;
+            writeMessage(protocol, 'first', 1);
+            writeMessage(protocol, 'second', 2);
+            first = protocol.readMessageBegin();
+            protocol.skip(Thrift.Type.STRUCT);
+            protocol.readMessageEnd();
+            second = protocol.readMessageBegin();
+            protocol.skip(Thrift.Type.STRUCT);
+            protocol.readMessageEnd();
+            expect([first.fname, first.rseqid]).toEqual(['first', 1]);
+            expect([second.fname, second.rseqid]).toEqual(['second', 2]);
+            expect(protocol.getTransport().readByte()).toBe(null);
+        });
+
+        it('Waits for the rest of a partial frame', function () {
+            var source = new Thrift.EchoTransport(),
+                inner = new Thrift.EchoTransport(),
+                framed = new Thrift.TFramedTransport(inner),
+                bytes;
+            writeMessage(new Thrift.TBinaryProtocol(new Thrift.TFramedTransport(source)), 'hello', 3);
+            bytes = source.readAll();
+            inner.write(bytes.slice(0, 6));
+            expect(framed.readByte()).toBe(null);
+            inner.write(bytes.slice(6));
+            expect(new Thrift.TBinaryProtocol(framed).readMessageBegin().fname).toBe('hello');
+        });
+
+        it('Enforces the maximum frame size', function () {
+            var inner = new Thrift.EchoTransport(),
+                framed = new Thrift.TFramedTransport(inner, {maxFrameSize: 16}),
+                caught = null;
+            inner.write([0, 0, 1, 0, 1, 2, 3]);
+            try {
+                framed.readByte();
+            } catch (ex) {
+                caught = ex;
+            }
+            expect(caught instanceof Thrift.TFramedTransportException).toBe(true);
+            expect(caught.reason).toBe('FrameTooLarge');
+            expect(caught.data).toEqual({size: 256, maxFrameSize: 16});
+
+            caught = null;
+            try {
+                writeMessage(new Thrift.TBinaryProtocol(framed), 'a_long_method_name', 1);
+            } catch (ex) {
+                caught = ex;
+            }
+            expect(caught.reason).toBe('FrameTooLarge');
+        });
+
+        describe('over the network transports', function () {
+            var server;
+
+            beforeEach(function () {
+                server = new StandInServer({
+                    framed: true,
+                    delay: function () {
+                        return Math.floor(Math.random() * 20);
+                    }
+                }).install();
+            });
+
+            afterEach(function () {
+                server.uninstall();
+            });
+
+            it('Makes calls over XHR', function (done) {
+                var transport = new Thrift.TFramedTransport(new Thrift.TXHRTransport('http://localhost/basic')),
+                    client = new basic.thrift_serviceClient(new Thrift.TBinaryProtocol(transport));
+                Promise.all([client.add_integers(1, 2, true), client.get_a_map(['a', 'b'], true)])
+                    .then(function (results) {
+                        var body = server.requests[0].body;
+                        expect(results).toEqual([3, {a: 1, b: 2}]);
+                        expect((body[0] << 24) | (body[1] << 16) | (body[2] << 8) | body[3]).toBe(body.length - 4);
+                    })
+                    .catch(function (err) {
+                        done.fail(err);
+                    })
+                    .finally(done);
+            });
+
+            it('Makes overlapping calls over a WebSocket', function (done) {
+                var transport = new Thrift.TFramedTransport(new Thrift.TWebSocketTransport('ws://localhost/basic')),
+                    client = new basic.thrift_serviceClient(new Thrift.TBinaryProtocol(transport)),
+                    calls = [], expected = [], i;
+                for (i = 0; i < 10; i += 1) {
+                    calls.push(client.add_integers(i, 10, true));
+                    expected.push(i + 10);
+                }
+                Promise.all(calls)
+                    .then(function (results) {
+                        expect(results).toEqual(expected);
+                    })
+                    .catch(function (err) {
+                        done.fail(err);
+                    })
+                    .finally(done);
+            });
+
+            describe('with a oneway method', function () {
+                var descriptor = {
+                        name: 'thrift_service',
+                        methods: {
+                            log: {args: [{id: 1, name: 'line', type: 'string'}], oneway: true},
+                            add_integers: {
+                                args: [{id: 1, name: 'x', type: 'i64'}, {id: 2, name: 'y', type: 'i64'}],
+                                returns: 'i64'
+                            }
+                        }
+                    },
+                    codec = new Thrift.TDescriptorCodec(descriptor),
+                    logged;
+
+                function LogArgs() {
+                    return;
+                }
+                LogArgs.prototype.read = function (input) {
+                    this.line = codec.readStruct(input, {kind: 'struct', fields: descriptor.methods.log.args}).line;
+                };
+
+                function logThenAdd(transport, done) {
+                    var client = Thrift.createClient(descriptor, Thrift.TBinaryProtocol,
+                            new Thrift.TFramedTransport(transport));
+                    client.log('started')
+                        .then(function (value) {
+                            expect(value).toBe(null);
+                            return client.add_integers(1, 2);
+                        })
+                        .then(function (value) {
+                            expect(value).toBe(3);
+                            expect(logged).toEqual(['started']);
+                        })
+                        .catch(function (err) {
+                            done.fail(err);
+                        })
+                        .finally(done);
+                }
+
+                beforeEach(function () {
+                    // The same delay for every message, so they are handled in order.
+                    server.delay = 1;
+                    logged = [];
+                    server.processor = Object.create(StandInServer.basicProcessor);
+                    server.processor.log = {
+                        args: LogArgs,
+                        handler: function (args) {
+                            logged.push(args.line);
+                        }
+                    };
+                });
+
+                it('Resolves the call over XHR, though the reply is empty', function (done) {
+                    logThenAdd(new Thrift.TXHRTransport('http://localhost/basic'), done);
+                });
+
+                it('Resolves the call over a WebSocket once it is sent', function (done) {
+                    logThenAdd(new Thrift.TWebSocketTransport('ws://localhost/basic'), done);
+                });
+            });
+
+            it('Rejects a reply which is not framed', function (done) {
+                server.framed = false;
+                var transport = new Thrift.TFramedTransport(new Thrift.TXHRTransport('http://localhost/basic')),
+                    client = new basic.thrift_serviceClient(new Thrift.TBinaryProtocol(transport));
+                // Strip the request frame here; the reply goes back unframed.
+                server.respond = (function (respond) {
+                    return function (body) {
+                        return respond.call(server, Array.prototype.slice.call(body, 4));
+                    };
+                }(server.respond));
+                client.add_integers(1, 2, true)
+                    .then(function () {
+                        done.fail('Expected the call to fail');
+                    }, function (err) {
+                        expect(err instanceof Thrift.TFramedTransportException).toBe(true);
+                    })
+                    .finally(done);
+            });
+        });
+    });
+});
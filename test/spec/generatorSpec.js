@@ -0,0 +1,271 @@
+/*global
+ define, describe, expect, it, beforeEach, afterEach
+ */
+/*jslint
+ browser: true,
+ white: true,
+ evil: true
+ */
+define([
+    'bluebird',
+    'kb/thrift/generator',
+    'kb/thrift/protocol/binary',
+    'kb/thrift/transport/xhr',
+    'kb/thrift/transport/websocket',
+    'testlib/standInServer'
+], function (Promise, Thrift, binary, xhr, websocket, StandInServer) {
+    'use strict';
+
+    describe('Code Generator', function () {
+        var basicIdl = [
+                'namespace js basic',
+                'struct HelloWorld {',
+                '    1: string message;',
+                '}',
+                'service thrift_service {',
+                '    /**',
+                '     * Retrieve something in a map',
+                '     */',
+                '    map<string, double> get_a_map(1:list<string> mapkeys),',
+                '    /**',
+                '     * Add two numbers',
+                '     */',
+                '    i64 add_integers(1: i64 x, 2: i64 y)',
+                '}'
+            ].join('\n'),
+            storeIdl = [
+                'namespace js store',
+                'enum Color { RED = 1, GREEN = 2 }',
+                'typedef list<Item> Items',
+                'struct Item {',
+                '    1: required string id,',
+                '    2: Color color = Color.GREEN,',
+                '    3: map<string, list<i32>> counts',
+                '}',
+                'exception NotFound { 1: string message, 2: string id }',
+                'service Store {',
+                '    Items find(1: Item query) throws (1: NotFound notFound),',
+                '    void clear(),',
+                '    oneway void log(1: string line)',
+                '}'
+            ].join('\n'),
+            server;
+
+        /*
+         * Evaluates a generated module, with the modules it depends on.
+         */
+        function load(source, modules) {
+            var result;
+            new Function('define', source)(function (ids, factory) {
+                result = factory.apply(null, ids.map(function (id) {
+                    return modules[id];
+                }));
+            });
+            return result;
+        }
+
+        function loadAll(files, typesFile) {
+            var types = load(files[typesFile], {thrift: Thrift}),
+                modules = {thrift: Thrift, bluebird: Promise};
+            modules['./' + typesFile.replace(/\.js$/, '')] = types;
+            Object.keys(files).forEach(function (name) {
+                if (name !== typesFile) {
+                    load(files[name], modules);
+                }
+            });
+            return types;
+        }
+
+        function requestSeqids() {
+            return server.requests.map(function (request) {
+                var input = new Thrift.TBinaryProtocol(new Thrift.EchoTransport());
+                input.getTransport().write(Array.prototype.slice.call(request.body));
+                return input.readMessageBegin().rseqid;
+            });
+        }
+
+        afterEach(function () {
+            if (server) {
+                server.uninstall();
+                server = null;
+            }
+        });
+
+        it('Generates the modules of a file with JSDoc types', function () {
+            var files = Thrift.Generator.generate(basicIdl, {fileName: 'basic.thrift'});
+            expect(Object.keys(files)).toEqual(['basic_types.js', 'thrift_service.js']);
+            expect(files['thrift_service.js']).toContain('define(["thrift", "./basic_types", "bluebird"], function (Thrift, basic, Promise) {');
+            expect(files['thrift_service.js']).toContain(' * Add two numbers\n *\n' +
+                ' * @param {number|Thrift.Int64|BigInt} x\n');
+            expect(files['thrift_service.js']).toContain(' * @returns {Promise.<Object.<string, number>>}');
+            expect(files['basic_types.js']).toContain(' * @property {string} message');
+        });
+
+        it('Generates promise clients which allocate sequence ids', function (done) {
+            var basic = loadAll(Thrift.Generator.generate(basicIdl), 'basic_types.js'),
+                client = new basic.thrift_serviceClient(new Thrift.TBinaryProtocol(
+                    new Thrift.TXHRTransport('http://localhost/basic')));
+            server = new StandInServer({delay: 5}).install();
+            Promise.all([client.add_integers(2, 3), client.get_a_map(['a', 'b']), client.add_integers(4, 5)])
+                .then(function (results) {
+                    expect(results).toEqual([5, {a: 1, b: 2}, 9]);
+                    expect(requestSeqids()).toEqual([0, 1, 2]);
+                    expect(client.seqid).toBe(3);
+                    expect(new basic.HelloWorld({message: 'hi'}).message).toBe('hi');
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        describe('with declared exceptions', function () {
+            var store, logged;
+
+            beforeEach(function () {
+                store = loadAll(Thrift.Generator.generate(storeIdl), 'store_types.js');
+                logged = [];
+                server = new StandInServer({
+                    delay: 5,
+                    processor: {
+                        find: {
+                            args: store.Store_find_args,
+                            result: store.Store_find_result,
+                            handler: function (args, header, result) {
+                                if (args.query.id === 'missing') {
+                                    result.notFound = new store.NotFound({message: 'No such item', id: 'missing'});
+                                    return null;
+                                }
+                                return [args.query, new store.Item({id: 'b', counts: {x: [1, 2]}})];
+                            }
+                        },
+                        clear: {
+                            args: store.Store_clear_args,
+                            result: store.Store_clear_result,
+                            handler: function () {
+                                return null;
+                            }
+                        },
+                        log: {
+                            args: store.Store_log_args,
+                            handler: function (args) {
+                                logged.push(args.line);
+                            }
+                        }
+                    }
+                }).install();
+            });
+
+            function makeClient() {
+                return new store.StoreClient(new Thrift.TBinaryProtocol(new Thrift.TXHRTransport('http://localhost/store')));
+            }
+
+            it('Reads and writes structs, enums and defaults', function (done) {
+                var client = makeClient();
+                expect(store.Color).toEqual({RED: 1, GREEN: 2});
+                Promise.all([client.find({id: 'a', color: store.Color.RED}), client.clear()])
+                    .then(function (results) {
+                        expect(results[0][0] instanceof store.Item).toBe(true);
+                        expect(results[0].map(function (item) {
+                            return [item.id, item.color, item.counts];
+                        })).toEqual([['a', 1, null], ['b', 2, {x: [1, 2]}]]);
+                        expect(results[1]).toBe(null);
+                    })
+                    .catch(function (err) {
+                        done.fail(err);
+                    })
+                    .finally(done);
+            });
+
+            it('Rejects with the declared exception class', function (done) {
+                makeClient().find({id: 'missing'})
+                    .then(function () {
+                        done.fail('Expected the call to fail');
+                    }, function (err) {
+                        expect(err instanceof store.NotFound).toBe(true);
+                        expect(err instanceof Thrift.TException).toBe(true);
+                        expect([err.name, err.message, err.id]).toEqual(['NotFound', 'No such item', 'missing']);
+                    })
+                    .finally(done);
+            });
+
+            it('Resolves oneway calls once they are sent', function (done) {
+                var transport = new Thrift.TWebSocketTransport('ws://localhost/store'),
+                    client = new store.StoreClient(new Thrift.TBinaryProtocol(transport));
+                client.log('started')
+                    .then(function (value) {
+                        expect(value).toBe(null);
+                        expect(transport.getInFlightCount()).toBe(0);
+                        return client.clear();
+                    })
+                    .then(function () {
+                        expect(logged).toEqual(['started']);
+                        transport.close();
+                    })
+                    .catch(function (err) {
+                        done.fail(err);
+                    })
+                    .finally(done);
+            });
+
+            it('Checks required fields before sending', function (done) {
+                var client = makeClient();
+                client.find({color: store.Color.RED})
+                    .then(function () {
+                        done.fail('Expected the call to fail');
+                    }, function (err) {
+                        expect(err instanceof Thrift.TProtocolException).toBe(true);
+                        // The partly written message was dropped.
+                        return client.find({id: 'c'});
+                    })
+                    .then(function (items) {
+                        expect(items[0].id).toBe('c');
+                        expect(server.requests.length).toBe(1);
+                    })
+                    .catch(function (err) {
+                        done.fail(err);
+                    })
+                    .finally(done);
+            });
+        });
+
+        it('Rejects a call missing a required argument, as runtime clients do', function (done) {
+            var counter = loadAll(Thrift.Generator.generate('namespace js counter\n' +
+                    'service Counter { i32 count(1: required string key) }'), 'counter_types.js'),
+                client = new counter.CounterClient(new Thrift.TBinaryProtocol(
+                    new Thrift.TXHRTransport('http://localhost/counter'))),
+                call;
+            server = new StandInServer().install();
+            call = client.count();
+            expect(typeof call.then).toBe('function');
+            call
+                .then(function () {
+                    done.fail('Expected the call to fail');
+                }, function (err) {
+                    expect(err instanceof Thrift.TProtocolException).toBe(true);
+                    expect(server.requests.length).toBe(0);
+                })
+                .finally(done);
+        });
+
+        it('Loads the types of included files', function () {
+            var shared = Thrift.IDL.parse('namespace js shared\nstruct Context { 1: string user }'),
+                files = Thrift.Generator.generate('include "shared.thrift"\nnamespace js app\n' +
+                    'service App { void run(1: shared.Context context) }', {includes: {shared: shared}});
+            expect(files['App.js']).toContain('define(["thrift", "./app_types", "bluebird", "./shared_types"], ' +
+                'function (Thrift, app, Promise, shared) {');
+            expect(files['App.js']).toContain('new shared.Context()');
+        });
+
+        it('Reports unknown types', function () {
+            var caught = null;
+            try {
+                Thrift.Generator.generate('struct A { 1: Missing m }');
+            } catch (ex) {
+                caught = ex;
+            }
+            expect(caught instanceof Thrift.TIDLException).toBe(true);
+            expect(caught.reason).toBe('UnknownType');
+        });
+    });
+});
@@ -0,0 +1,228 @@
+/*global
+ define, describe, expect, it, beforeEach, afterEach
+ */
+/*jslint
+ browser: true,
+ white: true,
+ bitwise: true
+ */
+define([
+    'bluebird',
+    'kb/thrift/protocol/header',
+    'kb/thrift/transport/header',
+    'kb/thrift/transport/framed',
+    'kb/thrift/transport/echo',
+    'kb/thrift/protocol/binary',
+    'kb/thrift/client',
+    'kb_basic_service',
+    'testlib/standInServer'
+], function (Promise, Thrift, headerTransport, framed, echo, binary, descriptorClient, basic, StandInServer) {
+    'use strict';
+
+    describe('Header Transport and Protocol', function () {
+
+        function writeMessage(protocol, name, seqid) {
+            protocol.writeMessageBegin(name, Thrift.MessageType.CALL, seqid);
+            protocol.writeStructBegin('args');
+            protocol.writeFieldBegin('x', Thrift.Type.I32, 1);
+            protocol.writeI32(42);
+            protocol.writeFieldEnd();
+            protocol.writeFieldStop();
+            protocol.writeStructEnd();
+            protocol.writeMessageEnd();
+            protocol.getTransport().flush();
+        }
+
+        function readMessage(protocol) {
+            var header = protocol.readMessageBegin(),
+                field;
+            protocol.readStructBegin();
+            field = protocol.readFieldBegin();
+            header.x = protocol.readI32().value;
+            protocol.readFieldEnd();
+            protocol.readFieldBegin();
+            protocol.readStructEnd();
+            protocol.readMessageEnd();
+            header.fid = field.fid;
+            return header;
+        }
+
+        it('Writes the header frame layout', function () {
+            var inner = new Thrift.EchoTransport(),
+                protocol = new Thrift.THeaderProtocol(new Thrift.THeaderTransport(inner)),
+                bytes;
+            writeMessage(protocol, 'hello', 7);
+            bytes = inner.readAll();
+            expect((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]).toBe(bytes.length - 4);
+            expect([bytes[4], bytes[5]]).toEqual([0x0f, 0xff]);
+            expect((bytes[8] << 24) | (bytes[9] << 16) | (bytes[10] << 8) | bytes[11]).toBe(7);
+            // a one word header: protocol id binary, no transforms, padding
+            expect([bytes[12], bytes[13]]).toEqual([0, 1]);
+            expect([bytes[14], bytes[15], bytes[16], bytes[17]]).toEqual([0, 0, 0, 0]);
+            expect(bytes[18]).toBe(0x80);
+        });
+
+        it('Carries info headers both ways', function () {
+            var transport = new Thrift.THeaderTransport(new Thrift.EchoTransport(), {
+                    headers: {'request-id': 'abc'}
+                }),
+                protocol = new Thrift.THeaderProtocol(transport),
+                message;
+            transport.setHeader('client-version', '1.2.3');
+            transport.setHeader('greeting', 'héllo');
+            writeMessage(protocol, 'hello', 3);
+            message = readMessage(protocol);
+            expect([message.fname, message.rseqid, message.x, message.fid]).toEqual(['hello', 3, 42, 1]);
+            expect(transport.getReadHeaders()).toEqual({
+                'request-id': 'abc',
+                'client-version': '1.2.3',
+                greeting: 'héllo'
+            });
+        });
+
+        it('Reads each message with the protocol named in its header', function () {
+            var inner = new Thrift.EchoTransport(),
+                writer = new Thrift.THeaderTransport(inner, {protocolId: Thrift.THeaderTransport.ProtocolId.COMPACT}),
+                reader = new Thrift.THeaderTransport(inner),
+                protocol = new Thrift.THeaderProtocol(reader);
+            writeMessage(new Thrift.THeaderProtocol(writer), 'compact', 1);
+            writer.setProtocolId(Thrift.THeaderTransport.ProtocolId.BINARY);
+            writeMessage(new Thrift.THeaderProtocol(writer), 'binary', 2);
+            expect(inner.readAll()[18]).toBe(0x82);
+            expect(readMessage(protocol).fname).toBe('compact');
+            expect(reader.getReadProtocolId()).toBe(Thrift.THeaderTransport.ProtocolId.COMPACT);
+            expect(readMessage(protocol).fname).toBe('binary');
+            expect(reader.getReadProtocolId()).toBe(Thrift.THeaderTransport.ProtocolId.BINARY);
+        });
+
+        it('Applies transforms with the codecs given', function () {
+            var xor = {
+                    encode: function (bytes) {
+                        return bytes.map(function (b) {
+                            return b ^ 0x5a;
+                        });
+                    }
+                },
+                ZLIB = Thrift.THeaderTransport.TransformId.ZLIB,
+                codecs = {},
+                inner = new Thrift.EchoTransport(),
+                transport, caught = null;
+            xor.decode = xor.encode;
+            codecs[ZLIB] = xor;
+            transport = new Thrift.THeaderTransport(inner, {transforms: [ZLIB], codecs: codecs});
+            writeMessage(new Thrift.THeaderProtocol(transport), 'hello', 1);
+            // protocol id, one transform, its id
+            expect([inner.readAll()[14], inner.readAll()[15], inner.readAll()[16]]).toEqual([0, 1, ZLIB]);
+            expect(inner.readAll()[18]).toBe(0x80 ^ 0x5a);
+            expect(readMessage(new Thrift.THeaderProtocol(transport)).x).toBe(42);
+            expect(transport.readTransforms).toEqual([ZLIB]);
+
+            try {
+                writeMessage(new Thrift.THeaderProtocol(new Thrift.THeaderTransport(inner, {transforms: [ZLIB]})), 'x', 1);
+            } catch (ex) {
+                caught = ex;
+            }
+            expect(caught instanceof Thrift.THeaderTransportException).toBe(true);
+            expect(caught.reason).toBe('UnsupportedTransform');
+        });
+
+        it('Accepts framed messages without a header', function () {
+            var inner = new Thrift.EchoTransport(),
+                transport = new Thrift.THeaderTransport(inner);
+            writeMessage(new Thrift.TBinaryProtocol(new Thrift.TFramedTransport(inner), false, true), 'plain', 5);
+            expect(readMessage(new Thrift.THeaderProtocol(transport)).fname).toBe('plain');
+            expect(transport.getReadHeaders()).toEqual({});
+        });
+
+        describe('with a client', function () {
+            var server, serverTransports;
+
+            beforeEach(function () {
+                serverTransports = [];
+                server = new StandInServer({
+                    protocol: function (transport) {
+                        var layer = new Thrift.THeaderTransport(transport, {
+                            protocolId: Thrift.THeaderTransport.ProtocolId.COMPACT,
+                            headers: {server: 'stand-in'}
+                        });
+                        serverTransports.push(layer);
+                        return new Thrift.THeaderProtocol(layer);
+                    }
+                }).install();
+            });
+
+            afterEach(function () {
+                server.uninstall();
+            });
+
+            it('Sends and receives headers through the client accessors', function (done) {
+                var transport = new Thrift.THeaderTransport(new Thrift.TXHRTransport('http://localhost/basic')),
+                    client = Thrift.THeaderClient.mixin(new basic.thrift_serviceClient(new Thrift.THeaderProtocol(transport))),
+                    seen = null;
+                client.setHeader('authorization', 'token-1');
+                expect(client.getHeaders()).toEqual({authorization: 'token-1'});
+                client.add_integers(20, 22, {
+                    onResponseHeaders: function (headers) {
+                        seen = headers;
+                    }
+                })
+                    .then(function (value) {
+                        expect(value).toBe(42);
+                        // The request was read from the first server transport.
+                        expect(serverTransports[0].getReadHeaders()).toEqual({authorization: 'token-1'});
+                        expect(serverTransports[0].getReadProtocolId()).toBe(Thrift.THeaderTransport.ProtocolId.BINARY);
+                        expect(seen).toEqual({server: 'stand-in'});
+                        expect(client.getResponseHeaders()).toEqual({server: 'stand-in'});
+                    })
+                    .catch(function (err) {
+                        done.fail(err);
+                    })
+                    .finally(done);
+            });
+
+            it('Reads no headers for a oneway call, which has no reply', function (done) {
+                var descriptor = {
+                        name: 'thrift_service',
+                        methods: {
+                            log: {args: [{id: 1, name: 'line', type: 'string'}], oneway: true}
+                        }
+                    },
+                    codec = new Thrift.TDescriptorCodec(descriptor),
+                    transport = new Thrift.THeaderTransport(new Thrift.TXHRTransport('http://localhost/basic')),
+                    client = Thrift.createClient(descriptor, Thrift.THeaderProtocol, transport),
+                    logged = [],
+                    seen = null;
+                function LogArgs() {
+                    return;
+                }
+                LogArgs.prototype.read = function (input) {
+                    this.line = codec.readStruct(input, {kind: 'struct', fields: descriptor.methods.log.args}).line;
+                };
+                server.processor = {
+                    log: {
+                        args: LogArgs,
+                        handler: function (args) {
+                            logged.push(args.line);
+                        }
+                    }
+                };
+                client.log('started', {
+                    onResponseHeaders: function (headers) {
+                        seen = headers;
+                    }
+                })
+                    .then(function (value) {
+                        expect(value).toBe(null);
+                        expect(logged).toEqual(['started']);
+                        expect(server.requests.length).toBe(1);
+                        expect(seen).toBe(null);
+                        expect(transport.getReadHeaders()).toEqual({});
+                    })
+                    .catch(function (err) {
+                        done.fail(err);
+                    })
+                    .finally(done);
+            });
+        });
+    });
+});
@@ -0,0 +1,167 @@
+/*global
+ define, describe, expect, it, beforeEach, afterEach
+ */
+/*jslint
+ browser: true,
+ white: true
+ */
+define([
+    'bluebird',
+    'kb/thrift/idl',
+    'kb/thrift/client',
+    'kb/thrift/protocol/binary',
+    'kb/thrift/transport/xhr',
+    'testlib/standInServer'
+], function (Promise, Thrift, client, binary, xhr, StandInServer) {
+    'use strict';
+
+    describe('IDL Parser', function () {
+        // test/thrift/specs/basic.thrift
+        var basicIdl = [
+            'namespace js basic',
+            '',
+            'struct HelloWorld {',
+            '    1: string message;',
+            '}',
+            '',
+            'service thrift_service {',
+            '',
+            '',
+            '    /**',
+            '     * Retrieve something in a map',
+            '     */',
+            '    map<string, double> get_a_map(1:list<string> mapkeys),',
+            '',
+            '    /**',
+            '     * Add two numbers',
+            '     */',
+            '    i64 add_integers(1: i64 x, 2: i64 y)',
+            '}'
+        ].join('\n');
+
+        function parseError(source) {
+            try {
+                Thrift.IDL.parse(source);
+            } catch (ex) {
+                return ex;
+            }
+            return null;
+        }
+
+        it('Parses the basic service', function () {
+            var document = Thrift.IDL.parse(basicIdl);
+            expect(document.namespaces).toEqual({js: 'basic'});
+            expect(document.types.HelloWorld.kind).toBe('struct');
+            expect(document.types.HelloWorld.fields).toEqual([{
+                id: 1,
+                requiredness: 'default',
+                type: 'string',
+                name: 'message',
+                doc: null,
+                annotations: undefined
+            }]);
+            expect(document.services.thrift_service.methods.get_a_map.returns).toEqual({map: ['string', 'double']});
+            expect(document.services.thrift_service.methods.get_a_map.args[0].type).toEqual({list: 'string'});
+            expect(document.services.thrift_service.methods.add_integers.doc).toBe('Add two numbers');
+        });
+
+        it('Parses every kind of definition', function () {
+            var document = Thrift.IDL.parse([
+                'include "shared.thrift"',
+                'namespace * kb.data',
+                'typedef list<i32> Numbers',
+                'enum Color { RED = 1, GREEN, BLUE = 0x10 }',
+                'const i32 LIMIT = 100;',
+                'const map<string, Color> DEFAULTS = {"sky": Color.BLUE, "grass": Color.GREEN}',
+                'const list<double> RATIOS = [1.5, -2e3, LIMIT]',
+                'union Value { 1: i64 number; 2: string text }',
+                'exception NotFound { 1: string message, 2: optional string id }',
+                'struct Query {',
+                '    1: required string text,',
+                '    2: optional i32 limit = LIMIT,',
+                '    3: Color color = Color.RED,',
+                '    4: set<string> tags (immutable = "true"),',
+                '    5: shared.Context context,',
+                '    bool verbose = false',
+                '}',
+                'service Base { void ping() }',
+                'service Search extends Base {',
+                '    oneway void log(1: string line),',
+                '    Numbers find(1: Query query) throws (1: NotFound notFound)',
+                '}'
+            ].join('\n'));
+            expect(document.includes).toEqual(['shared.thrift']);
+            expect(document.namespaces['*']).toBe('kb.data');
+            expect(document.types.Numbers).toEqual({kind: 'typedef', type: {list: 'i32'}, doc: null});
+            expect(document.types.Color.values).toEqual({RED: 1, GREEN: 2, BLUE: 16});
+            expect(document.consts.DEFAULTS.value).toEqual({sky: 16, grass: 2});
+            expect(document.consts.RATIOS.value).toEqual([1.5, -2000, 100]);
+            expect(document.types.Value.kind).toBe('union');
+            expect(document.types.NotFound.fields[1].requiredness).toBe('optional');
+            expect(document.types.Query.fields.map(function (field) {
+                return [field.id, field.requiredness, field['default']];
+            })).toEqual([
+                [1, 'required', undefined],
+                [2, 'optional', 100],
+                [3, 'default', 1],
+                [4, 'default', undefined],
+                [5, 'default', undefined],
+                [-1, 'default', false]
+            ]);
+            expect(document.types.Query.fields[3].annotations).toEqual({immutable: 'true'});
+            expect(document.types.Query.fields[4].type).toBe('shared.Context');
+            expect(document.services.Search['extends']).toBe('Base');
+            expect(document.services.Search.methods.log.oneway).toBe(true);
+            expect(document.services.Search.methods.find['throws'][0].type).toBe('NotFound');
+            expect(Object.keys(Thrift.IDL.serviceDescriptor(document, 'Search').methods)).toEqual(['ping', 'log', 'find']);
+        });
+
+        it('Reports the line and column of errors', function () {
+            var error = parseError('struct A {\n  1: string a\n  1: string b\n}');
+            expect(error instanceof Thrift.TIDLException).toBe(true);
+            expect([error.reason, error.line, error.column]).toEqual(['DuplicateFieldId', 3, 3]);
+
+            error = parseError('service S {\n  i32 f(1: i32 x\n}');
+            expect([error.reason, error.line, error.column]).toEqual(['SyntaxError', 3, 1]);
+            expect(error.message).toBe('Expected an identifier but found "}" at line 3, column 1');
+
+            error = parseError('struct A {}\nenum A { X }');
+            expect([error.reason, error.line, error.column]).toEqual(['DuplicateDefinition', 2, 6]);
+
+            error = parseError('const string S = "open');
+            expect([error.reason, error.line, error.column]).toEqual(['SyntaxError', 1, 18]);
+
+            error = parseError('const i32 X = Y');
+            expect(error.reason).toBe('UnknownIdentifier');
+
+            error = parseError('service S { oneway i32 f() }');
+            expect(error.reason).toBe('InvalidOneway');
+        });
+
+        describe('with a client', function () {
+            var server;
+
+            beforeEach(function () {
+                server = new StandInServer({delay: 5}).install();
+            });
+
+            afterEach(function () {
+                server.uninstall();
+            });
+
+            it('Describes a service for a runtime client', function (done) {
+                var descriptor = Thrift.IDL.serviceDescriptor(Thrift.IDL.parse(basicIdl), 'thrift_service'),
+                    service = Thrift.createClient(descriptor, Thrift.TBinaryProtocol,
+                        new Thrift.TXHRTransport('http://localhost/basic'));
+                Promise.all([service.add_integers(1, 2), service.get_a_map(['p', 'q'])])
+                    .then(function (results) {
+                        expect(results).toEqual([3, {p: 1, q: 2}]);
+                    })
+                    .catch(function (err) {
+                        done.fail(err);
+                    })
+                    .finally(done);
+            });
+        });
+    });
+});
@@ -0,0 +1,160 @@
+/*global
+ define, describe, expect, it, BigInt
+ */
+/*jslint
+ browser: true,
+ white: true
+ */
+define([
+    'kb/thrift/transport/echo',
+    'kb/thrift/int64',
+    'kb/thrift/protocol/binary',
+    'kb/thrift/protocol/compact',
+    'kb/thrift/protocol/json'
+], function (Thrift) {
+    'use strict';
+
+    var big = '9223372036854775807',
+        small = '-9223372036854775808',
+        pastSafe = '9007199254740993';
+
+    describe('Int64 value type', function () {
+        it('Round trips decimal strings at the limits', function () {
+            [big, small, pastSafe, '0', '-1', '4294967296', '-4294967297'].forEach(function (value) {
+                expect(Thrift.Int64.fromString(value).toString()).toBe(value);
+            });
+        });
+
+        it('Rejects strings outside of the I64 range', function () {
+            expect(function () {
+                Thrift.Int64.fromString('9223372036854775808');
+            }).toThrow();
+            expect(function () {
+                Thrift.Int64.fromString('-9223372036854775809');
+            }).toThrow();
+            expect(function () {
+                Thrift.Int64.fromString('12abc');
+            }).toThrow();
+        });
+
+        it('Converts to and from numbers', function () {
+            [0, 1, -1, Math.pow(2, 32), -Math.pow(2, 32) - 1, Math.pow(2, 53) - 1].forEach(function (value) {
+                expect(Thrift.Int64.fromNumber(value).toNumber()).toBe(value);
+                expect(Thrift.Int64.fromNumber(value).toString()).toBe(String(value));
+            });
+            expect(Thrift.Int64.fromString(pastSafe).isSafeNumber()).toBe(false);
+        });
+
+        it('Compares exactly beyond 53 bits', function () {
+            var a = Thrift.Int64.fromString('9007199254740992'),
+                b = Thrift.Int64.fromString(pastSafe);
+            expect(a.compare(b)).toBe(-1);
+            expect(b.compare(a)).toBe(1);
+            expect(b.equals(pastSafe)).toBe(true);
+            expect(Thrift.Int64.MIN_VALUE.compare(-1)).toBe(-1);
+            expect(Thrift.Int64.fromNumber(-1).compare(0)).toBe(-1);
+        });
+
+        it('Converts to and from BigInt where supported', function () {
+            if (!Thrift.Int64.hasBigInt()) {
+                return;
+            }
+            expect(Thrift.Int64.fromString(small).toBigInt()).toBe(BigInt(small));
+            expect(Thrift.Int64.fromBigInt(BigInt(big)).toString()).toBe(big);
+            expect(function () {
+                Thrift.Int64.fromBigInt(BigInt(big) + BigInt(1));
+            }).toThrow();
+        });
+    });
+
+    describe('Full range I64 in protocols', function () {
+        function roundTrip(protocol, values) {
+            values.forEach(function (value) {
+                protocol.writeI64(value);
+            });
+            return values.map(function () {
+                return protocol.readI64().value;
+            });
+        }
+
+        it('Keeps the number mode as the default', function () {
+            var protocol = new Thrift.TBinaryProtocol(new Thrift.EchoTransport());
+            expect(roundTrip(protocol, [-5, Math.pow(2, 40)])).toEqual([-5, Math.pow(2, 40)]);
+        });
+
+        it('Reads Int64 values exactly from the binary protocol', function () {
+            var protocol = new Thrift.TBinaryProtocol(new Thrift.EchoTransport(), false, false, {i64: 'int64'}),
+                result = roundTrip(protocol, [
+                    Thrift.Int64.fromString(big),
+                    Thrift.Int64.fromString(small),
+                    Thrift.Int64.fromString(pastSafe),
+                    -2
+                ]);
+            expect(result[0] instanceof Thrift.Int64).toBe(true);
+            expect(result.map(String)).toEqual([big, small, pastSafe, '-2']);
+        });
+
+        it('Writes big endian two\'s complement bytes for an Int64', function () {
+            var transport = new Thrift.EchoTransport(),
+                protocol = new Thrift.TBinaryProtocol(transport);
+            protocol.writeI64(Thrift.Int64.fromNumber(-2));
+            protocol.writeI64(Thrift.Int64.fromString(pastSafe));
+            expect(transport.readAll()).toEqual([
+                0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xfe,
+                0x00, 0x20, 0x00, 0x00, 0x00, 0x00, 0x00, 0x01
+            ]);
+        });
+
+        it('Reads BigInt values exactly from the binary protocol', function () {
+            if (!Thrift.Int64.hasBigInt()) {
+                return;
+            }
+            var protocol = new Thrift.TBinaryProtocol(new Thrift.EchoTransport(), false, false, {i64: 'bigint'}),
+                result = roundTrip(protocol, [BigInt(big), BigInt(small), 3]);
+            expect(result).toEqual([BigInt(big), BigInt(small), BigInt(3)]);
+        });
+
+        it('Reads Int64 values exactly from the compact protocol', function () {
+            var protocol = new Thrift.TCompactProtocol(new Thrift.EchoTransport(), {i64: 'int64'}),
+                result = roundTrip(protocol, [
+                    Thrift.Int64.fromString(big),
+                    Thrift.Int64.fromString(small),
+                    Thrift.Int64.fromString(pastSafe),
+                    0,
+                    -1
+                ]);
+            expect(result.map(String)).toEqual([big, small, pastSafe, '0', '-1']);
+        });
+
+        it('Reads Int64 values exactly from the JSON protocol', function () {
+            var protocol = new Thrift.TJSONProtocol(new Thrift.EchoTransport(), {i64: 'int64'}),
+                field;
+            protocol.writeMessageBegin('add_integers', Thrift.MessageType.CALL, 1);
+            protocol.writeStructBegin('args');
+            protocol.writeFieldBegin('x', Thrift.Type.I64, 1);
+            protocol.writeI64(Thrift.Int64.fromString(big));
+            protocol.writeFieldEnd();
+            protocol.writeFieldBegin('y', Thrift.Type.I64, 2);
+            protocol.writeI64(12);
+            protocol.writeFieldEnd();
+            protocol.writeFieldStop();
+            protocol.writeStructEnd();
+            protocol.writeMessageEnd();
+
+            expect(protocol.readMessageBegin().fname).toBe('add_integers');
+            protocol.readStructBegin();
+            field = protocol.readFieldBegin();
+            expect(field.ftype).toBe(Thrift.Type.I64);
+            expect(protocol.readI64().value.toString()).toBe(big);
+            protocol.readFieldEnd();
+            protocol.readFieldBegin();
+            expect(protocol.readI64().value.equals(12)).toBe(true);
+        });
+
+        it('Rejects an unknown i64 mode', function () {
+            expect(function () {
+                return new Thrift.TBinaryProtocol(new Thrift.EchoTransport(), false, false, {i64: 'float'});
+            }).toThrow();
+        });
+    });
+});
@@ -0,0 +1,130 @@
+/*global
+ define, describe, expect, it, beforeEach, afterEach
+ */
+/*jslint
+ browser: true,
+ white: true
+ */
+define([
+    'bluebird',
+    'kb/thrift/protocol/multiplex',
+    'kb/thrift/protocol/binary',
+    'kb/thrift/protocol/compact',
+    'kb/thrift/protocol/json',
+    'kb/thrift/transport/echo',
+    'kb/thrift/transport/xhr',
+    'kb_basic_service',
+    'testlib/standInServer'
+], function (Promise, Thrift, binary, compact, json, echo, xhr, basic, StandInServer) {
+    'use strict';
+
+    describe('Multiplexed Protocol', function () {
+
+        [
+            ['binary', function (transport) {
+                return new Thrift.TBinaryProtocol(transport);
+            }],
+            ['compact', function (transport) {
+                return new Thrift.TCompactProtocol(transport);
+            }],
+            ['JSON', function (transport) {
+                return new Thrift.TJSONProtocol(transport);
+            }]
+        ].forEach(function (spec) {
+            it('Prefixes the service name on calls with the ' + spec[0] + ' protocol', function () {
+                var protocol = spec[1](new Thrift.EchoTransport()),
+                    multiplexed = new Thrift.TMultiplexedProtocol(protocol, 'Basic');
+                multiplexed.writeMessageBegin('add_integers', Thrift.MessageType.CALL, 4);
+                multiplexed.writeStructBegin('args');
+                multiplexed.writeFieldStop();
+                multiplexed.writeStructEnd();
+                multiplexed.writeMessageEnd();
+                expect(protocol.readMessageBegin()).toEqual({
+                    fname: 'Basic:add_integers',
+                    mtype: Thrift.MessageType.CALL,
+                    rseqid: 4
+                });
+            });
+        });
+
+        it('Leaves replies alone', function () {
+            var protocol = new Thrift.TBinaryProtocol(new Thrift.EchoTransport()),
+                multiplexed = new Thrift.TMultiplexedProtocol(protocol, 'Basic');
+            multiplexed.writeMessageBegin('add_integers', Thrift.MessageType.REPLY, 4);
+            expect(protocol.readMessageBegin().fname).toBe('add_integers');
+        });
+
+        describe('with a multiplexed server', function () {
+            var server;
+
+            beforeEach(function () {
+                server = new StandInServer({
+                    delay: function () {
+                        return Math.floor(Math.random() * 10);
+                    },
+                    services: {
+                        Basic: StandInServer.basicProcessor,
+                        Product: {
+                            add_integers: {
+                                args: basic.thrift_service_add_integers_args,
+                                result: basic.thrift_service_add_integers_result,
+                                handler: function (args) {
+                                    return args.x * args.y;
+                                }
+                            }
+                        }
+                    }
+                }).install();
+            });
+
+            afterEach(function () {
+                server.uninstall();
+            });
+
+            it('Routes the calls of clients sharing a transport', function (done) {
+                var multiplexer = new Thrift.Multiplexer(),
+                    transport = new Thrift.TXHRTransport('http://localhost/multi'),
+                    sum = multiplexer.createClient('Basic', basic.thrift_serviceClient, transport),
+                    product = multiplexer.createClient('Product', basic.thrift_serviceClient, transport);
+                Promise.all([
+                    sum.add_integers(6, 7, true),
+                    product.add_integers(6, 7, true),
+                    sum.get_a_map(['a', 'b', 'c'], true)
+                ])
+                    .then(function (results) {
+                        expect(results).toEqual([13, 42, {a: 1, b: 2, c: 3}]);
+                    })
+                    .catch(function (err) {
+                        done.fail(err);
+                    })
+                    .finally(done);
+            });
+
+            it('Shares one sequence id without touching the client class', function () {
+                var multiplexer = new Thrift.Multiplexer(),
+                    transport = new Thrift.TXHRTransport('http://localhost/multi'),
+                    sum = multiplexer.createClient('Basic', basic.thrift_serviceClient, transport),
+                    product = multiplexer.createClient('Product', basic.thrift_serviceClient, transport);
+                expect(sum.new_seqid()).toBe(1);
+                expect(product.new_seqid()).toBe(2);
+                sum.seqid = 10;
+                expect(product.seqid).toBe(10);
+                expect(basic.thrift_serviceClient.prototype.hasOwnProperty('new_seqid')).toBe(false);
+                expect(new basic.thrift_serviceClient(new Thrift.TBinaryProtocol(transport)).seqid).toBe(0);
+            });
+
+            it('Reads replies through a multiplexed input protocol', function (done) {
+                var protocol = new Thrift.TBinaryProtocol(new Thrift.TXHRTransport('http://localhost/multi')),
+                    client = new basic.thrift_serviceClient(new Thrift.TMultiplexedProtocol(protocol, 'Basic'));
+                Promise.all([client.get_a_map(['x', 'y'], true), client.get_a_map(['z'], true)])
+                    .then(function (results) {
+                        expect(results).toEqual([{x: 1, y: 2}, {z: 1}]);
+                    })
+                    .catch(function (err) {
+                        done.fail(err);
+                    })
+                    .finally(done);
+            });
+        });
+    });
+});
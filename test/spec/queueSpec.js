@@ -0,0 +1,219 @@
+/*global
+ define, describe, expect, it, beforeEach, afterEach, AbortController
+ */
+/*jslint
+ browser: true,
+ white: true
+ */
+define([
+    'bluebird',
+    'kb/thrift/queue',
+    'kb/thrift/transport/xhr',
+    'kb/thrift/protocol/binary',
+    'kb/thrift/transport/echo',
+    'kb_basic_service',
+    'testlib/standInServer'
+], function (Promise, Thrift, xhr, binary, echo, basic, StandInServer) {
+    'use strict';
+
+    describe('Request queue', function () {
+        var server, queue;
+
+        function makeClient(url) {
+            var transport = queue.wrap(new Thrift.TXHRTransport(url || 'http://localhost/basic'));
+            return new basic.thrift_serviceClient(new Thrift.TBinaryProtocol(transport));
+        }
+
+        beforeEach(function () {
+            server = new StandInServer({delay: 10}).install();
+            queue = new Thrift.RequestQueue({maxConcurrent: 2});
+        });
+
+        afterEach(function () {
+            server.uninstall();
+        });
+
+        it('Holds calls over the limit until others finish, in order', function (done) {
+            var client = makeClient(),
+                calls = [1, 2, 3, 4, 5].map(function (i) {
+                    return client.add_integers(i, 0, true);
+                });
+            expect(server.requests.length).toBe(2);
+            expect(queue.getStats('http://localhost/basic').active).toBe(2);
+            expect(queue.getStats('http://localhost/basic').queued).toBe(3);
+            Promise.all(calls)
+                .then(function (results) {
+                    var stats = queue.getStats('http://localhost/basic');
+                    expect(results).toEqual([1, 2, 3, 4, 5]);
+                    expect(server.requests.length).toBe(5);
+                    expect(stats.active).toBe(0);
+                    expect(stats.queued).toBe(0);
+                    expect(stats.sent).toBe(5);
+                    expect(stats.maxWait).toBeGreaterThan(15);
+                    expect(stats.averageWait).toBeGreaterThan(0);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Limits each endpoint on its own', function (done) {
+            var one = makeClient('http://localhost/one'),
+                other = makeClient('http://localhost/other'),
+                calls = [];
+            [1, 2, 3].forEach(function (i) {
+                calls.push(one.add_integers(i, 0, true), other.add_integers(i, 0, true));
+            });
+            expect(server.requests.length).toBe(4);
+            expect(queue.getStats().queued).toBe(2);
+            expect(queue.getStats('http://localhost/one').queued).toBe(1);
+            Promise.all(calls)
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        describe('with priorities', function () {
+            var Priority = Thrift.RequestQueue.Priority;
+
+            // Makes calls with the given priorities while another is in
+            // flight, resolving to the order they were answered in.
+            function answerOrder(priorities, before) {
+                var client = makeClient(),
+                    order = [],
+                    calls = [client.add_integers(0, 0, true)];
+                priorities.forEach(function (priority, i) {
+                    calls.push(client.add_integers(i + 1, 0, {priority: priority}).then(function (value) {
+                        order.push(value);
+                    }));
+                });
+                if (before) {
+                    before();
+                }
+                return Promise.all(calls).return(order);
+            }
+
+            beforeEach(function () {
+                queue = new Thrift.RequestQueue({maxConcurrent: 1, aging: 100});
+            });
+
+            it('Sends calls of higher priority first', function (done) {
+                answerOrder([Priority.LOW, undefined, Priority.HIGH, Priority.NORMAL, Priority.HIGH])
+                    .then(function (order) {
+                        expect(order).toEqual([3, 5, 2, 4, 1]);
+                    })
+                    .catch(function (err) {
+                        done.fail(err);
+                    })
+                    .finally(done);
+            });
+
+            it('Raises the priority of calls as they wait', function (done) {
+                answerOrder([Priority.NORMAL, Priority.LOW, Priority.HIGH], function () {
+                    // The low priority call has waited long enough to pass
+                    // those of normal priority, but not those of high.
+                    queue.endpoints['http://localhost/basic'].waiting[1].queuedAt -= 1500;
+                })
+                    .then(function (order) {
+                        expect(order).toEqual([3, 2, 1]);
+                    })
+                    .catch(function (err) {
+                        done.fail(err);
+                    })
+                    .finally(done);
+            });
+        });
+
+        it('Never sends a waiting call which is cancelled', function (done) {
+            var client = makeClient(),
+                controller = typeof AbortController === 'function' ? new AbortController() : null,
+                first = client.add_integers(1, 0, true),
+                second = client.add_integers(2, 0, true),
+                cancelled = client.add_integers(3, 0, true),
+                aborted = client.add_integers(4, 0, controller ? {signal: controller.signal} : true),
+                last = client.add_integers(5, 0, true);
+            cancelled.cancel();
+            if (controller) {
+                controller.abort();
+            } else {
+                aborted.cancel();
+            }
+            expect(queue.getStats().queued).toBe(1);
+            Promise.all([first, second, cancelled.reflect(), aborted.reflect(), last])
+                .then(function (results) {
+                    expect(results[2].reason().reason).toBe('RequestAbort');
+                    expect(results[3].reason().reason).toBe('RequestAbort');
+                    expect(results[4]).toBe(5);
+                    expect(server.requests.length).toBe(3);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Settles a waiting call as soon as it is cancelled', function (done) {
+            var client = makeClient(),
+                controller = typeof AbortController === 'function' ? new AbortController() : null,
+                inFlight, cancelled, aborted;
+            server.delay = 100;
+            inFlight = [client.add_integers(1, 0, true), client.add_integers(2, 0, true)];
+            cancelled = client.add_integers(3, 0, true);
+            aborted = client.add_integers(4, 0, controller ? {signal: controller.signal} : true);
+            cancelled.cancel();
+            if (controller) {
+                controller.abort();
+            } else {
+                aborted.cancel();
+            }
+            expect(queue.endpoints['http://localhost/basic'].waiting.length).toBe(0);
+            Promise.all([cancelled.reflect(), aborted.reflect()])
+                .then(function (results) {
+                    expect(results[0].reason().reason).toBe('RequestAbort');
+                    expect(results[1].reason().reason).toBe('RequestAbort');
+                    // Long before the calls in flight are answered.
+                    expect(queue.getStats().active).toBe(2);
+                    return Promise.all(inFlight);
+                })
+                .then(function () {
+                    expect(server.requests.length).toBe(2);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Cancels the waiting calls when cleared', function (done) {
+            var client = makeClient(),
+                calls = [1, 2, 3].map(function (i) {
+                    return client.add_integers(i, 0, true).reflect();
+                });
+            queue.clear();
+            Promise.all(calls)
+                .then(function (results) {
+                    expect(results[0].value()).toBe(1);
+                    expect(results[1].value()).toBe(2);
+                    expect(results[2].reason().reason).toBe('RequestAbort');
+                    expect(server.requests.length).toBe(2);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Refuses to wrap a transport without interceptors', function () {
+            var caught = null;
+            try {
+                queue.wrap(new Thrift.EchoTransport());
+            } catch (ex) {
+                caught = ex;
+            }
+            expect(caught instanceof TypeError).toBe(true);
+            expect(caught.message).toContain('RequestQueue');
+        });
+    });
+});
@@ -0,0 +1,138 @@
+/*global
+ define, describe, expect, it, beforeEach, afterEach
+ */
+/*jslint
+ browser: true,
+ white: true
+ */
+define([
+    'bluebird',
+    'kb/thrift/retry',
+    'kb/thrift/transport/xhr',
+    'kb/thrift/protocol/binary',
+    'kb_basic_service',
+    'testlib/standInServer'
+], function (Promise, Thrift, xhr, binary, basic, StandInServer) {
+    'use strict';
+
+    describe('Retry policy', function () {
+        var server;
+
+        function makeClient(policy) {
+            var transport = new Thrift.TXHRTransport('http://localhost/basic'),
+                protocol = new Thrift.TBinaryProtocol(transport);
+            transport.use(policy.interceptor());
+            return new basic.thrift_serviceClient(protocol);
+        }
+
+        // Answers with the given statuses in turn, then with 200.
+        function statuses(list) {
+            var i = 0;
+            return function () {
+                i += 1;
+                return i <= list.length ? list[i - 1] : 200;
+            };
+        }
+
+        beforeEach(function () {
+            server = new StandInServer({delay: 1}).install();
+        });
+
+        afterEach(function () {
+            server.uninstall();
+        });
+
+        it('Retries an idempotent method after a proxy error', function (done) {
+            server.status = statuses([502, 502]);
+            makeClient(new Thrift.RetryPolicy({methods: ['add_integers'], delay: 1}))
+                .add_integers(2, 3, true)
+                .then(function (value) {
+                    expect(value).toBe(5);
+                    expect(server.requests.length).toBe(3);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Keeps the exception of each attempt on the final rejection', function (done) {
+            server.status = 502;
+            makeClient(new Thrift.RetryPolicy({methods: ['add_integers'], attempts: 4, delay: 1}))
+                .add_integers(2, 3, true)
+                .then(function () {
+                    done.fail('Expected the call to fail');
+                }, function (err) {
+                    expect(err.reason).toBe('ProxyError');
+                    expect(err.attempts.length).toBe(4);
+                    expect(err.attempts[3]).toBe(err);
+                    expect(err.attempts[0].reason).toBe('ProxyError');
+                    expect(server.requests.length).toBe(4);
+                })
+                .finally(done);
+        });
+
+        it('Does not retry methods which are not idempotent', function (done) {
+            server.status = statuses([502]);
+            makeClient(new Thrift.RetryPolicy({methods: ['get_a_map'], delay: 1}))
+                .add_integers(2, 3, true)
+                .then(function () {
+                    done.fail('Expected the call to fail');
+                }, function (err) {
+                    expect(err.reason).toBe('ProxyError');
+                    expect(server.requests.length).toBe(1);
+                })
+                .finally(done);
+        });
+
+        it('Lets a call opt in or out with its idempotent option', function (done) {
+            var client;
+            server.status = statuses([502, 502]);
+            client = makeClient(new Thrift.RetryPolicy({methods: ['add_integers'], delay: 1}));
+            client.add_integers(2, 3, {idempotent: false})
+                .then(function () {
+                    done.fail('Expected the call to fail');
+                }, function (err) {
+                    expect(err.reason).toBe('ProxyError');
+                    return makeClient(new Thrift.RetryPolicy({delay: 1}))
+                        .add_integers(1, 1, {idempotent: true});
+                })
+                .then(function (value) {
+                    expect(value).toBe(2);
+                    expect(server.requests.length).toBe(3);
+                })
+                .finally(done);
+        });
+
+        it('Does not retry failures of other reasons', function (done) {
+            server.status = statuses([404]);
+            makeClient(new Thrift.RetryPolicy({methods: ['add_integers'], delay: 1}))
+                .add_integers(2, 3, true)
+                .then(function () {
+                    done.fail('Expected the call to fail');
+                }, function (err) {
+                    expect(err.reason).toBe('NotFound');
+                    expect(err.attempts.length).toBe(1);
+                })
+                .finally(done);
+        });
+
+        it('Backs off exponentially with jitter, up to the longest wait', function () {
+            var policy = new Thrift.RetryPolicy({
+                delay: 100,
+                factor: 2,
+                maxDelay: 1000,
+                jitter: 0.5,
+                random: function () {
+                    return 0.5;
+                }
+            });
+            expect(policy.delayFor(1)).toBe(75);
+            expect(policy.delayFor(2)).toBe(150);
+            expect(policy.delayFor(3)).toBe(300);
+            expect(policy.delayFor(5)).toBe(750);
+            policy.jitter = 0;
+            expect(policy.delayFor(10)).toBe(1000);
+        });
+    });
+});
@@ -0,0 +1,323 @@
+/*global
+ define, describe, expect, it, beforeEach, afterEach
+ */
+/*jslint
+ browser: true,
+ white: true
+ */
+define([
+    'bluebird',
+    'kb/thrift/transport/websocket',
+    'kb/thrift/protocol/binary',
+    'kb/thrift/protocol/compact',
+    'kb/thrift/client',
+    'kb_basic_service',
+    'testlib/standInServer'
+], function (Promise, Thrift, binary, compact, descriptorClient, basic, StandInServer) {
+    'use strict';
+
+    describe('WebSocket Transport', function () {
+        var server;
+
+        function makeClient(options, Protocol) {
+            var transport = new Thrift.TWebSocketTransport('ws://localhost/basic', options),
+                protocol = new (Protocol || Thrift.TBinaryProtocol)(transport);
+            return new basic.thrift_serviceClient(protocol);
+        }
+
+        beforeEach(function () {
+            server = new StandInServer({
+                delay: function () {
+                    return Math.floor(Math.random() * 20);
+                }
+            }).install();
+        });
+
+        afterEach(function () {
+            server.uninstall();
+        });
+
+        it('Queues calls until the socket opens', function (done) {
+            var client = makeClient(),
+                transport = client.output.getTransport(),
+                call = client.add_integers(2, 2, true);
+            expect(transport.isOpen()).toBe(false);
+            expect(transport.send_pending.length).toBe(1);
+            call
+                .then(function (value) {
+                    expect(value).toBe(4);
+                    expect(server.sockets.length).toBe(1);
+                    expect(server.sockets[0].binaryType).toBe('arraybuffer');
+                    expect(transport.send_pending.length).toBe(0);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Runs interceptors around calls, with their own sequence ids', function (done) {
+            var methods = [],
+                client = makeClient({
+                    interceptors: [function (context, next) {
+                        methods.push(context.method + ':' + context.seqid);
+                        // Holding calls back must not make them share a sequence id.
+                        return Promise.delay(5).then(next);
+                    }]
+                });
+            Promise.all([client.add_integers(1, 1, true), client.add_integers(2, 2, true)])
+                .then(function (results) {
+                    expect(results).toEqual([2, 4]);
+                    expect(methods).toEqual(['add_integers:0', 'add_integers:1']);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Matches out of order replies to their calls', function (done) {
+            var client = makeClient(),
+                calls = [], expected = [], i;
+            for (i = 0; i < 20; i += 1) {
+                if (i % 2 === 0) {
+                    calls.push(client.add_integers(i, 1000, true));
+                    expected.push(i + 1000);
+                } else {
+                    calls.push(client.get_a_map(['k' + i, 'x'], true));
+                    expected.push({x: 2});
+                    expected[i]['k' + i] = 1;
+                }
+            }
+            Promise.all(calls)
+                .then(function (results) {
+                    expect(results).toEqual(expected);
+                    expect(server.sockets.length).toBe(1);
+                    expect(server.requests.length).toBe(20);
+                    expect(client.output.getTransport().getInFlightCount()).toBe(0);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Lets many clients share one socket', function (done) {
+            var transport = new Thrift.TWebSocketTransport('ws://localhost/basic'),
+                one = new basic.thrift_serviceClient(new Thrift.TBinaryProtocol(transport)),
+                other = new basic.thrift_serviceClient(new Thrift.TBinaryProtocol(transport)),
+                calls = [], expected = [], i;
+            for (i = 0; i < 5; i += 1) {
+                calls.push(one.add_integers(i, 100, true), other.add_integers(i, 200, true));
+                expected.push(i + 100, i + 200);
+            }
+            Promise.all(calls)
+                .then(function (results) {
+                    expect(results).toEqual(expected);
+                    expect(server.sockets.length).toBe(1);
+                    expect(server.requests.length).toBe(10);
+                    expect(one.seqid).not.toBe(other.seqid);
+                    return Promise.all([one.add_integers(1, 2, true), other.add_integers(3, 4, true)]);
+                })
+                .then(function (results) {
+                    expect(results).toEqual([3, 7]);
+                    expect(transport.getInFlightCount()).toBe(0);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Lets clients of different protocols share one socket', function (done) {
+            var transport = new Thrift.TWebSocketTransport('ws://localhost/basic'),
+                binaryClient = new basic.thrift_serviceClient(new Thrift.TBinaryProtocol(transport)),
+                compactClient = new basic.thrift_serviceClient(new Thrift.TCompactProtocol(transport)),
+                calls = [], expected = [], i;
+            // Answer each message in the protocol it came in.
+            server.respondMessage = (function (respondMessage) {
+                return function (message) {
+                    server.makeProtocol = function (messageTransport) {
+                        return message[0] === 0x82 ? new Thrift.TCompactProtocol(messageTransport) :
+                                new Thrift.TBinaryProtocol(messageTransport);
+                    };
+                    return respondMessage.call(server, message);
+                };
+            }(server.respondMessage));
+            for (i = 0; i < 5; i += 1) {
+                calls.push(binaryClient.add_integers(i, 100, true), compactClient.get_a_map(['k' + i], true));
+                expected.push(i + 100, {});
+                expected[expected.length - 1]['k' + i] = 1;
+            }
+            Promise.all(calls)
+                .then(function (results) {
+                    expect(results).toEqual(expected);
+                    expect(server.sockets.length).toBe(1);
+                    expect(transport.getInFlightCount()).toBe(0);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Works with the compact protocol', function (done) {
+            server.makeProtocol = function (transport) {
+                return new Thrift.TCompactProtocol(transport);
+            };
+            var client = makeClient({}, Thrift.TCompactProtocol);
+            Promise.all([client.add_integers(1, 2, true), client.add_integers(3, 4, true)])
+                .then(function (results) {
+                    expect(results).toEqual([3, 7]);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Resolves a oneway call once it is sent', function (done) {
+            var descriptor = {
+                    name: 'thrift_service',
+                    methods: {
+                        log: {args: [{id: 1, name: 'line', type: 'string'}], oneway: true},
+                        add_integers: {
+                            args: [{id: 1, name: 'x', type: 'i64'}, {id: 2, name: 'y', type: 'i64'}],
+                            returns: 'i64'
+                        }
+                    }
+                },
+                codec = new Thrift.TDescriptorCodec(descriptor),
+                logged = [],
+                transport = new Thrift.TWebSocketTransport('ws://localhost/basic'),
+                client = Thrift.createClient(descriptor, Thrift.TBinaryProtocol, transport);
+            // The same delay for every message, so they are handled in order.
+            server.delay = 1;
+            function LogArgs() {
+                return;
+            }
+            LogArgs.prototype.read = function (input) {
+                this.line = codec.readStruct(input, {kind: 'struct', fields: descriptor.methods.log.args}).line;
+            };
+            server.processor = Object.create(StandInServer.basicProcessor);
+            server.processor.log = {
+                args: LogArgs,
+                handler: function (args) {
+                    logged.push(args.line);
+                }
+            };
+            client.log('started')
+                .then(function (value) {
+                    expect(value).toBe(null);
+                    expect(transport.getInFlightCount()).toBe(0);
+                    return client.add_integers(1, 2);
+                })
+                .then(function (value) {
+                    expect(value).toBe(3);
+                    expect(logged).toEqual(['started']);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Rejects unanswered calls when the socket closes', function (done) {
+            server.delay = 50;
+            var client = makeClient(),
+                call = client.add_integers(1, 2, true);
+            setTimeout(function () {
+                client.output.getTransport().close();
+            }, 60);
+            call
+                .then(function () {
+                    done.fail('Expected the call to fail');
+                }, function (err) {
+                    expect(err instanceof Thrift.TWebSocketTransportException).toBe(true);
+                    expect(err.reason).toBe('ConnectionClosed');
+                })
+                .finally(done);
+        });
+
+        it('Cancels a call through its promise', function (done) {
+            var client = makeClient(),
+                kept = client.add_integers(1, 2, true),
+                cancelled = client.add_integers(3, 4, true);
+            cancelled.cancel();
+            cancelled
+                .then(function () {
+                    done.fail('Expected the call to be cancelled');
+                }, function (err) {
+                    expect(err.reason).toBe('RequestAbort');
+                    return kept;
+                })
+                .then(function (value) {
+                    expect(value).toBe(3);
+                    expect(server.requests.length).toBe(1);
+                })
+                .finally(done);
+        });
+
+        it('Reconnects after a drop, replaying only the listed methods', function (done) {
+            server.delay = 30;
+            var client = makeClient({reconnect: {delay: 5, replay: ['add_integers']}}),
+                transport = client.output.getTransport(),
+                states = [],
+                replayed = client.add_integers(1, 2, true),
+                lost = client.get_a_map(['a'], true);
+            transport.on('statechange', function (event) {
+                states.push(event.state);
+            });
+            setTimeout(function () {
+                // Both calls have been sent; their replies are due at 60ms.
+                expect(server.requests.length).toBe(2);
+                server.dropSockets();
+            }, 45);
+            lost
+                .then(function () {
+                    done.fail('Expected the call to fail');
+                }, function (err) {
+                    expect(err.reason).toBe('ConnectionClosed');
+                    return replayed;
+                })
+                .then(function (value) {
+                    expect(value).toBe(3);
+                    expect(server.sockets.length).toBe(2);
+                    expect(server.requests.length).toBe(3);
+                    expect(states).toEqual(['open', 'reconnecting', 'connecting', 'open']);
+                    expect(transport.getState()).toBe('open');
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Backs off between attempts and gives up when the retries run out', function (done) {
+            server.delay = 1;
+            server.refuse = true;
+            var client = makeClient({reconnect: {retries: 3, delay: 2}}),
+                transport = client.output.getTransport(),
+                delays = [],
+                states = [];
+            transport.on('statechange', function (event) {
+                states.push(event.state);
+                if (event.state === 'reconnecting') {
+                    delays.push(event.delay);
+                }
+            });
+            client.add_integers(1, 2, true)
+                .then(function () {
+                    done.fail('Expected the call to fail');
+                }, function (err) {
+                    expect(err instanceof Thrift.TWebSocketTransportException).toBe(true);
+                    expect(err.reason).toBe('ReconnectFailed');
+                    expect(delays).toEqual([2, 4, 8]);
+                    expect(server.sockets.length).toBe(4);
+                    expect(states[states.length - 1]).toBe('closed');
+                    expect(transport.getInFlightCount()).toBe(0);
+                })
+                .finally(done);
+        });
+    });
+});
@@ -0,0 +1,480 @@
+/*global
+ define, describe, expect, it, beforeEach, afterEach
+ */
+/*jslint
+ browser: true,
+ white: true
+ */
+define([
+    'bluebird',
+    'kb/thrift/transport/xhr',
+    'kb/thrift/protocol/binary',
+    'kb_basic_service',
+    'testlib/standInServer'
+], function (Promise, Thrift, binary, basic, StandInServer) {
+    'use strict';
+
+    describe('XHR Transport', function () {
+        var server;
+
+        function makeClient(options) {
+            var transport = new Thrift.TXHRTransport('http://localhost/basic', options),
+                protocol = new Thrift.TBinaryProtocol(transport);
+            return new basic.thrift_serviceClient(protocol);
+        }
+
+        beforeEach(function () {
+            server = new StandInServer({
+                delay: function () {
+                    return Math.floor(Math.random() * 20);
+                }
+            }).install();
+        });
+
+        afterEach(function () {
+            server.uninstall();
+        });
+
+        it('Makes a single call', function (done) {
+            makeClient().add_integers(2, 2, true)
+                .then(function (value) {
+                    expect(value).toBe(4);
+                    expect(server.requests.length).toBe(1);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Keeps many overlapping calls on one client apart', function (done) {
+            var client = makeClient(),
+                calls = [], expected = [], i, keys;
+            for (i = 0; i < 40; i += 1) {
+                if (i % 2 === 0) {
+                    calls.push(client.add_integers(i, i * 1000, true));
+                    expected.push(i + i * 1000);
+                } else {
+                    keys = ['k' + i, 'x', 'k' + (i + 1)];
+                    calls.push(client.get_a_map(keys, true));
+                    expected.push({x: 2});
+                    expected[i]['k' + i] = 1;
+                    expected[i]['k' + (i + 1)] = 3;
+                }
+            }
+            expect(client.output.getTransport().getInFlightCount()).toBe(40);
+            Promise.all(calls)
+                .then(function (results) {
+                    expect(results).toEqual(expected);
+                    // Each request carried exactly one message.
+                    server.requests.forEach(function (request) {
+                        var input = new Thrift.TBinaryProtocol(new Thrift.EchoTransport());
+                        input.getTransport().write(Array.prototype.slice.call(request.body));
+                        input.readMessageBegin();
+                        input.skip(Thrift.Type.STRUCT);
+                        expect(input.getTransport().readByte()).toBe(null);
+                    });
+                    expect(client.output.getTransport().getInFlightCount()).toBe(0);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Maps a proxy error to a ProxyError reason', function (done) {
+            server.status = 502;
+            makeClient().add_integers(1, 1, true)
+                .then(function () {
+                    done.fail('Expected the call to fail');
+                })
+                .catch(function (err) {
+                    expect(err instanceof Thrift.TXHRTransportException).toBe(true);
+                    expect(err.reason).toBe('ProxyError');
+                })
+                .finally(done);
+        });
+
+        it('Cancels a call through its promise', function (done) {
+            var client = makeClient(),
+                kept = client.add_integers(1, 2, true),
+                cancelled = client.add_integers(3, 4, true);
+            cancelled.cancel();
+            cancelled
+                .then(function () {
+                    done.fail('Expected the call to be cancelled');
+                }, function (err) {
+                    expect(err instanceof Thrift.TXHRTransportException).toBe(true);
+                    expect(err.reason).toBe('RequestAbort');
+                    return kept;
+                })
+                .then(function (value) {
+                    expect(value).toBe(3);
+                    // Cancelling a settled call does nothing.
+                    kept.cancel();
+                    return kept;
+                })
+                .then(function (value) {
+                    expect(value).toBe(3);
+                })
+                .finally(done);
+        });
+
+        it('Cancels a call with its signal', function (done) {
+            var listeners = [],
+                signal = {
+                    aborted: false,
+                    addEventListener: function (type, fn) {
+                        listeners.push(fn);
+                    },
+                    removeEventListener: function (type, fn) {
+                        listeners.splice(listeners.indexOf(fn), 1);
+                    }
+                },
+                call = makeClient().add_integers(3, 4, {signal: signal});
+            expect(listeners.length).toBe(1);
+            signal.aborted = true;
+            listeners[0]();
+            call
+                .then(function () {
+                    done.fail('Expected the call to be cancelled');
+                }, function (err) {
+                    expect(err.reason).toBe('RequestAbort');
+                    expect(listeners.length).toBe(0);
+                })
+                .finally(done);
+        });
+
+        it('Does not send a call whose signal is already aborted', function (done) {
+            var signal = {
+                aborted: true,
+                addEventListener: function () {},
+                removeEventListener: function () {}
+            };
+            makeClient().add_integers(3, 4, {signal: signal})
+                .then(function () {
+                    done.fail('Expected the call to be cancelled');
+                }, function (err) {
+                    expect(err.reason).toBe('RequestAbort');
+                    expect(server.requests.length).toBe(0);
+                })
+                .finally(done);
+        });
+
+        it('Gives each call of a client its own sequence id', function (done) {
+            var client = makeClient();
+            Promise.all([client.add_integers(1, 2, true), client.add_integers(3, 4, true), client.get_a_map(['a'], true)])
+                .then(function () {
+                    var seqids = server.requests.map(function (request) {
+                        var input = new Thrift.TBinaryProtocol(new Thrift.EchoTransport());
+                        input.getTransport().write(Array.prototype.slice.call(request.body));
+                        return input.readMessageBegin().rseqid;
+                    });
+                    expect(seqids).toEqual([0, 1, 2]);
+                    expect(client.seqid).toBe(3);
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        it('Rejects a reply with the wrong sequence id', function (done) {
+            server.alterReply = function (reply) {
+                return {fname: reply.fname, rseqid: reply.rseqid + 1};
+            };
+            makeClient().add_integers(3, 4, true)
+                .then(function () {
+                    done.fail('Expected the reply to be rejected');
+                }, function (err) {
+                    expect(err instanceof Thrift.TApplicationException).toBe(true);
+                    expect(err.code).toBe(Thrift.TApplicationExceptionType.BAD_SEQUENCE_ID);
+                })
+                .finally(done);
+        });
+
+        it('Rejects a reply without a result with MISSING_RESULT', function (done) {
+            server.processor = {
+                add_integers: {
+                    args: basic.thrift_service_add_integers_args,
+                    result: basic.thrift_service_add_integers_result,
+                    handler: function () {
+                        return null;
+                    }
+                }
+            };
+            makeClient().add_integers(3, 4, true)
+                .then(function () {
+                    done.fail('Expected the reply to be rejected');
+                }, function (err) {
+                    expect(err instanceof Thrift.TApplicationException).toBe(true);
+                    expect(err.code).toBe(Thrift.TApplicationExceptionType.MISSING_RESULT);
+                    expect(err.message).toBe('add_integers failed: unknown result');
+                })
+                .finally(done);
+        });
+
+        it('Rejects a reply for another method', function (done) {
+            server.alterReply = function (reply) {
+                return {fname: 'get_a_map', rseqid: reply.rseqid};
+            };
+            makeClient().add_integers(3, 4, true)
+                .then(function () {
+                    done.fail('Expected the reply to be rejected');
+                }, function (err) {
+                    expect(err instanceof Thrift.TApplicationException).toBe(true);
+                    expect(err.code).toBe(Thrift.TApplicationExceptionType.WRONG_METHOD_NAME);
+                })
+                .finally(done);
+        });
+
+        it('Reports the progress of the upload and download', function (done) {
+            var events = [];
+            makeClient().get_a_map(['a', 'b'], {
+                onProgress: function (event) {
+                    events.push(event);
+                }
+            })
+                .then(function (result) {
+                    expect(result).toEqual({a: 1, b: 2});
+                    expect(events.map(function (event) {
+                        return event.direction;
+                    })).toEqual(['upload', 'download']);
+                    expect(events[0].loaded).toBe(server.requests[0].body.length);
+                    expect(events[0].total).toBe(events[0].loaded);
+                    expect(events[1].loaded).toBeGreaterThan(0);
+                    expect(events[1].method).toBe('get_a_map');
+                    expect(typeof events[1].seqid).toBe('number');
+                })
+                .catch(function (err) {
+                    done.fail(err);
+                })
+                .finally(done);
+        });
+
+        describe('with headers', function () {
+            it('Sends the static, provided and per call headers', function (done) {
+                var contexts = [];
+                makeClient({
+                    headers: {Authorization: 'static', 'X-Static': 'yes'},
+                    getHeaders: function (context) {
+                        contexts.push(context);
+                        return {Authorization: 'token-' + context.seqid, 'X-Call': 'provided'};
+                    }
+                }).add_integers(1, 2, {headers: {'X-Call': 'own'}})
+                    .then(function (value) {
+                        var headers = server.requests[0].headers;
+                        expect(value).toBe(3);
+                        expect(contexts.length).toBe(1);
+                        expect(contexts[0].method).toBe('add_integers');
+                        expect(headers.Authorization).toBe('token-' + contexts[0].seqid);
+                        expect(headers['X-Static']).toBe('yes');
+                        expect(headers['X-Call']).toBe('own');
+                        expect(headers['Content-type']).toBe('application/x-thrift');
+                    })
+                    .catch(function (err) {
+                        done.fail(err);
+                    })
+                    .finally(done);
+            });
+
+            it('Waits for headers provided by a promise', function (done) {
+                makeClient({
+                    getHeaders: function () {
+                        return Promise.delay(10).then(function () {
+                            return {Authorization: 'refreshed'};
+                        });
+                    }
+                }).add_integers(2, 3, true)
+                    .then(function (value) {
+                        expect(value).toBe(5);
+                        expect(server.requests[0].headers.Authorization).toBe('refreshed');
+                    })
+                    .catch(function (err) {
+                        done.fail(err);
+                    })
+                    .finally(done);
+            });
+
+            it('Rejects the call if the headers cannot be provided', function (done) {
+                var failure = new Error('No session');
+                makeClient({
+                    getHeaders: function () {
+                        return Promise.reject(failure);
+                    }
+                }).add_integers(2, 3, true)
+                    .then(function () {
+                        done.fail('Expected the call to fail');
+                    }, function (err) {
+                        expect(err instanceof Thrift.TXHRTransportException).toBe(true);
+                        expect(err.reason).toBe('HeaderProviderError');
+                        expect(err.data).toBe(failure);
+                        expect(server.requests.length).toBe(0);
+                    })
+                    .finally(done);
+            });
+
+            it('Cancels a call waiting for its headers', function (done) {
+                var call = makeClient({
+                    getHeaders: function () {
+                        return Promise.delay(50).then(function () {
+                            return {};
+                        });
+                    }
+                }).add_integers(2, 3, true);
+                Promise.delay(5).then(function () {
+                    call.cancel();
+                });
+                call
+                    .then(function () {
+                        done.fail('Expected the call to be cancelled');
+                    }, function (err) {
+                        expect(err.reason).toBe('RequestAbort');
+                        return Promise.delay(60);
+                    })
+                    .then(function () {
+                        expect(server.requests.length).toBe(0);
+                    })
+                    .finally(done);
+            });
+
+            [401, 403].forEach(function (status) {
+                it('Maps http status ' + status + ' to an AuthorizationError reason', function (done) {
+                    server.status = status;
+                    makeClient().add_integers(1, 1, true)
+                        .then(function () {
+                            done.fail('Expected the call to fail');
+                        })
+                        .catch(function (err) {
+                            expect(err instanceof Thrift.TXHRTransportException).toBe(true);
+                            expect(err.reason).toBe('AuthorizationError');
+                        })
+                        .finally(done);
+                });
+            });
+        });
+
+        describe('with interceptors', function () {
+            it('Runs the interceptors in order around the call', function (done) {
+                var seen = [],
+                    transport = new Thrift.TXHRTransport('http://localhost/basic', {
+                        interceptors: [function (context, next) {
+                            seen.push(['outer', context.method, context.seqid, context.args]);
+                            return next().then(function (result) {
+                                seen.push(['outer done', result]);
+                                return result * 10;
+                            });
+                        }]
+                    }),
+                    client = new basic.thrift_serviceClient(new Thrift.TBinaryProtocol(transport));
+                transport.use(function (context, next) {
+                    seen.push(['inner', context.postData.length > 0, context.options]);
+                    return next();
+                });
+                client.add_integers(2, 3, {tag: 'x'})
+                    .then(function (value) {
+                        expect(value).toBe(50);
+                        expect(seen).toEqual([
+                            ['outer', 'add_integers', 0, [2, 3]],
+                            ['inner', true, {tag: 'x'}],
+                            ['outer done', 5]
+                        ]);
+                    })
+                    .catch(function (err) {
+                        done.fail(err);
+                    })
+                    .finally(done);
+            });
+
+            it('Lets an interceptor answer without sending', function (done) {
+                var transport = new Thrift.TXHRTransport('http://localhost/basic').use(function (context) {
+                        return context.method === 'get_a_map' ? {cached: 1} : null;
+                    }),
+                    client = new basic.thrift_serviceClient(new Thrift.TBinaryProtocol(transport));
+                client.get_a_map(['a'], true)
+                    .then(function (value) {
+                        expect(value).toEqual({cached: 1});
+                        expect(server.requests.length).toBe(0);
+                    })
+                    .catch(function (err) {
+                        done.fail(err);
+                    })
+                    .finally(done);
+            });
+
+            it('Lets an interceptor retry a failed call', function (done) {
+                var errors = [],
+                    transport = new Thrift.TXHRTransport('http://localhost/basic').use(function (context, next) {
+                        return next().catch(function (err) {
+                            errors.push(err.reason);
+                            server.status = 200;
+                            return next();
+                        });
+                    }),
+                    client = new basic.thrift_serviceClient(new Thrift.TBinaryProtocol(transport));
+                server.status = 500;
+                client.add_integers(4, 4, true)
+                    .then(function (value) {
+                        expect(value).toBe(8);
+                        expect(errors).toEqual(['ServiceError']);
+                        expect(server.requests.length).toBe(2);
+                    })
+                    .catch(function (err) {
+                        done.fail(err);
+                    })
+                    .finally(done);
+            });
+
+            it('Sends the message as changed by an interceptor', function (done) {
+                var transport = new Thrift.TXHRTransport('http://localhost/basic').use(function (context, next) {
+                        // Send the call for other arguments instead.
+                        var other = new basic.thrift_serviceClient(new Thrift.TBinaryProtocol(new Thrift.TXHRTransport()));
+                        other.seqid = context.seqid;
+                        context.postData = other.send_add_integers(100, 1, true);
+                        return next();
+                    }),
+                    client = new basic.thrift_serviceClient(new Thrift.TBinaryProtocol(transport));
+                client.add_integers(1, 1, true)
+                    .then(function (value) {
+                        expect(value).toBe(101);
+                    })
+                    .catch(function (err) {
+                        done.fail(err);
+                    })
+                    .finally(done);
+            });
+
+            it('Cancels a call held by an interceptor', function (done) {
+                var releases = [],
+                    transport = new Thrift.TXHRTransport('http://localhost/basic').use(function (context, next) {
+                        return new Promise(function (resolve) {
+                            releases.push(resolve);
+                        }).then(next);
+                    }),
+                    client = new basic.thrift_serviceClient(new Thrift.TBinaryProtocol(transport)),
+                    first = client.add_integers(1, 2, true),
+                    second = client.add_integers(3, 4, true);
+                expect(client.seqid).toBe(2);
+                first.cancel();
+                releases[0]();
+                first
+                    .then(function () {
+                        done.fail('Expected the call to be cancelled');
+                    }, function (err) {
+                        expect(err.reason).toBe('RequestAbort');
+                        releases[1]();
+                        return second;
+                    })
+                    .then(function (value) {
+                        expect(value).toBe(7);
+                        // Only the second call was sent.
+                        expect(server.requests.length).toBe(1);
+                    })
+                    .catch(function (err) {
+                        done.fail(err);
+                    })
+                    .finally(done);
+            });
+        });
+    });
+});